@@ -29,6 +29,71 @@ const CONFIG = {
   xmlFormatterCDN: 'https://esm.sh/xml-formatter@3.6.0',
   svgoCDN: 'https://esm.sh/svgo@3.2.0/dist/svgo.browser.js',
   examplesManifest: './examples/manifest.json',
+  // Preview pane backgrounds (match styles.css); used when they can't be computed
+  previewBackgrounds: { light: '#ffffff', dark: '#1a1a1a' },
+  // Themes for the dark preview render, chosen with #dark-theme-select
+  darkThemes: {
+    dark: { theme: 'dark' },
+    'high-contrast': {
+      theme: 'base',
+      themeVariables: {
+        darkMode: true,
+        background: '#000000',
+        primaryColor: '#000000',
+        primaryTextColor: '#ffffff',
+        primaryBorderColor: '#ffffff',
+        secondaryColor: '#1a1a1a',
+        tertiaryColor: '#1a1a1a',
+        lineColor: '#ffffff',
+        textColor: '#ffffff',
+        edgeLabelBackground: '#000000',
+        noteBkgColor: '#1a1a1a',
+        noteTextColor: '#ffffff',
+      },
+    },
+  },
+  // WCAG 2.2 success criteria referenced by the conformance report
+  wcagCriteria: {
+    '1.1.1': { name: 'Non-text Content', level: 'A' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A' },
+    '1.4.1': { name: 'Use of Color', level: 'A' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+    '1.4.4': { name: 'Resize Text', level: 'AA' },
+    '1.4.11': { name: 'Non-text Contrast', level: 'AA' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A' },
+  },
+  // Diagram types whose SVG gets structural semantics in applyAccessibilityTransformations
+  semanticDiagramTypes: ['flowchart', 'sequenceDiagram', 'stateDiagram', 'erDiagram', 'pie', 'gantt', 'classDiagram', 'mindmap', 'journey'],
+  // Rendered text size check: default container width and minimum label size (px)
+  textSizeAudit: { width: 320, minSize: 12 },
+  // Pattern fills for chart series (#pattern-fills-toggle), cycled in order
+  // so neighbouring series differ in texture
+  chartPatterns: ['diagonal', 'dots', 'crosshatch', 'horizontal', 'reverse-diagonal', 'vertical'],
+  // Colour-vision-deficiency simulations for the previews (#cvd-select).
+  // Full-severity matrices from Machado, Oliveira & Fernandes (2009) and
+  // Rec. 709 luminance for achromatopsia, applied in linear RGB.
+  cvdSimulations: {
+    protanopia: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900],
+    ],
+    achromatopsia: [
+      [0.2126, 0.7152, 0.0722],
+      [0.2126, 0.7152, 0.0722],
+      [0.2126, 0.7152, 0.0722],
+    ],
+  },
 };
 
 // Fallback inline examples used when manifest fetch fails (e.g., file:// origin)
@@ -69,6 +134,22 @@ const STATE = {
   optimizedSvg: '', // Optimized version
   userEdited: false, // Tracks whether user has edited the Mermaid source
   lastPreviewToastMs: 0,
+  narrativeHtml: '', // Structural narrative for the current diagram (for export)
+  contrastResults: [], // Latest contrast audit results for the previews
+  nonTextResults: [], // Latest non-text (graphics) contrast results for the previews
+  contrastFixes: [], // Colour fixes proposed for the failing results
+  themeVariables: {}, // Mermaid theme variables resolved for the light render
+  darkTheme: 'dark', // Key into CONFIG.darkThemes for the dark preview
+  darkSvg: '', // Accessible SVG from the dark theme render ('' when not rendered)
+  forcedColorsPreview: false, // Simulate forced colours in the previews
+  cvdSimulation: 'none', // Key into CONFIG.cvdSimulations, or 'none'
+  patternFills: false, // Add pattern fills to chart series
+  textSizeWidth: CONFIG.textSizeAudit.width, // Container width (px) for the rendered text size check
+  minTextSize: CONFIG.textSizeAudit.minSize, // Smallest acceptable rendered label size (px)
+  renderChecks: null, // Inputs to the conformance report from the last successful render
+  svgOrigin: 'transform', // Where STATE.currentSvg came from: 'transform' or 'edit' (#svg-code)
+  svgViolations: [], // Accessibility rule violations in the pipeline outputs
+  a11yIdCount: 0, // Counter behind generateUniqueId, restarted for each transform
   // AI enhancement state
   aiAvailable: false,
   aiSession: null,
@@ -226,31 +307,276 @@ async function renderMermaidDiagram(mermaidSource) {
   }
 }
 
+/**
+ * Switch a render to one of the dark themes with a single init directive
+ * The author's directives are merged into it and removed, keeping their
+ * other settings (layout, fonts) but not their theme or theme variables:
+ * those, including contrast fixes, are tuned for the light render.
+ * The directive goes at the end so diagram type detection is unaffected.
+ */
+function withPreviewTheme(mermaidSource, themeKey) {
+  const { theme, themeVariables } = CONFIG.darkThemes[themeKey] || CONFIG.darkThemes.dark;
+  const init = extractInitDirectives(mermaidSource);
+  const { theme: lightTheme, themeVariables: lightVariables, ...settings } = init.config || {};
+  const directive = themeVariables ? { ...settings, theme, themeVariables } : { ...settings, theme };
+  return `${init.source.replace(/\s+$/, '')}\n%%{init: ${JSON.stringify(directive)}}%%\n`;
+}
+
+/**
+ * Render the diagram again with a dark theme for the dark preview
+ * Uses its own render id (the SVG root id Mermaid keys its styles on) and
+ * id prefix so both SVGs can share the page.
+ * On failure the dark pane keeps the light SVG set by displayPreview.
+ */
+async function renderDarkPreview(mermaidSource, metadata) {
+  const themeKey = CONFIG.darkThemes[STATE.darkTheme] ? STATE.darkTheme : 'dark';
+  try {
+    const { svg } = await window.mermaid.render('mermaid-diagram-dark', withPreviewTheme(mermaidSource, themeKey));
+    const idPrefix = `${getSvgIdPrefix(mermaidSource, metadata)}-dark`;
+    const accessibleSvg = applyAccessibilityTransformations(svg, { ...metadata, idPrefix }, mermaidSource);
+    const darkSvg = ensureViewBox(accessibleSvg);
+    displayDarkPreview(darkSvg);
+    console.log(`[DarkPreview] Rendered with "${themeKey}" theme, SVG length:`, darkSvg.length);
+    return darkSvg;
+  } catch (error) {
+    console.warn('[DarkPreview] Dark theme render failed, keeping the light SVG:', error);
+    return '';
+  }
+}
+
 /**
  * Parse and validate Mermaid metadata
  */
 function parseMermaidMetadata(mermaidSource) {
   const titleMatch = mermaidSource.match(/%%\s*accTitle\s*(.+)/);
   const descMatch = mermaidSource.match(/%%\s*accDescr\s*(.+)/);
+  const idPrefixMatch = mermaidSource.match(/%%\s*idPrefix\s+(.+)/);
   
   return {
     title: titleMatch ? titleMatch[1].trim() : null,
     description: descMatch ? descMatch[1].trim() : null,
+    idPrefix: idPrefixMatch ? slugifyIdPrefix(idPrefixMatch[1]) : null,
   };
 }
 
 /**
  * Generate unique IDs for accessibility elements
+ * A counter keeps each ID unique within one SVG. It restarts with every
+ * transform so re-renders give the same IDs; namespaceSvgIds adds the
+ * per-diagram prefix afterwards.
  */
 function generateUniqueId(prefix = 'a11y') {
-  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  STATE.a11yIdCount = (STATE.a11yIdCount || 0) + 1;
+  return `a11y-${prefix}-${STATE.a11yIdCount}`;
+}
+
+/**
+ * Hash a string to a short base-36 token (32-bit FNV-1a)
+ * Not cryptographic; only used to derive stable ID prefixes from content.
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Turn a user-set slug (%%idPrefix) into a valid XML id prefix
+ */
+function slugifyIdPrefix(slug) {
+  const cleaned = String(slug || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  if (!cleaned) return null;
+  // XML ids must start with a letter or underscore
+  return /^[a-z_]/.test(cleaned) ? cleaned : `mmd-${cleaned}`;
+}
+
+/**
+ * Get the ID prefix for a diagram: the user's %%idPrefix slug if set,
+ * otherwise a hash of the source so identical diagrams get identical files
+ */
+function getSvgIdPrefix(mermaidSource, metadata = {}) {
+  return metadata.idPrefix || `mmd-${hashString(mermaidSource)}`;
+}
+
+/**
+ * Namespace every id in the SVG and rewrite all references to match
+ * Mermaid renders every diagram with the same root id ("mermaid-diagram")
+ * and derives marker and node ids from it, so two inlined exports collide.
+ * The root id becomes the prefix itself, ids that start with the root id
+ * swap it for the prefix, and all other ids get "prefix-" in front.
+ *
+ * Rewritten references:
+ * - id attributes
+ * - href / xlink:href fragment links
+ * - url(#id) in any attribute, including style
+ * - ARIA id-reference attributes (labelledby, describedby, details, ...)
+ * - #id selectors and url(#id) inside <style> elements
+ */
+function namespaceSvgIds(svg, prefix) {
+  if (!prefix) return;
+
+  const rootId = svg.getAttribute('id') || '';
+  const idMap = new Map();
+  [svg, ...svg.querySelectorAll('[id]')].forEach(element => {
+    const id = element.getAttribute('id');
+    // Already namespaced (e.g. a re-run on exported output)
+    if (!id || idMap.has(id) || id === prefix || id.startsWith(`${prefix}-`) || id.startsWith(`${prefix}_`)) return;
+
+    let namespaced = `${prefix}-${id}`;
+    if (rootId && id === rootId) {
+      namespaced = prefix;
+    } else if (rootId && id.startsWith(rootId)) {
+      namespaced = prefix + id.slice(rootId.length);
+    }
+    idMap.set(id, namespaced);
+  });
+
+  if (idMap.size === 0) return;
+
+  const mapId = id => idMap.get(id) || id;
+  const mapUrls = value => value.replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g,
+    (match, quote, id) => (idMap.has(id) ? `url(${quote}#${mapId(id)}${quote})` : match));
+  const idRefAttributes = ['aria-labelledby', 'aria-describedby', 'aria-details', 'aria-flowto',
+    'aria-owns', 'aria-controls', 'aria-activedescendant', 'aria-errormessage'];
+
+  [svg, ...svg.querySelectorAll('*')].forEach(element => {
+    Array.from(element.attributes).forEach(attr => {
+      let value = attr.value;
+      if (attr.name === 'id') {
+        value = mapId(value);
+      } else if (attr.localName === 'href' && value.startsWith('#')) {
+        value = `#${mapId(value.slice(1))}`;
+      } else if (idRefAttributes.includes(attr.name)) {
+        value = value.split(/\s+/).filter(Boolean).map(mapId).join(' ');
+      } else if (value.includes('url(')) {
+        value = mapUrls(value);
+      }
+      if (value !== attr.value) element.setAttributeNS(attr.namespaceURI, attr.name, value);
+    });
+  });
+
+  // Mermaid keys its whole stylesheet on "#mermaid-diagram"; only rewrite
+  // #name tokens that are real ids so hex colours are left alone
+  svg.querySelectorAll('style').forEach(style => {
+    const css = style.textContent;
+    const rewritten = mapUrls(css).replace(/#(-?[A-Za-z_][\w-]*)/g,
+      (match, id) => (idMap.has(id) ? `#${mapId(id)}` : match));
+    if (rewritten !== css) style.textContent = rewritten;
+  });
+
+  console.log(`[Namespace] Rewrote ${idMap.size} ids with prefix "${prefix}"`);
+}
+
+/**
+ * Classify an SVG element for the forced-colors stylesheet
+ * Returns 'marker', 'text', 'line' (stroke only, e.g. edges) or 'shape'
+ * (filled, e.g. node boxes), or null for elements that paint nothing and
+ * for pattern overlays, which keep their pattern fill.
+ */
+function getForcedColorsRole(element) {
+  const name = element.localName;
+  if (element.classList.contains('a11y-pattern-overlay')) return null;
+  if (element.closest('marker, pattern')) {
+    return ['path', 'circle', 'polygon', 'polyline', 'line', 'rect', 'ellipse'].includes(name) ? 'marker' : null;
+  }
+  if (name === 'text' || name === 'tspan') return 'text';
+  if (name === 'line' || name === 'polyline') return 'line';
+  if (!['path', 'rect', 'circle', 'ellipse', 'polygon'].includes(name)) return null;
+
+  if (name !== 'path') return 'shape';
+
+  // Edges are unfilled paths; Mermaid sets fill:none inline or names them by role
+  const fill = element.style?.getPropertyValue('fill') || element.getAttribute('fill') || '';
+  if (fill.trim() === 'none') return 'line';
+  const edgeClass = /(?:^|[\s_-])(?:link|edge|edgePaths?|relation|relationshipLine|transition|messageLine\d*|arrow)(?:$|[\s_-])/i;
+  for (let node = element; node && node.localName !== 'svg'; node = node.parentElement) {
+    if (edgeClass.test(node.getAttribute('class') || '')) return 'line';
+  }
+  return 'shape';
+}
+
+/**
+ * Stylesheet rules mapping a diagram to system colours
+ * Shared by the exported @media (forced-colors: active) block and the
+ * preview simulation. Links (clickable nodes) use LinkText. Chart series
+ * are filled with their pattern rather than Canvas so they stay apart; the
+ * export passes only the patterns it defines.
+ */
+function getForcedColorsCss(rootId, patternNames = CONFIG.chartPatterns) {
+  const root = rootId ? `#${rootId}` : 'svg';
+  const patternRules = patternNames.map(name =>
+    `${root} .a11y-fc-pattern-${name} { fill: url(#${rootId || 'chart'}-fc-pattern-${name}) !important; }`);
+  return [
+    `${root} { color: CanvasText; background-color: Canvas; forced-color-adjust: none; }`,
+    `${root} .a11y-fc-shape { fill: Canvas !important; stroke: CanvasText !important; }`,
+    `${root} .a11y-fc-line { stroke: CanvasText !important; }`,
+    `${root} .a11y-fc-marker { fill: CanvasText !important; stroke: CanvasText !important; }`,
+    `${root} .a11y-fc-text { fill: CanvasText !important; stroke: none !important; }`,
+    `${root} foreignObject * { color: CanvasText !important; background-color: Canvas !important; border-color: CanvasText !important; }`,
+    `${root} a .a11y-fc-text, ${root} a foreignObject * { fill: LinkText !important; color: LinkText !important; }`,
+    `${root} a .a11y-fc-shape, ${root} a .a11y-fc-line { stroke: LinkText !important; }`,
+    ...patternRules,
+  ].join('\n');
+}
+
+/**
+ * Add an @media (forced-colors: active) block to the SVG
+ * Mermaid paints with fixed colours (often inline) that Windows High
+ * Contrast does not replace, so each painted element gets a role class and
+ * the block maps the roles to Canvas, CanvasText and LinkText. Chart series
+ * would all turn Canvas, so each also gets the class of its series pattern
+ * (see applyChartPatterns), defined here and only used by the block.
+ * Replaces a block added by an earlier pass.
+ */
+function addForcedColorsStyles(svg) {
+  svg.querySelectorAll('style.a11y-forced-colors, defs.a11y-fc-patterns').forEach(el => el.remove());
+
+  const series = collectChartSeries(svg);
+  const added = new Set();
+  if (series.length) {
+    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    defs.setAttribute('class', 'a11y-fc-patterns');
+    series.forEach(({ index, shapes }) => {
+      const name = CONFIG.chartPatterns[index % CONFIG.chartPatterns.length];
+      if (!added.has(name)) {
+        defs.appendChild(createChartPattern(`${svg.getAttribute('id') || 'chart'}-fc-pattern-${name}`, name));
+        added.add(name);
+      }
+      shapes.forEach(shape => shape.classList.add(`a11y-fc-pattern-${name}`));
+    });
+    svg.appendChild(defs);
+  }
+
+  const counts = {};
+  svg.querySelectorAll('*').forEach(element => {
+    const role = getForcedColorsRole(element);
+    if (!role) return;
+    element.classList.add(`a11y-fc-${role}`);
+    counts[role] = (counts[role] || 0) + 1;
+  });
+
+  const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.setAttribute('class', 'a11y-forced-colors');
+  style.textContent = `@media (forced-colors: active) {\n${getForcedColorsCss(svg.getAttribute('id'), [...added])}\n}`;
+  svg.appendChild(style);
+
+  console.log('[ForcedColors] Added system colour styles:', counts);
 }
 
 /**
  * Apply accessibility transformations to SVG
  * Implements Carie Fisher Pattern 11: <svg> + role="img" + <title> + <desc> + aria-labelledby
+ * The Mermaid source is optional; diagram-specific passes use it to recover
+ * details (senders, arrow types, aliases) that the rendered SVG does not carry.
  */
-function applyAccessibilityTransformations(svgString, metadata) {
+function applyAccessibilityTransformations(svgString, metadata, mermaidSource = '') {
   const parser = new DOMParser();
   const doc = parser.parseFromString(svgString, 'image/svg+xml');
   const svg = doc.documentElement;
@@ -258,7 +584,8 @@ function applyAccessibilityTransformations(svgString, metadata) {
   // Ensure required root attributes
   svg.setAttribute('role', 'img');
   
-  // Generate IDs if not present
+  // Generate IDs if not present, counting from 1 so each render matches
+  STATE.a11yIdCount = 0;
   const titleId = generateUniqueId('title');
   const descId = generateUniqueId('desc');
   
@@ -293,7 +620,44 @@ function applyAccessibilityTransformations(svgString, metadata) {
   
   // Apply flowchart-specific transformations (Léonie Watson / Ashley Sheridan pattern)
   applyFlowchartSemantics(svg);
-  
+
+  // Apply sequence-specific transformations (participants and messages as lists)
+  applySequenceSemantics(svg, mermaidSource);
+
+  // Apply state-diagram transformations (states, transitions, composites)
+  applyStateSemantics(svg, mermaidSource);
+
+  // Apply entity-relationship transformations (entities as tables)
+  applyErSemantics(svg, mermaidSource);
+
+  // Apply pie chart transformations (slices named with value and percentage)
+  applyPieSemantics(svg, mermaidSource);
+
+  // Apply Gantt transformations (tasks as table rows grouped by section)
+  applyGanttSemantics(svg, mermaidSource);
+
+  // Apply class-diagram transformations (members by visibility, relationships)
+  applyClassSemantics(svg, mermaidSource);
+
+  // Apply mindmap transformations (nodes as a tree with levels)
+  applyMindmapSemantics(svg, mermaidSource);
+
+  // Apply user journey transformations (tasks named with score and actors)
+  applyJourneySemantics(svg, mermaidSource);
+
+  // Children of role="img" are presentational, so once a pass above has added
+  // structure the root becomes a group, still named by aria-labelledby
+  if (svg.querySelector('[role]')) svg.setAttribute('role', 'group');
+
+  // Optional textures so chart series don't rely on colour alone
+  if (STATE.patternFills) applyChartPatterns(svg);
+
+  // Map colours to system colours under forced-colors (Windows High Contrast)
+  addForcedColorsStyles(svg);
+
+  // Namespace ids last so the ids added above are covered; stable across renders
+  namespaceSvgIds(svg, getSvgIdPrefix(mermaidSource, metadata));
+
   // Preserve xmlns namespace for standalone SVG usage
   svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
   
@@ -373,6 +737,232 @@ function validateSvgHasContent(svgString) {
   }
 }
 
+/**
+ * Check an SVG string against the studio's accessibility rules
+ * - every aria-labelledby/aria-describedby id exists
+ * - ids are unique
+ * - <title> is the first child of the root
+ * - role="listitem" sits inside a role="list" (or is owned by one via aria-owns)
+ * - nothing focusable is aria-hidden
+ * Returns a list of { rule, message } violations (empty when the SVG passes).
+ */
+function validateSvgAccessibility(svgString) {
+  const doc = new DOMParser().parseFromString(svgString || '', 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (doc.querySelector('parsererror') || svg?.localName !== 'svg') {
+    return [{ rule: 'parse', message: 'SVG could not be parsed' }];
+  }
+
+  const violations = [];
+  const elements = [svg, ...svg.querySelectorAll('*')];
+  const describe = el => `<${el.localName}${el.id ? ` id="${el.id}"` : ''}>`;
+
+  const idCounts = new Map();
+  elements.forEach(el => {
+    if (el.id) idCounts.set(el.id, (idCounts.get(el.id) || 0) + 1);
+  });
+  idCounts.forEach((count, id) => {
+    if (count > 1) violations.push({ rule: 'duplicate-id', message: `id "${id}" is used ${count} times` });
+  });
+
+  elements.forEach(el => {
+    ['aria-labelledby', 'aria-describedby'].forEach(attr => {
+      (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach(id => {
+        if (!idCounts.has(id)) {
+          violations.push({ rule: 'aria-reference', message: `${attr} on ${describe(el)} points to missing id "${id}"` });
+        }
+      });
+    });
+  });
+
+  const first = svg.firstElementChild;
+  if (first?.localName !== 'title') {
+    violations.push({
+      rule: 'title-first',
+      message: svg.querySelector(':scope > title')
+        ? `<title> must be the first child of the root <svg> (found ${describe(first)} first)`
+        : 'The root <svg> has no <title>',
+    });
+  }
+
+  const owned = new Set();
+  svg.querySelectorAll('[role="list"][aria-owns]').forEach(list => {
+    list.getAttribute('aria-owns').split(/\s+/).forEach(id => owned.add(id));
+  });
+  svg.querySelectorAll('[role="listitem"]').forEach(item => {
+    if (!item.parentElement?.closest('[role="list"]') && !owned.has(item.id)) {
+      violations.push({ rule: 'listitem-parent', message: `role="listitem" on ${describe(item)} has no role="list" ancestor` });
+    }
+  });
+
+  const focusableTags = ['button', 'input', 'select', 'textarea', 'iframe'];
+  elements.forEach(el => {
+    const focusable = el.hasAttribute('tabindex')
+      || (el.localName === 'a' && (el.hasAttribute('href') || el.hasAttributeNS('http://www.w3.org/1999/xlink', 'href')))
+      || focusableTags.includes(el.localName);
+    if (focusable && el.closest('[aria-hidden="true"]')) {
+      violations.push({ rule: 'focusable-hidden', message: `Focusable ${describe(el)} is hidden with aria-hidden="true"` });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Run the accessibility rules on the output of each pipeline step
+ * (transform or manual edit, formatSvg, optimizeSvg) and show the result.
+ * A violation found in several steps is listed once with all of them.
+ */
+function checkSvgPipeline() {
+  const steps = [
+    [STATE.svgOrigin === 'edit' ? 'manual edit' : 'transform', STATE.currentSvg],
+    ['formatSvg', STATE.beautifiedSvg],
+    ['optimizeSvg', STATE.optimizedSvg],
+  ];
+  const found = new Map();
+  steps.forEach(([step, svgString]) => {
+    if (!svgString) return;
+    validateSvgAccessibility(svgString).forEach(violation => {
+      if (!found.has(violation.message)) found.set(violation.message, { ...violation, steps: [] });
+      found.get(violation.message).steps.push(step);
+    });
+  });
+
+  STATE.svgViolations = Array.from(found.values());
+  if (STATE.svgViolations.length) console.warn('[SvgRules] violations:', STATE.svgViolations);
+  setSvgRuleReport(STATE.svgViolations);
+  return STATE.svgViolations;
+}
+
+/**
+ * Show rule violations next to the SVG code (hidden when there are none)
+ */
+function setSvgRuleReport(violations) {
+  const panel = document.getElementById('svg-rules');
+  const summary = document.getElementById('svg-rules-summary');
+  const list = document.getElementById('svg-rules-list');
+  if (!panel || !summary || !list) return;
+
+  list.innerHTML = '';
+  if (!violations.length) {
+    panel.setAttribute('hidden', '');
+    return;
+  }
+
+  summary.textContent = `SVG checks: ${violations.length} ${violations.length === 1 ? 'problem' : 'problems'}`;
+  violations.forEach(violation => {
+    const li = document.createElement('li');
+    li.textContent = `${violation.message} (after ${violation.steps.join(', ')})`;
+    list.appendChild(li);
+  });
+  panel.removeAttribute('hidden');
+}
+
+/**
+ * Check the SVG about to be exported; false (with an error) when it breaks
+ * a rule and the user hasn't chosen to export anyway
+ */
+function confirmSvgExport(svgString) {
+  const violations = validateSvgAccessibility(svgString);
+  if (!violations.length || document.getElementById('svg-rules-override')?.checked) return true;
+
+  // Export steps (narrative, colour scheme, interactivity) can add their own problems
+  const known = new Set(STATE.svgViolations.map(violation => violation.message));
+  setSvgRuleReport([
+    ...STATE.svgViolations,
+    ...violations.filter(violation => !known.has(violation.message)).map(violation => ({ ...violation, steps: ['export'] })),
+  ]);
+  showError(`Export blocked: ${violations[0].message}${violations.length > 1 ? ` and ${violations.length - 1} more` : ''}. Fix the SVG or tick "Export anyway".`);
+  return false;
+}
+
+/**
+ * Work out the on-screen font size of every label when the SVG is shown in
+ * a container of the given width
+ * The SVG scales to its container (width: 100%) up to its max-width, or
+ * keeps a fixed pixel width; labels scale by that width over the viewBox
+ * width and by any scale in their transforms. Returns null without a viewBox.
+ */
+function auditTextSize(svg, containerWidth, minSize) {
+  const viewBoxWidth = Number((svg?.getAttribute('viewBox') || '').trim().split(/[\s,]+/)[2]);
+  if (!viewBoxWidth) return null;
+
+  const pixels = value => (value && !/%$/.test(value.trim()) ? parseFloat(value) : NaN);
+  const fixedWidth = pixels(svg.style?.getPropertyValue('width')) || (!svg.style?.getPropertyValue('width') && pixels(svg.getAttribute('width')));
+  const maxWidth = fixedWidth || pixels(svg.style?.getPropertyValue('max-width')) || Infinity;
+  const renderedWidth = Math.min(containerWidth, maxWidth);
+
+  const toPixels = value => {
+    const size = parseFloat(value);
+    if (Number.isNaN(size)) return 16;
+    if (/r?em$/.test(value)) return size * 16;
+    if (/%$/.test(value)) return (size / 100) * 16;
+    if (/pt$/.test(value)) return (size * 4) / 3;
+    return size;
+  };
+  const transformScale = element => {
+    let scale = 1;
+    for (let node = element; node && node !== svg; node = node.parentNode) {
+      const transform = node.getAttribute?.('transform') || '';
+      for (const [, fn, args] of transform.matchAll(/(matrix|scale)\(([^)]*)\)/g)) {
+        const n = args.split(/[\s,]+/).filter(Boolean).map(Number);
+        scale *= fn === 'scale'
+          ? Math.sqrt(Math.abs(n[0] * (n[1] ?? n[0])))
+          : Math.sqrt(Math.abs(n[0] * n[3] - n[1] * n[2]));
+      }
+    }
+    return scale;
+  };
+
+  const hasOwnText = el => Array.from(el.childNodes)
+    .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  const labels = [
+    ...Array.from(svg.querySelectorAll('text')),
+    ...Array.from(svg.querySelectorAll('foreignObject *')).filter(hasOwnText),
+  ].map(element => {
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (!text || !isElementRendered(element)) return null;
+    const fontSize = toPixels(getEffectiveStyle(element, 'font-size'));
+    const diagramSize = fontSize * transformScale(element);
+    const renderedSize = Math.round(diagramSize * (renderedWidth / viewBoxWidth) * 10) / 10;
+    return { element, text, fontSize, diagramSize, renderedSize, pass: renderedSize >= minSize };
+  }).filter(Boolean);
+  if (!labels.length) return null;
+
+  // Width at which the smallest label reaches the threshold (rounded up to 10px)
+  const smallest = labels.reduce((a, b) => (b.diagramSize < a.diagramSize ? b : a));
+  const neededWidth = Math.ceil(((minSize * viewBoxWidth) / smallest.diagramSize - 0.001) / 10) * 10;
+  const minimumWidth = Number.isFinite(neededWidth) && neededWidth <= maxWidth ? neededWidth : null;
+
+  const failing = labels.filter(label => !label.pass);
+  console.log(`[TextSize] ${failing.length} of ${labels.length} labels below ${minSize}px at ${containerWidth}px`);
+  return { containerWidth, minSize, renderedWidth, maxWidth, labels, failing, smallest, minimumWidth };
+}
+
+/**
+ * Turn a text size audit into render report items
+ */
+function getTextSizeHelpItems(audit) {
+  if (!audit) return [];
+  const { containerWidth, minSize, maxWidth, labels, failing, smallest, minimumWidth } = audit;
+  if (!failing.length) {
+    return [{ message: `Text size at ${containerWidth}px wide: all ${labels.length} labels are at least ${minSize}px (smallest ${smallest.renderedSize}px).` }];
+  }
+
+  const advice = minimumWidth
+    ? `Readable from ${minimumWidth}px wide.`
+    : `Too small at any width (the SVG stops growing at ${maxWidth}px); increase the font size, e.g. with a themeVariables fontSize.`;
+  const items = [{
+    message: `Text size at ${containerWidth}px wide: ${failing.length} of ${labels.length} labels render below ${minSize}px ` +
+      `(smallest ${smallest.renderedSize}px, "${smallest.text}"). ${advice}`,
+  }];
+  failing.slice(0, 10).forEach(label => {
+    items.push({ message: `"${label.text}" renders at ${label.renderedSize}px (${label.fontSize}px in the diagram)` });
+  });
+  if (failing.length > 10) items.push({ message: `…and ${failing.length - 10} more small labels` });
+  return items;
+}
+
 /**
  * Update the render help panel with lint/parse hints
  */
@@ -430,12 +1020,282 @@ function lintMermaidSource(source, diagramType) {
     if (!/\[\*\]/.test(source)) warnings.push({ message: 'State: include start/end markers [*]' });
   }
 
+  // Colour as the only difference between styled nodes or links (WCAG 1.4.1)
+  if (trimmedType === 'flowchart') {
+    findColorOnlyStyles(source).forEach(group => {
+      warnings.push({ message: describeColorOnlyGroup(group), line: group.rules.find(rule => rule.line)?.line });
+    });
+  }
+
   // Generic structure guard
   if (!source.includes('\n')) warnings.push({ message: 'Add line breaks for readability and parsing' });
 
   return warnings;
 }
 
+/**
+ * Parse a Mermaid style list ("fill:#f9f,stroke-width:4px") into a Map
+ * Commas inside parentheses or escaped as "\," don't split; names and values
+ * are lowercased with whitespace collapsed so equal styles compare equal.
+ */
+function parseStyleProperties(text) {
+  const properties = new Map();
+  (text || '').split(/(?<!\\),(?![^(]*\))|;/).forEach(part => {
+    const index = part.indexOf(':');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim().toLowerCase();
+    const value = part.slice(index + 1).replace(/\\,/g, ',').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (name && value) properties.set(name, value);
+  });
+  return properties;
+}
+
+/**
+ * Parse the nodes, links and style rules of a flowchart source
+ * Links are numbered in declaration order (as linkStyle counts them), with
+ * "A & B --> C" expanding to one link per pair. Line numbers are 1-based
+ * lines of the full source.
+ */
+function parseFlowchartStyling(source) {
+  const nodes = new Map();
+  const links = [];
+  const rules = [];
+  const closers = {
+    '(((': ')))', '((': '))', '([': '])', '[[': ']]', '[(': ')]', '{{': '}}',
+    '[/': ['/]', '\\]'], '[\\': ['\\]', '/]'], '(': ')', '[': ']', '{': '}', '>': ']',
+  };
+  const nodePattern = /\s*(\w+)(\(\(\(|\(\(|\(\[|\[\[|\[\(|\{\{|\[\/|\[\\|\(|\[|\{|>)?/y;
+  const linkPattern = /\s*(<)?(?:(--|==|-\.)\s+([^|]*?)\s+)?(-{2,}|={2,}|\.-+|-?\.+-|~{3,})([>ox])?(?:\|([^|]*)\|)?/y;
+
+  const addNode = (id, shape, label, classes, line) => {
+    const node = nodes.get(id) || { id, shape: '[', label: id, classes: new Set(), line };
+    if (shape) {
+      node.shape = shape;
+      node.label = label;
+    }
+    classes.forEach(name => node.classes.add(name));
+    nodes.set(id, node);
+    return node;
+  };
+
+  // Read one node (id, optional shape with label, optional :::class) at pos
+  const readNode = (text, pos, line) => {
+    nodePattern.lastIndex = pos;
+    const match = nodePattern.exec(text);
+    if (!match) return null;
+    let end = nodePattern.lastIndex;
+    let label = '';
+    const shape = match[2];
+    if (shape) {
+      let start = end;
+      if (text[start] === '"') start = text.indexOf('"', start + 1) + 1 || text.length;
+      const candidates = [].concat(closers[shape]).map(closer => text.indexOf(closer, start)).filter(index => index >= 0);
+      const close = candidates.length ? Math.min(...candidates) : text.length;
+      label = text.slice(end, close).replace(/^"|"$/g, '').trim();
+      end = close + [].concat(closers[shape])[0].length;
+    }
+    const classes = [];
+    const classMatch = /^:::([\w-]+)/.exec(text.slice(end));
+    if (classMatch) {
+      classes.push(classMatch[1]);
+      end += classMatch[0].length;
+    }
+    return { node: addNode(match[1], shape, label, classes, line), end };
+  };
+
+  const lines = source.split('\n');
+  let inFrontmatter = lines[0]?.trim() === '---';
+  let headerSeen = false;
+
+  lines.forEach((rawLine, index) => {
+    const line = index + 1;
+    const text = rawLine.trim();
+    if (inFrontmatter) {
+      if (index > 0 && text === '---') inFrontmatter = false;
+      return;
+    }
+    if (!text || text.startsWith('%%')) return;
+    if (!headerSeen) {
+      headerSeen = true;
+      return;
+    }
+
+    let match;
+    if ((match = text.match(/^classDef\s+([\w-]+(?:\s*,\s*[\w-]+)*)\s+(.+?);?$/))) {
+      match[1].split(/\s*,\s*/).forEach(name => {
+        rules.push({ kind: 'classDef', name, properties: parseStyleProperties(match[2]), line });
+      });
+      return;
+    }
+    if ((match = text.match(/^style\s+(\w+)\s+(.+?);?$/))) {
+      rules.push({ kind: 'style', name: match[1], properties: parseStyleProperties(match[2]), line });
+      return;
+    }
+    if ((match = text.match(/^linkStyle\s+(default|\d+(?:\s*,\s*\d+)*)\s+(.+?);?$/))) {
+      rules.push({ kind: 'linkStyle', name: match[1].replace(/\s+/g, ''), properties: parseStyleProperties(match[2]), line });
+      return;
+    }
+    if ((match = text.match(/^class\s+(.+?)\s+([\w-]+);?$/))) {
+      match[1].split(/\s*,\s*/).forEach(id => addNode(id.trim(), null, '', [match[2]], line));
+      return;
+    }
+    if (/^(subgraph|end|direction|click|accTitle|accDescr)\b/.test(text)) return;
+
+    text.split(';').forEach(statement => {
+      const groups = [];
+      const operators = [];
+      let pos = 0;
+      while (pos < statement.length) {
+        const group = [];
+        let read = readNode(statement, pos, line);
+        while (read) {
+          group.push(read.node);
+          pos = read.end;
+          const amp = /^\s*&/.exec(statement.slice(pos));
+          if (!amp) break;
+          read = readNode(statement, pos + amp[0].length, line);
+        }
+        if (!group.length) break;
+        groups.push(group);
+
+        linkPattern.lastIndex = pos;
+        const link = linkPattern.exec(statement);
+        if (!link) break;
+        const body = link[4];
+        const type = body.includes('.') ? 'dotted' : body.includes('=') ? 'thick' : body.includes('~') ? 'invisible' : 'solid';
+        operators.push({ type, head: `${link[1] ? '<' : ''}${link[5] || ''}`, label: (link[3] || link[6] || '').trim() });
+        pos = linkPattern.lastIndex;
+      }
+
+      operators.forEach((operator, i) => {
+        if (!groups[i + 1]) return;
+        groups[i].forEach(from => groups[i + 1].forEach(to => {
+          links.push({ index: links.length, from: from.id, to: to.id, ...operator, line });
+        }));
+      });
+    });
+  });
+
+  return { nodes, links, rules };
+}
+
+/**
+ * Find styled nodes or links that differ from each other only in colour
+ * (WCAG 1.4.1 Use of Color). Two rules are confused when their non-colour
+ * properties match (stroke-width, stroke-dasharray, fonts), the shapes or
+ * line types of their nodes or links overlap, and no text marker (leading
+ * or trailing symbol, [tag] or (tag)) sets their labels apart. Unstyled
+ * nodes and links count as one more rule. Returns the confusable groups.
+ */
+function findColorOnlyStyles(source) {
+  const { nodes, links, rules } = parseFlowchartStyling(source);
+  const colorProperties = ['fill', 'stroke', 'color', 'background', 'background-color', 'border-color'];
+  const split = properties => {
+    const colors = [];
+    const others = [];
+    properties.forEach((value, name) => (colorProperties.includes(name) ? colors : others).push(`${name}:${value}`));
+    return { colors: colors.sort().join(';'), others: others.sort().join(';') };
+  };
+  const markerOf = label => {
+    const match = (label || '').match(/^\s*([^\p{L}\p{N}\s"'`]+|\[[^\]]+\]|\([^)]+\))/u) ||
+      (label || '').match(/([^\p{L}\p{N}\s"'`.,!?]+|\[[^\]]+\]|\([^)]+\))\s*$/u);
+    return match ? match[1].toLowerCase() : '';
+  };
+  const groupMarker = members => {
+    const markers = new Set(members.map(member => markerOf(member.label)));
+    return markers.size === 1 ? [...markers][0] : null;
+  };
+
+  const nodeRules = [];
+  const defaultClass = rules.find(rule => rule.kind === 'classDef' && rule.name === 'default');
+  const styledIds = new Set(rules.filter(rule => rule.kind === 'style').map(rule => rule.name));
+  rules.filter(rule => rule.kind === 'classDef' && rule.name !== 'default').forEach(rule => {
+    const members = [...nodes.values()].filter(node => node.classes.has(rule.name));
+    nodeRules.push({ ...rule, members });
+  });
+  rules.filter(rule => rule.kind === 'style').forEach(rule => {
+    nodeRules.push({ ...rule, members: nodes.has(rule.name) ? [nodes.get(rule.name)] : [] });
+  });
+  if (nodeRules.length) {
+    nodeRules.push({
+      kind: 'default',
+      name: 'default',
+      properties: defaultClass?.properties || new Map(),
+      line: defaultClass?.line,
+      members: [...nodes.values()].filter(node => !node.classes.size && !styledIds.has(node.id)),
+    });
+  }
+
+  const linkRules = [];
+  const defaultLinks = rules.find(rule => rule.kind === 'linkStyle' && rule.name === 'default');
+  const styledLinks = new Set();
+  rules.filter(rule => rule.kind === 'linkStyle' && rule.name !== 'default').forEach(rule => {
+    const indexes = rule.name.split(',').map(Number);
+    indexes.forEach(index => styledLinks.add(index));
+    linkRules.push({ ...rule, members: links.filter(link => indexes.includes(link.index)) });
+  });
+  if (linkRules.length) {
+    linkRules.push({
+      kind: 'default',
+      name: 'default',
+      properties: defaultLinks?.properties || new Map(),
+      line: defaultLinks?.line,
+      members: links.filter(link => !styledLinks.has(link.index)),
+    });
+  }
+
+  const groups = [];
+  [['node', nodeRules, member => member.shape], ['link', linkRules, member => `${member.type}${member.head}`]].forEach(([family, familyRules, shapeOf]) => {
+    const candidates = familyRules.filter(rule => rule.members.length).map(rule => ({
+      rule,
+      ...split(rule.properties),
+      shapes: new Set(rule.members.map(shapeOf)),
+      marker: groupMarker(family === 'node' ? rule.members : rule.members.map(link => ({ label: link.label }))),
+    }));
+
+    // Union rules that are confusable with each other
+    const parent = candidates.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    candidates.forEach((a, i) => candidates.slice(i + 1).forEach((b, offset) => {
+      const confusable = a.colors !== b.colors && a.others === b.others &&
+        [...a.shapes].some(shape => b.shapes.has(shape)) &&
+        (a.marker === b.marker || a.marker === null || b.marker === null);
+      if (confusable) parent[find(i + 1 + offset)] = find(i);
+    }));
+
+    const components = new Map();
+    candidates.forEach((candidate, index) => {
+      const root = find(index);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(candidate.rule);
+    });
+    components.forEach(members => {
+      if (members.length > 1) groups.push({ family, rules: members });
+    });
+  });
+
+  if (groups.length) console.log(`[ColorOnly] ${groups.length} group(s) differ only in colour`);
+  return groups;
+}
+
+/**
+ * Describe a colour-only group as a lint warning, with nodes or links and lines
+ */
+function describeColorOnlyGroup(group) {
+  const describeMember = member => (group.family === 'node'
+    ? `${member.id} (line ${member.line})`
+    : `link ${member.index} ${member.from} → ${member.to} (line ${member.line})`);
+  const describeRule = rule => {
+    const members = rule.members.map(describeMember).join(', ');
+    if (rule.kind === 'default') return `unstyled ${group.family}s: ${members}`;
+    return `${rule.kind} ${rule.name} on line ${rule.line}: ${members}`;
+  };
+  const fix = group.family === 'node'
+    ? 'add a text marker to the labels (e.g. "✓ Done", "[Blocked]") or give one rule a dashed (stroke-dasharray) or thick (stroke-width) border'
+    : 'add link labels or make one kind dotted (-.->) or thick (==>), or set stroke-dasharray/stroke-width';
+  return `Colour alone distinguishes ${group.rules.map(describeRule).join('; ')} (WCAG 1.4.1 Use of Color): ${fix}`;
+}
+
 /**
  * Try to extract a line number from a Mermaid parse error
  */
@@ -455,11 +1315,13 @@ function extractMermaidErrorLine(err) {
  * https://tink.uk/accessible-svg-flowcharts/
  * 
  * Key transformations:
- * - Wrap flowchart nodes in role="list" group
+ * - Expose Mermaid's g.nodes containers as role="list"
  * - Mark each node as role="listitem"
  * - Add <title> to each node with its text content
  * - Hide decorative shapes with aria-hidden="true"
- * - Hide arrows/connectors with aria-hidden="true"
+ * - Describe each node's outgoing connections and edge labels in a <desc>
+ *   referenced by aria-describedby, with aria-flowto pointing at the targets
+ * - Hide arrows/connectors with aria-hidden="true" once they are described
  */
 function extractNodeLabel(node) {
   // Collect potential text sources in order of reliability
@@ -500,25 +1362,22 @@ function applyFlowchartSemantics(svg) {
     return; // Not a flowchart
   }
   
-  console.log('[Flowchart] Detected flowchart, applying semantic transformations');
-  
   // Find all node groups (Mermaid uses class "node" for flowchart nodes)
   const nodeGroups = svg.querySelectorAll('g.node');
+  if (nodeGroups.length === 0) return;
   
-  if (nodeGroups.length === 0) {
-    console.log('[Flowchart] No nodes found');
-    return;
-  }
+  console.log(`[Flowchart] Detected flowchart with ${nodeGroups.length} nodes, applying semantic transformations`);
   
-  console.log(`[Flowchart] Found ${nodeGroups.length} nodes`);
-  
-  // Create a wrapper group with role="list"
-  const listGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  listGroup.setAttribute('role', 'list');
-  listGroup.setAttribute('aria-label', 'Flowchart nodes');
+  // Mermaid's node containers (one per subgraph level) become the lists,
+  // so each listitem has a list parent without changing the layout
+  nodeGroups.forEach(node => {
+    const container = node.parentNode.closest('g.nodes') || node.parentNode;
+    container.setAttribute('role', 'list');
+    container.setAttribute('aria-label', 'Flowchart nodes');
+  });
   
   // Process each node
-  nodeGroups.forEach((node, index) => {
+  nodeGroups.forEach(node => {
     // Add role="listitem" to the node group
     node.setAttribute('role', 'listitem');
     
@@ -526,8 +1385,6 @@ function applyFlowchartSemantics(svg) {
     const textElements = node.querySelectorAll('text');
     const nodeText = extractNodeLabel(node);
     
-    console.log(`[Flowchart] Node ${index + 1}: "${nodeText}"`);
-    
     // Add a <title> element to the node for accessibility
     const existingTitle = node.querySelector('title');
     if (existingTitle) {
@@ -557,9 +1414,10 @@ function applyFlowchartSemantics(svg) {
     }
   });
   
+  describeFlowchartEdges(svg);
+
   // Hide edge/arrow groups (Mermaid uses class "edgePath" or "edgeLabel")
   const edges = svg.querySelectorAll('g.edgePath, g.edgeLabel, g.edgePaths');
-  console.log(`[Flowchart] Found ${edges.length} edges to hide`);
   edges.forEach(edge => {
     edge.setAttribute('aria-hidden', 'true');
   });
@@ -569,1311 +1427,3724 @@ function applyFlowchartSemantics(svg) {
   markers.forEach(marker => {
     marker.setAttribute('aria-hidden', 'true');
   });
-  
-  // Note: We're not wrapping nodes in the list group to preserve Mermaid's layout
-  // Instead, we're adding role="listitem" directly to existing node groups
-  // This is a pragmatic approach that preserves visual layout while adding semantics
 }
 
 /**
- * Check if browser AI is available (Chrome's Gemini Nano)
- * Sets STATE.aiAvailable based on detection
+ * Collect flowchart nodes (keyed by Mermaid node id) and the edges between them
+ * Edges carry their endpoints as "LS-{from} LE-{to}" classes; their labels are
+ * drawn in the same order in the sibling edgeLabels group
  */
-async function checkBrowserAIAvailability() {
-  try {
-    // Check for Chrome/Edge AI API (window.ai)
-    // Supported in: Chrome 128+, Edge 133+ (Chromium-based)
-    // Requires: OS support (Windows 11 24H2+, macOS 15.1+, Linux pending)
-    // User action: Must enable chrome://flags/#prompt-api-for-ai
-    if ('ai' in window && 'languageModel' in window.ai) {
-      console.log('[AI] Browser AI API detected (Chrome 128+/Edge 133+)');
-      
-      // Check if model is available
-      const capabilities = await window.ai.languageModel.capabilities();
-      console.log('[AI] Model capabilities:', capabilities);
-      
-      if (capabilities.available === 'readily') {
-        STATE.aiAvailable = true;
-        console.log('[AI] Model readily available');
-      } else if (capabilities.available === 'after-download') {
-        STATE.aiAvailable = true;
-        console.log('[AI] Model available after download (~2.5GB)');
-      } else {
-        STATE.aiAvailable = false;
-        console.log('[AI] Model not available:', capabilities.available);
-      }
-    } else {
-      STATE.aiAvailable = false;
-      console.log('[AI] Browser AI API not found. Check: Chrome 128+/Edge 133+ with feature enabled');
-    }
-  } catch (error) {
-    STATE.aiAvailable = false;
-    console.log('[AI] Error checking AI availability:', error);
-  }
+function collectFlowchartEdges(svg) {
+  const nodesById = new Map();
+  // Ids may carry a namespace prefix ("mmd-1x2y3z-flowchart-A-0")
+  svg.querySelectorAll('g.node[id*="flowchart-"]').forEach(node => {
+    const match = node.id.match(/(?:^|-)flowchart-(.+)-\d+$/);
+    if (match) nodesById.set(match[1], node);
+  });
+
+  const edges = [];
+  svg.querySelectorAll('g.edgePaths').forEach(container => {
+    const paths = Array.from(container.querySelectorAll(':scope > path.flowchart-link, :scope > g.edgePath'));
+    const labelContainer = container.parentNode.querySelector(':scope > g.edgeLabels');
+    const labels = labelContainer ? Array.from(labelContainer.querySelectorAll(':scope > g.edgeLabel')) : [];
+
+    paths.forEach((path, index) => {
+      const classes = (path.getAttribute('class') || '').split(/\s+/);
+      const from = classes.find(cls => cls.startsWith('LS-'))?.slice(3);
+      const to = classes.find(cls => cls.startsWith('LE-'))?.slice(3);
+      if (!nodesById.has(from) || !nodesById.has(to)) return;
+
+      const label = labels[index]?.textContent.replace(/\s+/g, ' ').trim() || '';
+      edges.push({ from, to, label });
+    });
+  });
+
+  return { nodesById, edges };
 }
 
 /**
- * Load AI preferences from localStorage
+ * Describe each flowchart node's outgoing connections
  */
-function loadAIPreferences() {
-  try {
-    const enabled = localStorage.getItem('a11y-mermaid-ai-enabled');
-    const audience = localStorage.getItem('a11y-mermaid-ai-audience');
-    
-    if (enabled !== null) {
-      STATE.aiEnabled = enabled === 'true';
-      console.log('[AI] Loaded preference: enabled =', STATE.aiEnabled);
-    }
-    
-    if (audience) {
-      STATE.aiAudience = audience;
-      console.log('[AI] Loaded preference: audience =', STATE.aiAudience);
+function describeFlowchartEdges(svg) {
+  const { nodesById, edges } = collectFlowchartEdges(svg);
+
+  const outgoing = new Map();
+  edges.forEach(({ from, to, label }) => {
+    if (!outgoing.has(from)) outgoing.set(from, []);
+    outgoing.get(from).push({ to, label });
+  });
+
+  nodesById.forEach((node, id) => {
+    const connections = outgoing.get(id) || [];
+    const descId = `${node.id}-connections`;
+    const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+    desc.setAttribute('id', descId);
+
+    if (connections.length === 0) {
+      desc.textContent = 'No outgoing connections';
+    } else {
+      const parts = connections.map(({ to, label }) => {
+        const target = extractNodeLabel(nodesById.get(to)) || to;
+        return label ? `${label}, to ${target}` : `to ${target}`;
+      });
+      desc.textContent = `${connections.length} outgoing ${connections.length === 1 ? 'connection' : 'connections'}: ${parts.join('; ')}`;
+      node.setAttribute('aria-flowto', [...new Set(connections.map(({ to }) => nodesById.get(to).id))].join(' '));
     }
-  } catch (error) {
-    console.error('[AI] Error loading preferences:', error);
-  }
+
+    // Keep <title> first so it stays the accessible name
+    const title = Array.from(node.children).find(child => child.localName === 'title');
+    node.insertBefore(desc, title ? title.nextSibling : node.firstChild);
+    node.setAttribute('aria-describedby', descId);
+  });
 }
 
 /**
- * Save AI preferences to localStorage
+ * Replace an element's own <title> with a new accessible name
+ * Only direct children are considered so nested titles are left alone
  */
-function saveAIPreferences() {
-  try {
-    localStorage.setItem('a11y-mermaid-ai-enabled', String(STATE.aiEnabled));
-    localStorage.setItem('a11y-mermaid-ai-audience', STATE.aiAudience);
-    console.log('[AI] Saved preferences');
-  } catch (error) {
-    console.error('[AI] Error saving preferences:', error);
-  }
+function setSvgTitle(element, text) {
+  const existing = Array.from(element.children).find(child => child.localName === 'title');
+  if (existing) existing.remove();
+  if (!text) return;
+
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = text;
+  element.insertBefore(title, element.firstChild);
 }
 
 /**
- * Show AI opt-in prompt (only once)
+ * Create an empty <g> carrying an ARIA role and optional accessible name
  */
-function showAIOptInPrompt() {
-  // Discovery model: don't force opt-in
-  // AI settings are available via the Settings button when AI is available
-  // User chooses to enable in settings, not via modal prompt
-  // This respects the principle of not being "in your face"
-  
-  // Only initialize preferences if not already set
-  if (STATE.aiAvailable && STATE.aiEnabled === null) {
-    // Default to disabled, user can opt-in via settings button
-    STATE.aiEnabled = false;
-    saveAIPreferences();
-  }
+function createSemanticGroup(role, label) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.setAttribute('role', role);
+  if (label) group.setAttribute('aria-label', label);
+  return group;
 }
 
 /**
- * Get audience description for AI prompt
+ * Parse participants and messages from sequence diagram source
+ * Messages are returned in source order, which is also Mermaid's drawing order.
+ * `steps` holds the same messages with notes, activations and
+ * loop/alt/opt/par/critical/break blocks as a tree; each block has one
+ * branch per else/and/option. Messages get a `number` while autonumber is on.
+ * Based on https://mermaid.js.org/syntax/sequenceDiagram.html
  */
-function getAudienceDescription() {
-  const descriptions = {
-    general: 'a general audience with mixed technical backgrounds',
-    technical: 'software developers and technical professionals',
-    nontechnical: 'non-technical stakeholders and business users',
-    students: 'students learning about the subject matter',
-    executives: 'executives and decision-makers focused on high-level insights'
+function parseSequenceSource(source) {
+  // Longest arrow tokens first so `-->>` is not read as `-->` followed by `>`
+  const arrows = {
+    '-->>': { line: 'dotted', mode: 'reply' },
+    '->>': { line: 'solid', mode: 'synchronous' },
+    '--x': { line: 'dotted', mode: 'cancelled' },
+    '-x': { line: 'solid', mode: 'cancelled' },
+    '--)': { line: 'dotted', mode: 'asynchronous' },
+    '-)': { line: 'solid', mode: 'asynchronous' },
+    '-->': { line: 'dotted', mode: 'reply' },
+    '->': { line: 'solid', mode: 'synchronous' },
   };
-  return descriptions[STATE.aiAudience] || descriptions.general;
-}
 
-/**
- * Extract visual context from SVG for AI analysis
- * Provides a text-based summary of visual structure
- */
-function extractSVGContext() {
-  try {
-    const svgElement = document.querySelector('svg[data-mermaid-id]');
-    if (!svgElement) return '';
-    
-    // Extract text labels from SVG
-    const textElements = svgElement.querySelectorAll('text');
-    const labels = Array.from(textElements)
-      .map(el => el.textContent?.trim())
-      .filter(text => text && text.length > 0 && text.length < 100)
-      .slice(0, 20); // Limit to prevent excessive data
-    
-    // Extract group roles (accessibility structure)
-    const groups = svgElement.querySelectorAll('[role="list"], [role="listitem"]');
-    const hasAccessibleStructure = groups.length > 0;
-    
-    // Build context string
-    let context = '';
-    if (hasAccessibleStructure) {
-      context += 'The diagram has accessible semantic structure (role="list" containers with role="listitem" elements).\n';
+  const participants = new Map();
+  const messages = [];
+  const steps = [];
+  // Open blocks, innermost last; box and rect only highlight, so they add no level
+  const stack = [{ steps }];
+  const currentSteps = () => stack[stack.length - 1].steps;
+  let numbering = null;
+
+  const addParticipant = (id, label, type) => {
+    if (!participants.has(id)) {
+      participants.set(id, { id, label: label || id, type: type || 'participant' });
     }
-    if (labels.length > 0) {
-      context += `Visual elements detected: ${labels.join(', ')}.\n`;
+  };
+
+  const lines = skipFrontmatter(source || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('%%'))
+    .slice(1); // Skip "sequenceDiagram" declaration
+
+  lines.forEach(line => {
+    // autonumber / autonumber 10 / autonumber 10 5 / autonumber off
+    const autonumberMatch = line.match(/^autonumber(?:\s+(off)|\s+(\d+)(?:\s+(\d+))?)?$/i);
+    if (autonumberMatch) {
+      numbering = autonumberMatch[1]
+        ? null
+        : { next: Number(autonumberMatch[2] || 1), step: Number(autonumberMatch[3] || 1) };
+      return;
     }
-    
-    return context;
-  } catch (error) {
-    console.log('[AI] Could not extract SVG context:', error);
-    return '';
-  }
+
+    // participant A as Alice / actor B / create participant C
+    const declMatch = line.match(/^(?:create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i);
+    if (declMatch) {
+      addParticipant(declMatch[2].trim(), declMatch[3]?.trim(), declMatch[1].toLowerCase());
+      return;
+    }
+
+    // loop Every minute / alt Valid / else Invalid / par / and / critical / option / end
+    const blockMatch = line.match(/^(loop|alt|opt|par|critical|break|box|rect)(?:\s+(.*))?$/i);
+    if (blockMatch) {
+      const type = blockMatch[1].toLowerCase();
+      if (type === 'box' || type === 'rect') {
+        stack.push({ steps: currentSteps() });
+        return;
+      }
+      const block = { kind: 'block', type, branches: [{ keyword: type, label: blockMatch[2]?.trim() || '', steps: [] }] };
+      currentSteps().push(block);
+      stack.push({ block, steps: block.branches[0].steps });
+      return;
+    }
+    const branchMatch = line.match(/^(else|and|option)(?:\s+(.*))?$/i);
+    if (branchMatch && stack[stack.length - 1].block) {
+      const branch = { keyword: branchMatch[1].toLowerCase(), label: branchMatch[2]?.trim() || '', steps: [] };
+      stack[stack.length - 1].block.branches.push(branch);
+      stack[stack.length - 1].steps = branch.steps;
+      return;
+    }
+    if (/^end$/i.test(line)) {
+      if (stack.length > 1) stack.pop();
+      return;
+    }
+
+    const activationMatch = line.match(/^(activate|deactivate)\s+(.+)$/i);
+    if (activationMatch) {
+      currentSteps().push({ kind: activationMatch[1].toLowerCase(), participant: activationMatch[2].trim() });
+      return;
+    }
+
+    // Note right of A: text / Note over A,B: text
+    const noteMatch = line.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (noteMatch) {
+      currentSteps().push({
+        kind: 'note',
+        position: noteMatch[1].toLowerCase().replace(/\s+/, ' '),
+        participants: noteMatch[2].split(',').map(id => id.trim()),
+        text: noteMatch[3].trim(),
+      });
+      return;
+    }
+
+    // Alice->>+Bob: Message text (the +/- shorthand toggles activation)
+    const msgMatch = line.match(/^(.+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)\s*([^:]+?)\s*:\s*(.*)$/);
+    if (msgMatch) {
+      const from = msgMatch[1].trim();
+      const to = msgMatch[4].trim();
+      addParticipant(from);
+      addParticipant(to);
+      const message = {
+        kind: 'message',
+        from,
+        to,
+        text: msgMatch[5].trim(),
+        arrow: msgMatch[2],
+        activation: msgMatch[3] || '',
+        ...arrows[msgMatch[2]],
+      };
+      if (numbering) {
+        message.number = numbering.next;
+        numbering.next += numbering.step;
+      }
+      messages.push(message);
+      currentSteps().push(message);
+    }
+  });
+
+  return { participants, messages, steps };
 }
 
 /**
- * Enhance diagram narrative using browser AI
- * Includes visual context from the generated SVG for better analysis
+ * Apply sequence-diagram accessibility semantics
+ *
+ * Key transformations:
+ * - Group the header copy of each participant into a role="list" of participants
+ * - Group each message (label, arrow, sequence number) into a role="listitem"
+ *   inside an ordered list of messages, named with sender, receiver, text and mode
+ * - Hide lifelines, activation bars, mirrored footer actors and arrow markers
  */
-async function enhanceNarrativeWithAI(mermaidSource, currentNarrative, metadata) {
-  if (!STATE.aiAvailable || !STATE.aiEnabled) {
-    return null;
+function applySequenceSemantics(svg, source = '') {
+  // Mermaid draws one lifeline per participant with id="actor{n}"
+  const lifelines = Array.from(svg.querySelectorAll('line[id^="actor"]'))
+    .filter(line => /^actor\d+$/.test(line.id));
+  if (lifelines.length === 0) {
+    console.log('[Sequence] Not a sequence diagram, skipping sequence semantics');
+    return;
   }
-  
-  try {
-    // Create AI session if needed
-    if (!STATE.aiSession) {
-      console.log('[AI] Creating language model session...');
-      STATE.aiSession = await window.ai.languageModel.create({
-        temperature: 0.7,
-        topK: 3,
-      });
-    }
-    
-    const diagramType = detectDiagramType(mermaidSource) || 'unknown';
-    const audienceDesc = getAudienceDescription();
-    const svgContext = extractSVGContext();
-    
-    // Create prompt for AI
-    const prompt = `You are an accessibility expert reviewing a diagram narrative description.
 
-DIAGRAM TYPE: ${diagramType}
-TITLE: ${metadata.title || 'Untitled'}
-DESCRIPTION: ${metadata.description || 'No description'}
+  console.log('[Sequence] Detected sequence diagram, applying semantic transformations');
+
+  const parsed = parseSequenceSource(source);
+  const participantsByLabel = new Map(
+    Array.from(parsed.participants.values()).map(p => [p.label, p])
+  );
+  const labelFor = (id) => parsed.participants.get(id)?.label || id;
+
+  // Each participant is drawn twice (header and mirrored footer); collect the
+  // label text per drawn box so the two copies can be told apart by position
+  const boxes = new Map();
+  svg.querySelectorAll('text.actor').forEach(textEl => {
+    const box = textEl.parentNode;
+    const entry = boxes.get(box) || { parts: [], x: 0, y: Infinity };
+    entry.parts.push(textEl.textContent.trim());
+    entry.x = parseFloat(textEl.getAttribute('x')) || entry.x;
+    entry.y = Math.min(entry.y, parseFloat(textEl.getAttribute('y')) || 0);
+    boxes.set(box, entry);
+  });
 
-VISUAL CONTEXT FROM SVG:
-${svgContext}
+  const headers = new Map();
+  const footers = [];
+  boxes.forEach((entry, box) => {
+    const label = entry.parts.filter(Boolean).join(' ');
+    const current = headers.get(label);
+    if (!current) {
+      headers.set(label, { box, ...entry, label });
+    } else if (entry.y < current.y) {
+      footers.push(current.box);
+      headers.set(label, { box, ...entry, label });
+    } else {
+      footers.push(box);
+    }
+  });
 
-CURRENT NARRATIVE:
-${stripHtmlTags(currentNarrative)}
+  console.log(`[Sequence] Found ${headers.size} participants and ${footers.length} mirrored footers`);
+
+  if (headers.size > 0) {
+    const headerBoxes = Array.from(headers.values()).sort((a, b) => a.x - b.x);
+    const participantList = createSemanticGroup('list', 'Participants');
+
+    // Insert after the last top-level group holding a header so boxes keep
+    // painting over the lifelines drawn in earlier groups
+    const anchors = Array.from(svg.children)
+      .filter(child => headerBoxes.some(({ box }) => child === box || child.contains(box)));
+    const lastAnchor = anchors[anchors.length - 1];
+    svg.insertBefore(participantList, lastAnchor ? lastAnchor.nextSibling : null);
+
+    headerBoxes.forEach(({ box, label }) => {
+      const participant = participantsByLabel.get(label);
+      const kind = participant?.type === 'actor' ? 'Actor' : 'Participant';
+      box.setAttribute('role', 'listitem');
+      setSvgTitle(box, `${kind}: ${label}`);
+      box.querySelectorAll('rect, line, path, circle, text, image').forEach(el => {
+        el.setAttribute('aria-hidden', 'true');
+      });
+      participantList.appendChild(box);
+    });
+  }
 
-ORIGINAL MERMAID SOURCE:
-${mermaidSource}
+  footers.forEach(box => box.setAttribute('aria-hidden', 'true'));
+  lifelines.forEach(line => line.setAttribute('aria-hidden', 'true'));
 
-TASK:
-Review the narrative description for accuracy, clarity, and alignment with the visual structure. The audience is ${audienceDesc}.
+  // Activation bars are drawn as rect.activation0/1/2
+  svg.querySelectorAll('rect[class^="activation"]').forEach(rect => {
+    rect.setAttribute('aria-hidden', 'true');
+  });
 
-Consider the visual elements shown in the SVG context when evaluating accuracy.
+  // Messages: each arrow is preceded by its label line(s) and optionally
+  // followed by an autonumber badge
+  const messageLines = Array.from(svg.querySelectorAll('.messageLine0, .messageLine1'));
+  const useParsed = parsed.messages.length === messageLines.length;
+  if (!useParsed && parsed.messages.length > 0) {
+    console.warn(`[Sequence] Source has ${parsed.messages.length} messages but SVG has ${messageLines.length}; describing messages from SVG text only`);
+  }
 
-If the narrative accurately describes the diagram structure and content, respond with exactly: "Narrative is accurate."
+  if (messageLines.length > 0) {
+    const messageList = createSemanticGroup('list', 'Messages');
+    const groups = messageLines.map(line => {
+      const parts = [line];
+      let prev = line.previousElementSibling;
+      while (prev && prev.matches('text.messageText')) {
+        parts.unshift(prev);
+        prev = prev.previousElementSibling;
+      }
+      const next = line.nextElementSibling;
+      if (next && next.matches('text.sequenceNumber')) parts.push(next);
+      return parts;
+    });
 
-If there are improvements to suggest, provide a revised narrative that:
-1. Corrects any inaccuracies or misalignments with visuals
-2. Improves clarity for the target audience
-3. Maintains similar structure (headings, lists, etc.)
-4. Keeps the same level of technical detail
-5. Uses plain HTML formatting (p, strong, em, ul, ol, li tags only)
+    groups[0][0].parentNode.insertBefore(messageList, groups[0][0]);
 
-Respond with ONLY the revised narrative or "Narrative is accurate." Do not include explanations.`;
+    groups.forEach((parts, index) => {
+      const message = useParsed ? parsed.messages[index] : null;
+      const text = message?.text || parts
+        .filter(el => el.matches('text.messageText'))
+        .map(el => el.textContent.trim())
+        .join(' ');
 
-    console.log('[AI] Sending prompt to language model (with SVG context)...');
-    const response = await STATE.aiSession.prompt(prompt);
-    console.log('[AI] Received response, length:', response.length);
-    const trimmedResponse = response.trim();
+      let name = `Message ${index + 1}: `;
+      if (message) {
+        name += `${labelFor(message.from)} to ${labelFor(message.to)}, "${text}" (${message.mode})`;
+      } else {
+        name += `"${text}"`;
+      }
 
-    STATE.aiUsageCount += 1;
-    STATE.aiLastUsedAt = new Date().toISOString();
-    STATE.aiLastOutcome = trimmedResponse === 'Narrative is accurate.' ? 'approved' : 'enhanced';
-    STATE.aiLastResponseLength = trimmedResponse.length;
-    STATE.aiLastResponsePreview = trimmedResponse.slice(0, 160).replace(/\s+/g, ' ');
-    
-    return trimmedResponse;
-  } catch (error) {
-    console.error('[AI] Error enhancing narrative:', error);
-    STATE.aiLastOutcome = 'error';
-    STATE.aiLastResponsePreview = '';
-    STATE.aiLastResponseLength = 0;
-    return null;
+      const item = createSemanticGroup('listitem');
+      setSvgTitle(item, name);
+      parts.forEach(el => {
+        el.setAttribute('aria-hidden', 'true');
+        item.appendChild(el);
+      });
+      messageList.appendChild(item);
+    });
+
+    console.log(`[Sequence] Grouped ${groups.length} messages`);
   }
+
+  svg.querySelectorAll('defs marker').forEach(marker => {
+    marker.setAttribute('aria-hidden', 'true');
+  });
 }
 
 /**
- * Strip HTML tags for plain text (used in AI prompts)
+ * Parse states, composite nesting and transitions from state diagram source
+ * [*] is resolved the way Mermaid does: `{scope}_start` as a source and
+ * `{scope}_end` as a target, where scope is the enclosing composite or "root"
+ * Based on https://mermaid.js.org/syntax/stateDiagram.html
  */
-function stripHtmlTags(html) {
-  const div = document.createElement('div');
-  div.innerHTML = html;
-  return div.textContent || div.innerText || '';
+function parseStateSource(source) {
+  const states = new Map();
+  const transitions = [];
+  const scopes = ['root'];
+  const currentScope = () => scopes[scopes.length - 1];
+
+  const ensureState = (id, parent) => {
+    if (!states.has(id)) {
+      states.set(id, { id, label: id, description: '', type: 'state', parent });
+    }
+    return states.get(id);
+  };
+
+  const resolve = (token, isTarget) => {
+    if (token === '[*]') {
+      const scope = currentScope();
+      const state = ensureState(`${scope}_${isTarget ? 'end' : 'start'}`, scope);
+      state.type = isTarget ? 'end' : 'start';
+      return state.id;
+    }
+    return ensureState(token, currentScope()).id;
+  };
+
+  const lines = skipFrontmatter(source || '').split('\n')
+    .map(line => line.trim().replace(/:::[\w-]+/g, ''))
+    .filter(line => line.length > 0 && !line.startsWith('%%'))
+    .slice(1); // Skip "stateDiagram-v2" declaration
+
+  let inNote = false;
+  lines.forEach(line => {
+    // Multi-line notes run until "end note"
+    if (inNote) {
+      if (/^end\s+note$/i.test(line)) inNote = false;
+      return;
+    }
+    if (/^note\s+/i.test(line)) {
+      if (!line.includes(':')) inNote = true;
+      return;
+    }
+
+    if (line === '}') {
+      if (scopes.length > 1) scopes.pop();
+      return;
+    }
+    if (line === '--' || /^(direction|classDef|class|hide|scale|accTitle|accDescr)\b/.test(line)) {
+      return;
+    }
+
+    // state "Long name" as Id {   /   state Id {
+    const compositeMatch = line.match(/^state\s+(?:"([^"]+)"\s+as\s+)?([\w-]+)\s*\{$/);
+    if (compositeMatch) {
+      const state = ensureState(compositeMatch[2], currentScope());
+      state.type = 'composite';
+      if (compositeMatch[1]) state.label = compositeMatch[1];
+      scopes.push(state.id);
+      return;
+    }
+
+    // state Id <<choice>> / <<fork>> / <<join>>
+    const specialMatch = line.match(/^state\s+([\w-]+)\s*<<(choice|fork|join)>>$/);
+    if (specialMatch) {
+      ensureState(specialMatch[1], currentScope()).type = specialMatch[2];
+      return;
+    }
+
+    // state "Long name" as Id
+    const aliasMatch = line.match(/^state\s+"([^"]+)"\s+as\s+([\w-]+)$/);
+    if (aliasMatch) {
+      ensureState(aliasMatch[2], currentScope()).label = aliasMatch[1];
+      return;
+    }
+
+    // A --> B : trigger
+    const transitionMatch = line.match(/^(\[\*\]|[\w-]+)\s*-->\s*(\[\*\]|[\w-]+)\s*(?::\s*(.+))?$/);
+    if (transitionMatch) {
+      transitions.push({
+        from: resolve(transitionMatch[1], false),
+        to: resolve(transitionMatch[2], true),
+        label: transitionMatch[3]?.trim() || '',
+      });
+      return;
+    }
+
+    // Id : description
+    const descMatch = line.match(/^([\w-]+)\s*:\s*(.+)$/);
+    if (descMatch) {
+      const state = ensureState(descMatch[1], currentScope());
+      state.description = state.description ? `${state.description} ${descMatch[2].trim()}` : descMatch[2].trim();
+      return;
+    }
+
+    // Bare state declaration: "state Id" or "Id"
+    const bareMatch = line.match(/^(?:state\s+)?([\w-]+)$/);
+    if (bareMatch) {
+      ensureState(bareMatch[1], currentScope());
+    }
+  });
+
+  return { states, transitions };
 }
 
 /**
- * Get browser AI diagnostics for debugging
- * Shows what features the browser supports
- * Call getBrowserAIDiagnostics() in console to explore available features
+ * Apply state-diagram accessibility semantics
+ *
+ * Key transformations:
+ * - Give every state group role="listitem" and a <title> (state name, or
+ *   "Start state"/"End state" for [*] pseudo-states)
+ * - Describe each state's outgoing transitions and trigger labels in a <desc>
+ *   referenced by aria-describedby
+ * - Expose composite states as labelled items holding a list of their substates
+ * - Hide transition arrows, labels and markers (now described per state)
+ *
+ * Mermaid lays composite states out in nested, translated groups, so lists are
+ * built with aria-owns instead of moving nodes and disturbing the layout.
  */
-function getBrowserAIDiagnostics() {
-  const diagnostics = {
-    timestamp: new Date().toISOString(),
-    browser: {
-      userAgent: navigator.userAgent,
-      hasAIAPI: 'ai' in window,
-      hasLanguageModel: 'ai' in window && 'languageModel' in window.ai,
-    },
-    os: {
-      platform: navigator.platform,
-      maxTouchPoints: navigator.maxTouchPoints,
-    },
-    ai: {
-      available: STATE.aiAvailable,
-      enabled: STATE.aiEnabled,
-      audience: STATE.aiAudience,
-    },
-    supportMatrix: {
-      'Chrome 128+': 'Gemini Nano (local)',
-      'Edge 133+': 'Gemini Nano (local)',
-      'Other browsers': 'Not supported (requires Chromium)',
-      'Feature flag': 'chrome://flags/#prompt-api-for-ai',
-    },
-    osRequirements: {
-      'Windows': '11 24H2 or later',
-      'macOS': '15.1 (Sequoia) or later',
-      'Linux': 'Support pending',
-    },
-    modelDetails: {
-      'Gemini Nano size': '~2.5 GB (downloaded once)',
-      'Processing': '100% local, no cloud calls',
-      'Privacy': 'All data stays in browser',
-      'Temperature': 0.7,
-      'TopK': 3,
-    },
-  };
-  
-  console.log('=== Browser AI Diagnostics ===');
-  console.table(diagnostics);
-  console.log('To check if your browser has AI enabled, run: getBrowserAIDiagnostics() in console');
-  return diagnostics;
-}
-
-function logConsoleTable(label, data) {
-  console.log(`=== ${label} ===`);
-  if (console.table) {
-    console.table([data]);
-  } else {
-    console.log(data);
+function applyStateSemantics(svg, source = '') {
+  const stateNodes = Array.from(svg.querySelectorAll('g.node[id^="state-"]'))
+    .filter(el => !el.id.includes('----')); // Notes use "state-X----note-N"
+  const clusters = Array.from(svg.querySelectorAll('g.statediagram-cluster'));
+  if (stateNodes.length === 0 && clusters.length === 0) {
+    console.log('[State] Not a state diagram, skipping state semantics');
+    return;
   }
-  return data;
-}
 
-function exposeAIConsoleHelpers() {
-  if (typeof window === 'undefined') return;
+  console.log('[State] Detected state diagram, applying semantic transformations');
 
-  const getAvailability = () => {
-    const status = {
-      available: STATE.aiAvailable,
-      enabled: STATE.aiEnabled,
-      sessionActive: Boolean(STATE.aiSession),
-      audience: STATE.aiAudience,
-    };
-    return logConsoleTable('AI Availability', status);
-  };
+  // Map Mermaid state ids to their rendered groups (state-{id}-{counter})
+  const elements = new Map();
+  stateNodes.forEach(el => {
+    const match = el.id.match(/^state-(.+)-\d+$/);
+    if (match) elements.set(match[1], el);
+  });
+  clusters.forEach(el => {
+    if (el.id) elements.set(el.id, el);
+  });
 
-  const getUsage = () => {
-    const usage = {
-      usageCount: STATE.aiUsageCount,
-      lastUsedAt: STATE.aiLastUsedAt || 'never',
-      lastOutcome: STATE.aiLastOutcome || 'n/a',
-      lastResponseChars: STATE.aiLastResponseLength,
-      lastResponsePreview: STATE.aiLastResponsePreview || '',
-    };
-    return logConsoleTable('AI Usage', usage);
+  const { states, transitions } = parseStateSource(source);
+
+  // States rendered but missing from the parse still get a name from the SVG
+  elements.forEach((el, id) => {
+    if (!states.has(id)) {
+      const type = /_start$/.test(id) ? 'start' : /_end$/.test(id) ? 'end' : 'state';
+      states.set(id, { id, label: extractNodeLabel(el) || id, description: '', type, parent: 'root' });
+    }
+  });
+
+  const labelOf = (id) => states.get(id)?.label || id;
+  const nameOf = (state) => {
+    const scope = state.parent && state.parent !== 'root' ? ` of ${labelOf(state.parent)}` : '';
+    switch (state.type) {
+      case 'start': return scope ? `Start${scope}` : 'Start state';
+      case 'end': return scope ? `End${scope}` : 'End state';
+      case 'composite': return `Composite state: ${state.label}`;
+      case 'choice': return `Choice: ${state.label}`;
+      case 'fork': return `Fork: ${state.label}`;
+      case 'join': return `Join: ${state.label}`;
+      default: return `State: ${state.label}`;
+    }
+  };
+  const targetName = (id) => {
+    const state = states.get(id);
+    if (!state) return id;
+    if (state.type === 'end') return state.parent === 'root' ? 'end state' : `end of ${labelOf(state.parent)}`;
+    return state.label;
   };
 
-  const helpers = {
-    getAvailability,
-    getUsage,
-    diagnostics: () => getBrowserAIDiagnostics(),
-    enable() {
-      STATE.aiEnabled = true;
-      saveAIPreferences();
-      return getAvailability();
-    },
-    disable() {
-      STATE.aiEnabled = false;
-      saveAIPreferences();
-      return getAvailability();
-    },
+  // Nearest rendered ancestor decides which list a state belongs to
+  const containerOf = (state) => {
+    let parent = state.parent;
+    while (parent && parent !== 'root' && !elements.has(parent)) {
+      parent = states.get(parent)?.parent;
+    }
+    return parent && parent !== 'root' ? parent : 'root';
   };
+  const members = new Map();
 
-  Object.defineProperty(helpers, 'state', {
-    get() {
-      return { ...STATE };
-    },
+  states.forEach(state => {
+    const el = elements.get(state.id);
+    if (!el) return;
+
+    el.setAttribute('role', 'listitem');
+    const name = state.description ? `${nameOf(state)}, ${state.description}` : nameOf(state);
+    setSvgTitle(el, name);
+
+    const outgoing = transitions.filter(t => t.from === state.id);
+    const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+    desc.id = `${el.id}-transitions`;
+    if (outgoing.length > 0) {
+      const parts = outgoing.map(t => `to ${targetName(t.to)}${t.label ? ` on "${t.label}"` : ''}`);
+      desc.textContent = `${outgoing.length} outgoing transition${outgoing.length !== 1 ? 's' : ''}: ${parts.join('; ')}`;
+    } else {
+      desc.textContent = 'No outgoing transitions';
+    }
+    el.insertBefore(desc, el.querySelector('title')?.nextSibling || el.firstChild);
+    el.setAttribute('aria-describedby', desc.id);
+
+    // Shapes are decorative; the <title> carries the name
+    el.querySelectorAll(':scope > rect, :scope > circle, :scope > path, :scope > line, :scope > polygon').forEach(shape => {
+      shape.setAttribute('aria-hidden', 'true');
+    });
+
+    const container = containerOf(state);
+    if (!members.has(container)) members.set(container, []);
+    members.get(container).push(el.id);
   });
 
-  window.A11yMermaidAI = helpers;
+  members.forEach((ids, container) => {
+    const isRoot = container === 'root';
+    const list = createSemanticGroup('list', isRoot ? 'States' : `Substates of ${labelOf(container)}`);
+    list.setAttribute('aria-owns', ids.join(' '));
+    (isRoot ? svg : elements.get(container)).appendChild(list);
+  });
 
-  if (!('getBrowserAIDiagnostics' in window)) {
-    window.getBrowserAIDiagnostics = getBrowserAIDiagnostics;
-  }
+  // Transitions are described per state, so the drawn arrows are hidden
+  svg.querySelectorAll('g.edgePaths, g.edgeLabels, defs marker').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
 
-  console.log('ℹ️ AI console helpers ready. Try A11yMermaidAI.getAvailability() or A11yMermaidAI.getUsage().');
+  console.log(`[State] Labelled ${elements.size} states and ${transitions.length} transitions`);
 }
 
 /**
- * Generate a narrative description of the diagram structure
- * Analyzes Mermaid source and converts it to prose
- * Optionally enhances with AI if enabled
+ * Parse relationships from ER diagram source into readable cardinalities
+ * Supports both the crow's-foot symbols (||--o{) and the word aliases
+ * (one or more, only one, optionally to)
+ * Based on https://mermaid.js.org/syntax/entityRelationshipDiagram.html
  */
-async function generateDiagramNarrative(mermaidSource, metadata) {
-  const narrativeDiv = document.getElementById('diagram-narrative');
-  if (!narrativeDiv) return;
-  
-  console.log('[Narrative] Generating narrative for diagram');
-  
-  // Show AI opt-in prompt if applicable (only once)
-  showAIOptInPrompt();
-  
-  // Detect diagram type
-  const diagramType = detectDiagramType(mermaidSource);
-  console.log('[Narrative] Detected diagram type:', diagramType);
-  
-  let narrative = '';
-  
-  // Add title and description if present
-  if (metadata.title) {
-    narrative += `<h3 style="margin-top: 0;">${escapeHtml(metadata.title)}</h3>\n`;
-  }
-  if (metadata.description) {
-    narrative += `<p><em>${escapeHtml(metadata.description)}</em></p>\n`;
-  }
-  
-  // Generate type-specific narrative
-  let structuralNarrative = '';
-  switch (diagramType) {
-    case 'flowchart':
-      structuralNarrative = generateFlowchartNarrative(mermaidSource);
-      break;
-    case 'pie':
-      structuralNarrative = generatePieNarrative(mermaidSource);
-      break;
-    case 'classDiagram':
-      structuralNarrative = generateClassDiagramNarrative(mermaidSource);
-      break;
-    case 'gantt':
-      structuralNarrative = generateGanttNarrative(mermaidSource);
-      break;
-    case 'journey':
-      structuralNarrative = generateUserJourneyNarrative(mermaidSource);
-      break;
-    case 'mindmap':
-      structuralNarrative = generateMindmapNarrative(mermaidSource);
-      break;
-    case 'timeline':
-      structuralNarrative = generateTimelineNarrative(mermaidSource);
-      break;
-    case 'xychart':
-      structuralNarrative = generateXyChartNarrative(mermaidSource);
-      break;
-    // All other detected types get generic fallback
-    case 'sequenceDiagram':
-    case 'stateDiagram':
-    case 'erDiagram':
-    case 'gitGraph':
-    case 'c4':
-    case 'quadrantChart':
-    case 'requirement':
-    case 'zenuml':
-    case 'sankey':
-    case 'block':
-    case 'packet':
-    case 'kanban':
-    case 'architecture':
-    case 'radar':
-    case 'treemap':
-      structuralNarrative = generateGenericNarrative(mermaidSource, diagramType);
-      break;
-    default:
-      structuralNarrative = generateGenericNarrative(mermaidSource, diagramType || 'unknown');
-  }
-  
-  narrative += structuralNarrative;
-  
-  // Display the baseline narrative first
-  narrativeDiv.innerHTML = narrative;
-  
-  // Try AI enhancement if enabled
-  if (STATE.aiEnabled) {
-    try {
-      console.log('[Narrative] Attempting AI enhancement...');
-      const aiEnhancement = await enhanceNarrativeWithAI(mermaidSource, structuralNarrative, metadata);
-      
-      if (aiEnhancement) {
-        if (aiEnhancement === 'Narrative is accurate.') {
-          // AI approved the narrative
-          const approvalHtml = `
-            <div style="
-              background: #d4edda;
-              border: 1px solid #c3e6cb;
-              color: #155724;
-              padding: 0.75rem;
-              border-radius: 4px;
-              margin-top: 1rem;
-              font-size: 0.9em;
-            ">
-              <strong>✓ AI Review:</strong> Narrative is accurate.
-            </div>
-          `;
-          narrativeDiv.innerHTML = narrative + approvalHtml;
-        } else {
-          // AI suggested improvements
-          const enhancedHtml = `
-            <div style="margin-top: 1.5rem; border-top: 2px solid #667eea; padding-top: 1rem;">
-              <h4 style="color: #667eea; margin: 0 0 0.5rem 0; font-size: 0.95rem;">
-                🤖 AI-Enhanced Narrative
-              </h4>
-              ${aiEnhancement}
-            </div>
-            <details style="margin-top: 1rem;">
-              <summary style="cursor: pointer; color: #666; font-size: 0.85em;">
-                Show original structural narrative
-              </summary>
-              <div style="margin-top: 0.5rem; padding: 0.75rem; background: #f8f9fa; border-radius: 4px;">
-                ${structuralNarrative}
-              </div>
-            </details>
-          `;
-          narrativeDiv.innerHTML = narrative + enhancedHtml;
-        }
-      }
-    } catch (error) {
-      console.error('[Narrative] AI enhancement failed:', error);
-      // Keep the original narrative on error
+function parseErRelationships(source) {
+  const leftCardinality = { '|o': 'zero or one', '||': 'exactly one', '}o': 'zero or more', '}|': 'one or more' };
+  const rightCardinality = { 'o|': 'zero or one', '||': 'exactly one', 'o{': 'zero or more', '|{': 'one or more' };
+  const wordCardinality = (word) => {
+    const normalized = word.toLowerCase();
+    if (['one or zero', 'zero or one'].includes(normalized)) return 'zero or one';
+    if (['one or more', 'one or many', 'many(1)', '1+'].includes(normalized)) return 'one or more';
+    if (['zero or more', 'zero or many', 'many(0)', '0+'].includes(normalized)) return 'zero or more';
+    return 'exactly one';
+  };
+  const words = 'one or zero|zero or one|one or more|one or many|many\\(1\\)|1\\+|zero or more|zero or many|many\\(0\\)|0\\+|only one|1';
+  const wordPattern = new RegExp(`^(\\S+)\\s+(${words})\\s+(to|optionally to)\\s+(${words})\\s+(\\S+)\\s*:\\s*(.+)$`, 'i');
+
+  const relationships = [];
+  const lines = skipFrontmatter(source || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('%%'));
+
+  lines.forEach(line => {
+    const symbolMatch = line.match(/^(\S+)\s*([|}][o|])(--|\.\.)([o|][|{])\s*(\S+)\s*:\s*(.+)$/);
+    if (symbolMatch) {
+      relationships.push({
+        entityA: symbolMatch[1],
+        entityB: symbolMatch[5],
+        cardinalityA: leftCardinality[symbolMatch[2]],
+        cardinalityB: rightCardinality[symbolMatch[4]],
+        identifying: symbolMatch[3] === '--',
+        label: symbolMatch[6].trim().replace(/^"(.*)"$/, '$1'),
+      });
+      return;
     }
-  }
+
+    const wordMatch = line.match(wordPattern);
+    if (wordMatch) {
+      relationships.push({
+        entityA: wordMatch[1],
+        entityB: wordMatch[5],
+        cardinalityA: wordCardinality(wordMatch[2]),
+        cardinalityB: wordCardinality(wordMatch[4]),
+        identifying: wordMatch[3].toLowerCase() === 'to',
+        label: wordMatch[6].trim().replace(/^"(.*)"$/, '$1'),
+      });
+    }
+  });
+
+  return relationships;
 }
 
 /**
- * Detect Mermaid diagram type from source
+ * Apply entity-relationship accessibility semantics
+ *
+ * Key transformations:
+ * - Mark each entity box as role="table" named after the entity
+ * - Wrap each attribute's type, name, key and comment into a role="row" with
+ *   role="cell" text (key markers expanded to "primary key", "foreign key")
+ * - Collect relationship labels into a role="list" whose items describe the
+ *   relationship in words ("CUSTOMER places zero or more ORDER")
+ * - Hide entity box backgrounds, relationship lines and cardinality markers
  */
-/**
- * Skip YAML frontmatter in Mermaid source
- * Frontmatter is delimited by --- at start and end
- * Example:
- * ---
- * config:
- *   look: handDrawn
- * ---
- * graph BT
- */
-function skipFrontmatter(source) {
-  const lines = source.trim().split('\n');
-  if (lines[0].trim() === '---') {
-    // Find the closing ---
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim() === '---') {
-        // Return everything after the closing ---
-        return lines.slice(i + 1).join('\n');
+function applyErSemantics(svg, source = '') {
+  const entityGroups = Array.from(svg.querySelectorAll('rect.entityBox')).map(rect => rect.parentNode);
+  if (entityGroups.length === 0) {
+    console.log('[ER] Not an ER diagram, skipping ER semantics');
+    return;
+  }
+
+  console.log(`[ER] Detected ER diagram with ${entityGroups.length} entities, applying semantic transformations`);
+
+  const keyNames = { PK: 'primary key', FK: 'foreign key', UK: 'unique key' };
+  const columns = ['type', 'name', 'key', 'comment'];
+  const columnLabels = { type: 'Type', name: 'Name', key: 'Keys', comment: 'Comment' };
+
+  entityGroups.forEach(group => {
+    const nameText = group.querySelector(':scope > text[id^="text-entity-"]:not([id*="-attr-"])');
+    const entityName = nameText?.textContent.trim() || group.id;
+
+    group.setAttribute('role', 'table');
+    setSvgTitle(group, `Entity: ${entityName}`);
+    group.querySelector(':scope > rect.entityBox')?.setAttribute('aria-hidden', 'true');
+    nameText?.setAttribute('aria-hidden', 'true');
+
+    // Attribute cells are texts with ids "{entityTextId}-attr-{n}-{column}",
+    // each drawn over the background rect inserted just before it
+    const rows = new Map();
+    group.querySelectorAll(':scope > text[id*="-attr-"]').forEach(text => {
+      const match = text.id.match(/-attr-(\d+)-(type|name|key|comment)$/);
+      if (!match) return;
+      if (!rows.has(match[1])) rows.set(match[1], {});
+      rows.get(match[1])[match[2]] = text;
+    });
+    if (rows.size === 0) return;
+
+    const present = columns.filter(column => Array.from(rows.values()).some(cells => cells[column]));
+
+    // Column headers are not drawn; they only exist in the accessibility tree
+    const headerRow = createSemanticGroup('row');
+    present.forEach(column => headerRow.appendChild(createSemanticGroup('columnheader', columnLabels[column])));
+    group.appendChild(headerRow);
+
+    rows.forEach(cells => {
+      const row = createSemanticGroup('row');
+      present.forEach(column => {
+        const text = cells[column];
+        if (!text) return;
+        const background = text.previousElementSibling;
+        if (background?.matches('rect[class*="attributeBox"]')) {
+          background.setAttribute('aria-hidden', 'true');
+          row.appendChild(background);
+        }
+        text.setAttribute('role', 'cell');
+        if (column === 'key') {
+          const expanded = text.textContent.split(/\s*,\s*/)
+            .map(key => keyNames[key.trim().toUpperCase()] || key.trim())
+            .join(', ');
+          text.setAttribute('aria-label', expanded);
+        }
+        row.appendChild(text);
+      });
+      group.appendChild(row);
+    });
+  });
+
+  // Relationships: lines and labels are drawn in source order
+  const relationships = parseErRelationships(source);
+  const labels = Array.from(svg.querySelectorAll('text.relationshipLabel'));
+  const useParsed = relationships.length === labels.length;
+  if (!useParsed && relationships.length > 0) {
+    console.warn(`[ER] Source has ${relationships.length} relationships but SVG has ${labels.length}; describing relationships from SVG labels only`);
+  }
+
+  if (labels.length > 0) {
+    const relationshipList = createSemanticGroup('list', 'Relationships');
+    labels.forEach((label, index) => {
+      const rel = useParsed ? relationships[index] : null;
+      const item = createSemanticGroup('listitem');
+
+      if (rel) {
+        setSvgTitle(item, `${rel.entityA} ${rel.label} ${rel.cardinalityB} ${rel.entityB}`);
+        const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+        desc.textContent = `Each ${rel.entityB} relates to ${rel.cardinalityA} ${rel.entityA}; ${rel.identifying ? 'identifying' : 'non-identifying'} relationship`;
+        item.appendChild(desc);
+      } else {
+        setSvgTitle(item, `Relationship: ${label.textContent.trim()}`);
+      }
+
+      const labelBox = label.previousElementSibling;
+      if (labelBox?.matches('rect.relationshipLabelBox')) {
+        labelBox.setAttribute('aria-hidden', 'true');
+        item.appendChild(labelBox);
       }
+      label.setAttribute('aria-hidden', 'true');
+      item.appendChild(label);
+      relationshipList.appendChild(item);
+    });
+    svg.appendChild(relationshipList);
+  }
+
+  svg.querySelectorAll('path.relationshipLine, defs marker').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
+}
+
+/**
+ * Apply pie chart semantics
+ * - Group slice paths into a role="list" with one role="listitem" per slice
+ * - Name each slice with its label, value and percentage via <title>, so
+ *   the name carries its legend entry's text
+ * - Hide the legend, the percentage labels and the outer circle, which only
+ *   repeat what the slice names already say. Slices get no aria-details to
+ *   the legend: its target would be hidden, and exposing the legend would
+ *   read every slice twice
+ *
+ * Slices, percentage labels and legend entries are all drawn in the same
+ * value-descending order, so they are paired by index.
+ */
+function applyPieSemantics(svg, source = '') {
+  const slices = Array.from(svg.querySelectorAll('path.pieCircle'));
+  if (slices.length === 0) {
+    console.log('[Pie] Not a pie chart, skipping pie semantics');
+    return;
+  }
+
+  console.log(`[Pie] Detected pie chart with ${slices.length} slices, applying semantic transformations`);
+
+  const legends = Array.from(svg.querySelectorAll('g.legend'));
+  let { data } = parsePieSource(source);
+
+  if (data.length !== slices.length) {
+    if (data.length > 0) {
+      console.warn(`[Pie] Source has ${data.length} slices but SVG has ${slices.length}; reading slices from the legend`);
     }
+    // Legend text reads "Label [value]" when showData is on
+    const legendData = legends.map(legend => {
+      const text = legend.querySelector('text')?.textContent.trim() || '';
+      const match = text.match(/^(.*?)\s*\[(\d+(?:\.\d+)?)\]$/);
+      return match ? { label: match[1], value: parseFloat(match[2]) } : { label: text, value: null };
+    });
+    const total = legendData.reduce((sum, item) => sum + (item.value || 0), 0);
+    legendData.forEach(item => {
+      item.percentage = item.value !== null && total > 0 ? ((item.value / total) * 100).toFixed(1) : null;
+    });
+    data = legendData;
   }
-  return source;
+
+  const sliceList = createSemanticGroup('list', 'Pie slices');
+  slices[0].parentNode.insertBefore(sliceList, slices[0]);
+
+  slices.forEach((slice, index) => {
+    const item = data[index];
+    const name = !item
+      ? `Slice ${index + 1}`
+      : item.percentage === null
+        ? item.label
+        : `${item.label}: ${item.value} (${item.percentage}%)`;
+
+    slice.setAttribute('role', 'listitem');
+    setSvgTitle(slice, name);
+    sliceList.appendChild(slice);
+  });
+
+  svg.querySelectorAll('g.legend, text.slice, circle.pieOuterCircle').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
 }
 
 /**
- * Generate a basic fallback narrative for any diagram type
- * Provides structural information when no specific generator exists
+ * Parse a Gantt date string against a dateFormat such as "YYYY-MM-DD"
+ * Supports the YYYY, YY, MM, M, DD, D, HH, H, mm and ss tokens; other
+ * formats fall back to the browser's Date parser
  */
-function generateGenericNarrative(source, diagramType) {
-  let narrative = `<p><strong>Diagram Type:</strong> ${escapeHtml(diagramType)}</p>\n`;
-  
-  // Skip frontmatter and comments
+function parseGanttDate(str, format = 'YYYY-MM-DD') {
+  const tokens = { YYYY: '(\\d{4})', YY: '(\\d{2})', MM: '(\\d{2})', M: '(\\d{1,2})', DD: '(\\d{2})', D: '(\\d{1,2})', HH: '(\\d{2})', H: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})' };
+  const tokenPattern = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+  const supported = !/[A-Za-z]/.test(format.replace(tokenPattern, ''));
+  const order = [];
+  const pattern = format.trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(tokenPattern, token => {
+      order.push(token);
+      return tokens[token];
+    });
+
+  const match = supported && str.trim().match(new RegExp(`^${pattern}$`));
+  if (match) {
+    const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+    order.forEach((token, index) => {
+      const value = parseInt(match[index + 1], 10);
+      if (token === 'YY') parts.YYYY = 2000 + value;
+      else if (token === 'M') parts.MM = value;
+      else if (token === 'D') parts.DD = value;
+      else if (token === 'H') parts.HH = value;
+      else parts[token] = value;
+    });
+    return new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss);
+  }
+
+  const fallback = new Date(str.trim());
+  return isNaN(fallback.getTime()) ? null : fallback;
+}
+
+/**
+ * Add a Mermaid Gantt duration ("3d", "2w", "12h", "1M") to a date
+ * Returns null when the string is not a duration
+ */
+function addGanttDuration(date, str) {
+  const match = str.trim().match(/^(\d+(?:\.\d+)?)(ms|[Mdhmswy])$/);
+  if (!match || !date) return null;
+
+  const value = parseFloat(match[1]);
+  const result = new Date(date.getTime());
+  const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  if (match[2] === 'M') {
+    result.setMonth(result.getMonth() + value);
+  } else if (match[2] === 'y') {
+    result.setFullYear(result.getFullYear() + value);
+  } else if (match[2] === 'd' || match[2] === 'w') {
+    // Calendar days, so daylight-saving shifts don't move the end date
+    result.setDate(result.getDate() + value * (match[2] === 'w' ? 7 : 1));
+  } else {
+    result.setTime(result.getTime() + value * unitMs[match[2]]);
+  }
+  return result;
+}
+
+/**
+ * Parse Gantt sections and tasks with resolved start and end dates
+ * Task ids follow Mermaid's scheme (explicit id, otherwise "task1", "task2", ...)
+ * so tasks can be matched to the rendered bars. Excluded days are not applied.
+ */
+function parseGanttSource(source) {
   const sourceWithoutFrontmatter = skipFrontmatter(source);
   const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0);
-  
-  // Count structural elements
-  const stats = {
-    totalLines: lines.length - 1, // Exclude declaration line
-    nodes: 0,
-    connections: 0,
-    sections: 0,
-    labels: 0
-  };
-  
-  lines.slice(1).forEach(line => {
-    const trimmed = line.trim();
-    
-    // Count node-like patterns (ID followed by bracket/paren)
-    if (/^[A-Za-z0-9_]+[\[\(\{]/.test(trimmed)) {
-      stats.nodes++;
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('%%'));
+
+  const tagNames = ['active', 'done', 'crit', 'milestone'];
+  const sections = [];
+  const tasks = new Map();
+  let dateFormat = 'YYYY-MM-DD';
+  let currentSection = null;
+  let previousTask = null;
+  let taskCount = 0;
+
+  lines.forEach(line => {
+    const formatMatch = line.match(/^dateFormat\s+(.+)$/);
+    if (formatMatch) {
+      dateFormat = formatMatch[1].trim();
+      return;
     }
-    
-    // Count connections (arrows, dashes)
-    if (/-->|---|-\.-|==>|->|\.>|\|/.test(trimmed)) {
-      stats.connections++;
+
+    const sectionMatch = line.match(/^section\s+(.+)$/);
+    if (sectionMatch) {
+      currentSection = { name: sectionMatch[1].trim(), tasks: [] };
+      sections.push(currentSection);
+      return;
     }
-    
-    // Count sections
-    if (/^section\s+/i.test(trimmed) || /^subgraph\s+/i.test(trimmed)) {
-      stats.sections++;
+
+    if (line.match(/^(gantt|title|axisFormat|excludes|includes|tickInterval|weekday|weekend|todayMarker|inclusiveEndDates|topAxis|click|accTitle|accDescr)\b/)) {
+      return;
     }
-    
-    // Count quoted labels
-    const quotes = trimmed.match(/["'][^"']+["']/g);
-    if (quotes) {
-      stats.labels += quotes.length;
+
+    const taskMatch = line.match(/^([^:]+)\s*:\s*(.+)$/);
+    if (!taskMatch) return;
+
+    if (!currentSection) {
+      currentSection = { name: '', tasks: [] };
+      sections.push(currentSection);
+    }
+
+    const fields = taskMatch[2].split(',').map(field => field.trim());
+    const tags = fields.filter(field => tagNames.includes(field));
+    const data = fields.filter(field => !tagNames.includes(field));
+
+    let id = null;
+    let startData = null;
+    const endData = data[data.length - 1] || '';
+    if (data.length >= 3) {
+      [id, startData] = data;
+    } else if (data.length === 2) {
+      startData = data[0];
     }
+    if (!id) {
+      taskCount++;
+      id = `task${taskCount}`;
+    }
+
+    let start = previousTask ? previousTask.end : null;
+    if (startData) {
+      const afterMatch = startData.match(/^after\s+(.+)$/);
+      if (afterMatch) {
+        const ends = afterMatch[1].split(/\s+/).map(ref => tasks.get(ref)?.end).filter(Boolean);
+        start = ends.length > 0 ? new Date(Math.max(...ends.map(end => end.getTime()))) : null;
+      } else {
+        start = parseGanttDate(startData, dateFormat);
+      }
+    }
+    const end = addGanttDuration(start, endData) || parseGanttDate(endData, dateFormat);
+
+    const task = {
+      id,
+      name: taskMatch[1].trim(),
+      section: currentSection.name,
+      tags,
+      start,
+      end
+    };
+    tasks.set(id, task);
+    currentSection.tasks.push(task);
+    previousTask = task;
   });
-  
-  narrative += '<p><strong>Structure:</strong></p>\n<ul>\n';
-  
-  if (stats.nodes > 0) {
-    narrative += `<li>${stats.nodes} element${stats.nodes !== 1 ? 's' : ''}</li>\n`;
-  }
-  
-  if (stats.connections > 0) {
-    narrative += `<li>${stats.connections} connection${stats.connections !== 1 ? 's' : ''}</li>\n`;
+
+  return { sections, tasks };
+}
+
+/**
+ * Format a Gantt date as YYYY-MM-DD, adding HH:mm when it falls within a day
+ */
+function formatGanttDate(date) {
+  if (!date) return 'unknown';
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (date.getHours() === 0 && date.getMinutes() === 0) return day;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describe the time between two dates in days, or hours for sub-day tasks
+ */
+function formatGanttDuration(start, end) {
+  if (!start || !end) return 'unknown';
+  const days = Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / 86400000);
+  const hours = Math.round((end.getTime() - start.getTime()) / 3600000);
+  if (hours % 24 !== 0 && Math.abs(hours) < 24) {
+    return `${hours} ${Math.abs(hours) === 1 ? 'hour' : 'hours'}`;
   }
-  
-  if (stats.sections > 0) {
-    narrative += `<li>${stats.sections} section${stats.sections !== 1 ? 's' : ''}</li>\n`;
+  return `${days} ${Math.abs(days) === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Apply Gantt chart semantics
+ * - Collect task bars into a role="table" with one role="rowgroup" per section
+ * - Give each task a role="row" with cells for name, start, end, duration and
+ *   status (completed, in progress, critical, milestone)
+ * - Hide axis ticks, section backgrounds, section labels (now rowgroup names),
+ *   the today marker and excluded-day shading
+ */
+function applyGanttSemantics(svg, source = '') {
+  const bars = Array.from(svg.querySelectorAll('rect.task[id]'));
+  if (bars.length === 0) {
+    console.log('[Gantt] Not a Gantt chart, skipping Gantt semantics');
+    return;
   }
-  
-  if (stats.labels > 0) {
-    narrative += `<li>${stats.labels} labeled item${stats.labels !== 1 ? 's' : ''}</li>\n`;
+
+  console.log(`[Gantt] Detected Gantt chart with ${bars.length} tasks, applying semantic transformations`);
+
+  const { sections, tasks } = parseGanttSource(source);
+  const statusNames = { done: 'completed', active: 'in progress', crit: 'critical', milestone: 'milestone' };
+  // Mermaid folds status into section-numbered classes like "activeCrit0"
+  const statusClasses = {
+    active: ['active'], activeCrit: ['active', 'crit'], done: ['done'],
+    doneCrit: ['done', 'crit'], crit: ['crit'], milestone: ['milestone']
+  };
+  const columns = ['Task', 'Start', 'End', 'Duration', 'Status'];
+
+  const title = svg.querySelector(':scope > text.titleText')?.textContent.trim();
+  const table = createSemanticGroup('table', title ? `${title} tasks` : 'Gantt tasks');
+  bars[0].parentNode.parentNode.insertBefore(table, bars[0].parentNode);
+
+  // Column headers are not drawn; they only exist in the accessibility tree
+  const headerRow = createSemanticGroup('row');
+  columns.forEach(column => headerRow.appendChild(createSemanticGroup('columnheader', column)));
+  table.appendChild(headerRow);
+
+  const buildRow = bar => {
+    const task = tasks.get(bar.id);
+    const text = svg.querySelector(`[id="${bar.id}-text"]`);
+    const tags = new Set(bar.getAttribute('class').split(/\s+/)
+      .flatMap(cls => statusClasses[cls.replace(/\d+$/, '')] || []));
+    const status = Object.keys(statusNames).filter(tag => tags.has(tag)).map(tag => statusNames[tag]);
+
+    const row = createSemanticGroup('row');
+    bar.setAttribute('aria-hidden', 'true');
+    row.appendChild(bar);
+
+    if (text) {
+      text.setAttribute('role', 'cell');
+      row.appendChild(text);
+    } else {
+      row.appendChild(createSemanticGroup('cell', task?.name || bar.id));
+    }
+    row.appendChild(createSemanticGroup('cell', formatGanttDate(task?.start)));
+    row.appendChild(createSemanticGroup('cell', formatGanttDate(task?.end)));
+    row.appendChild(createSemanticGroup('cell', formatGanttDuration(task?.start, task?.end)));
+    row.appendChild(createSemanticGroup('cell', status.length > 0 ? status.join(', ') : 'not started'));
+    return row;
+  };
+
+  const barsById = new Map(bars.map(bar => [bar.id, bar]));
+  const matched = sections.length > 0 && bars.every(bar => tasks.has(bar.id));
+  if (!matched && tasks.size > 0) {
+    console.warn('[Gantt] Source tasks do not match the rendered bars; listing tasks without sections or dates');
   }
-  
-  if (stats.totalLines > 0) {
-    narrative += `<li>${stats.totalLines} line${stats.totalLines !== 1 ? 's' : ''} of content</li>\n`;
+
+  if (matched) {
+    sections.forEach(section => {
+      const sectionBars = section.tasks.map(task => barsById.get(task.id)).filter(Boolean);
+      if (sectionBars.length === 0) return;
+      const rowgroup = createSemanticGroup('rowgroup', section.name ? `Section: ${section.name}` : null);
+      sectionBars.forEach(bar => rowgroup.appendChild(buildRow(bar)));
+      table.appendChild(rowgroup);
+    });
+  } else {
+    bars.forEach(bar => table.appendChild(buildRow(bar)));
   }
-  
-  narrative += '</ul>\n';
-  
-  // Add helpful note about narrative generation
-  narrative += `<p style="color: #666; font-size: 0.9em; margin-top: 1rem;">`;
-  narrative += `<em>Note: This diagram type does not yet have a detailed narrative generator. `;
-  narrative += `The SVG will still be rendered with accessibility attributes (title, description, role).</em>`;
-  narrative += `</p>`;
-  
-  return narrative;
+
+  svg.querySelectorAll('g.grid, g.today, rect.section, rect.exclude-range, text.sectionTitle').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
 }
 
-function detectDiagramType(source) {
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  const lines = sourceWithoutFrontmatter.trim().split('\n');
-  const firstLine = lines[0].trim();
-  
-  // Check for all known diagram types
-  if (firstLine.startsWith('flowchart') || firstLine.startsWith('graph')) {
-    return 'flowchart';
-  } else if (firstLine.startsWith('pie')) {
-    return 'pie';
-  } else if (firstLine.startsWith('classDiagram')) {
-    return 'classDiagram';
-  } else if (firstLine.startsWith('sequenceDiagram')) {
-    return 'sequenceDiagram';
-  } else if (firstLine.startsWith('gantt')) {
-    return 'gantt';
-  } else if (firstLine.startsWith('journey')) {
-    return 'journey';
-  } else if (firstLine.startsWith('mindmap')) {
-    return 'mindmap';
-  } else if (firstLine.startsWith('timeline')) {
-    return 'timeline';
-  } else if (firstLine.startsWith('xychart')) {
-    return 'xychart';
-  } else if (firstLine.startsWith('erDiagram')) {
-    return 'erDiagram';
-  } else if (firstLine.startsWith('stateDiagram')) {
-    return 'stateDiagram';
-  } else if (firstLine.startsWith('gitGraph')) {
-    return 'gitGraph';
-  } else if (firstLine.startsWith('C4Context') || firstLine.startsWith('C4Container') || firstLine.startsWith('C4Component')) {
-    return 'c4';
-  } else if (firstLine.startsWith('quadrantChart')) {
-    return 'quadrantChart';
-  } else if (firstLine.startsWith('requirement')) {
-    return 'requirement';
-  } else if (firstLine.startsWith('zenuml')) {
-    return 'zenuml';
-  } else if (firstLine.startsWith('sankey')) {
-    return 'sankey';
-  } else if (firstLine.startsWith('block')) {
-    return 'block';
-  } else if (firstLine.startsWith('packet')) {
-    return 'packet';
-  } else if (firstLine.startsWith('kanban')) {
-    return 'kanban';
-  } else if (firstLine.startsWith('architecture')) {
-    return 'architecture';
-  } else if (firstLine.startsWith('radar')) {
-    return 'radar';
-  } else if (firstLine.startsWith('treemap')) {
-    return 'treemap';
+/**
+ * Parse relationships from class diagram source
+ * Each relationship is reduced to a kind and the class at the marked end
+ * (the parent, the whole, or the target of the arrow), plus its label and
+ * cardinalities. Based on https://mermaid.js.org/syntax/classDiagram.html
+ */
+function parseClassRelationships(source) {
+  const relationships = [];
+  const lines = skipFrontmatter(source || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('%%'));
+
+  const pattern = /^(\w+)(?:~[^~]+~)?\s*(?:"([^"]*)"\s*)?(<\||\*|o|<)?(--|\.\.)(\|>|\*|o|>)?\s*(?:"([^"]*)"\s*)?(\w+)(?:~[^~]+~)?\s*(?::\s*(.+))?$/;
+
+  lines.forEach(line => {
+    const match = line.match(pattern);
+    if (!match) return;
+
+    const [, classA, cardinalityA, markerA, lineType, markerB, cardinalityB, classB, label] = match;
+    const marker = markerA || markerB || '';
+    const dashed = lineType === '..';
+    const kinds = {
+      '<|': dashed ? 'realization' : 'inheritance',
+      '|>': dashed ? 'realization' : 'inheritance',
+      '*': 'composition',
+      'o': 'aggregation',
+      '<': dashed ? 'dependency' : 'association',
+      '>': dashed ? 'dependency' : 'association'
+    };
+
+    relationships.push({
+      classA,
+      classB,
+      kind: kinds[marker] || 'link',
+      // Class at the marked end; for plain links there is none
+      marked: markerA ? classA : markerB ? classB : null,
+      cardinalityA: cardinalityA || '',
+      cardinalityB: cardinalityB || '',
+      dashed,
+      label: label ? label.trim() : ''
+    });
+  });
+
+  return relationships;
+}
+
+/**
+ * Describe a class relationship from one endpoint's point of view
+ */
+function describeClassRelationship(rel, className) {
+  const other = className === rel.classA ? rel.classB : rel.classA;
+  const isMarked = rel.marked === className;
+  const phrases = {
+    inheritance: isMarked ? `Inherited by ${other}` : `Inherits from ${other}`,
+    realization: isMarked ? `Realized by ${other}` : `Realizes ${other}`,
+    composition: isMarked ? `Composed of ${other}` : `Part of ${other} (composition)`,
+    aggregation: isMarked ? `Aggregates ${other}` : `Aggregated by ${other}`,
+    association: isMarked ? `Associated from ${other}` : `Associated with ${other}`,
+    dependency: isMarked ? `Dependency of ${other}` : `Depends on ${other}`,
+    link: `${rel.dashed ? 'Dashed link' : 'Linked'} to ${other}`
+  };
+
+  let text = phrases[rel.kind];
+  if (rel.label) text += ` "${rel.label}"`;
+  if (rel.cardinalityA || rel.cardinalityB) {
+    text += ` (${rel.classA} ${rel.cardinalityA || 'unspecified'}, ${rel.classB} ${rel.cardinalityB || 'unspecified'})`;
   }
-  
-  return 'unknown';
+  return text;
 }
 
 /**
- * Generate narrative for flowchart diagrams
+ * Apply class diagram semantics
+ * - Give each class box role="group" and a <title> with the class name and
+ *   any «annotation»
+ * - Expose the attribute and method compartments as labelled lists whose items
+ *   spell out visibility (+ public, - private, # protected, ~ package)
+ * - Describe every relationship on both endpoint classes via aria-describedby
+ * - Hide the box outline, compartment dividers, relationship lines and markers
  */
-function generateFlowchartNarrative(source) {
-  let narrative = '<p><strong>Flow:</strong></p>\n<ol>\n';
+function applyClassSemantics(svg, source = '') {
+  const classGroups = Array.from(svg.querySelectorAll('g.node[id^="classId-"]'));
+  if (classGroups.length === 0) {
+    console.log('[Class] Not a class diagram, skipping class semantics');
+    return;
+  }
+
+  console.log(`[Class] Detected class diagram with ${classGroups.length} classes, applying semantic transformations`);
+
+  const visibilityNames = { '+': 'public', '-': 'private', '#': 'protected', '~': 'package' };
+  const relationships = parseClassRelationships(source);
+  const labelText = el => el.textContent.replace(/\s+/g, ' ').trim();
+
+  classGroups.forEach(group => {
+    const className = group.id.match(/^classId-(.+)-\d+$/)?.[1] || group.id;
+    const labelContainer = group.querySelector(':scope > g.label');
+    // Labels are drawn as annotation, class name, attributes, then methods
+    const labels = labelContainer
+      ? Array.from(labelContainer.children).filter(el => el.localName === 'text' || el.localName === 'foreignObject')
+      : [];
+    const [annotationLabel, titleLabel, ...members] = labels;
+
+    const annotation = annotationLabel ? labelText(annotationLabel).replace(/^«(.*)»$/, '$1') : '';
+    const displayName = titleLabel ? labelText(titleLabel) : className;
+    group.setAttribute('role', 'group');
+    setSvgTitle(group, `Class: ${displayName}${annotation ? `, ${annotation}` : ''}`);
+    [annotationLabel, titleLabel].forEach(el => el?.setAttribute('aria-hidden', 'true'));
+
+    const compartments = {
+      attributes: createSemanticGroup('list', `Attributes of ${className}`),
+      methods: createSemanticGroup('list', `Methods of ${className}`)
+    };
+    members.forEach(member => {
+      const text = labelText(member);
+      if (!text) return;
+      const visibility = visibilityNames[text[0]];
+      member.setAttribute('role', 'listitem');
+      member.setAttribute('aria-label', visibility ? `${visibility} ${text.slice(1).trim()}` : text);
+      (text.includes('(') ? compartments.methods : compartments.attributes).appendChild(member);
+    });
+    Object.values(compartments).forEach(list => {
+      if (list.children.length > 0) labelContainer.appendChild(list);
+    });
+
+    group.querySelectorAll(':scope > rect, :scope > line').forEach(el => el.setAttribute('aria-hidden', 'true'));
+
+    const related = relationships.filter(rel => rel.classA === className || rel.classB === className);
+    if (related.length > 0) {
+      const descId = `${group.id}-relationships`;
+      const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+      desc.setAttribute('id', descId);
+      desc.textContent = `${related.length} ${related.length === 1 ? 'relationship' : 'relationships'}: ` +
+        related.map(rel => describeClassRelationship(rel, className)).join('; ');
+      const title = group.querySelector(':scope > title');
+      group.insertBefore(desc, title ? title.nextSibling : group.firstChild);
+      group.setAttribute('aria-describedby', descId);
+    }
+  });
+
+  svg.querySelectorAll('g.edgePaths, g.edgeLabels, defs marker').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
+
+  console.log(`[Class] Described ${relationships.length} relationships`);
+}
+
+/**
+ * Apply mindmap semantics
+ * - Mark the node container as role="tree" and each node as role="treeitem"
+ * - Nodes stay flat siblings so the layout is untouched; hierarchy is carried
+ *   by aria-level, aria-setsize and aria-posinset from the same tree the
+ *   narrative uses, with aria-expanded on nodes that have children
+ * - Name each node with a <title> and hide its shape, label copy and the edges
+ */
+function applyMindmapSemantics(svg, source = '') {
+  const nodes = Array.from(svg.querySelectorAll('g.mindmap-node'));
+  if (nodes.length === 0) {
+    console.log('[Mindmap] Not a mindmap, skipping mindmap semantics');
+    return;
+  }
+
+  console.log(`[Mindmap] Detected mindmap with ${nodes.length} nodes, applying semantic transformations`);
+
+  svg.querySelectorAll('g.mindmap-edges, path.edge').forEach(el => {
+    el.setAttribute('aria-hidden', 'true');
+  });
+
+  // Flatten depth-first, the order Mermaid draws nodes in
+  const flat = [];
+  const visit = (siblings, level) => {
+    siblings.forEach((node, index) => {
+      flat.push({ node, level, setsize: siblings.length, posinset: index + 1 });
+      visit(node.children, level + 1);
+    });
+  };
+  const tree = parseMindmapTree(source);
+  visit(tree, 1);
+
+  if (flat.length !== nodes.length) {
+    console.warn(`[Mindmap] Source has ${flat.length} nodes but SVG has ${nodes.length}; skipping tree semantics`);
+    return;
+  }
+
+  const container = nodes[0].parentNode;
+  container.setAttribute('role', 'tree');
+  container.setAttribute('aria-label', `Mind map: ${tree[0].text}`);
+
+  nodes.forEach((element, index) => {
+    const { node, level, setsize, posinset } = flat[index];
+    element.setAttribute('role', 'treeitem');
+    element.setAttribute('aria-level', String(level));
+    element.setAttribute('aria-setsize', String(setsize));
+    element.setAttribute('aria-posinset', String(posinset));
+    if (node.children.length > 0) {
+      element.setAttribute('aria-expanded', 'true');
+    }
+    setSvgTitle(element, node.text);
+
+    // Background shape, label and icon are the node's children; the title
+    // above replaces all of them
+    Array.from(element.children)
+      .filter(child => child.localName !== 'title')
+      .forEach(child => child.setAttribute('aria-hidden', 'true'));
+  });
+}
+
+/**
+ * Apply user journey semantics
+ * - Collect task groups into a role="list" in journey order
+ * - Name each task with its section, task, score out of 5 and actors, and
+ *   hide what the name replaces: face glyph, score line, actor dots, label
+ * - Hide section banners (each task name carries its section) and the axis
+ * - Expose the actor colour legend as a role="list" of actor names
+ */
+function applyJourneySemantics(svg, source = '') {
+  const taskGroups = Array.from(svg.querySelectorAll('line.task-line')).map(line => line.parentNode);
+  if (taskGroups.length === 0) {
+    console.log('[Journey] Not a user journey, skipping journey semantics');
+    return;
+  }
+
+  console.log(`[Journey] Detected user journey with ${taskGroups.length} tasks, applying semantic transformations`);
+
+  const steps = parseJourneySource(source).sections
+    .flatMap(section => section.steps.map(step => ({ ...step, section: section.name })));
+  const useParsed = steps.length === taskGroups.length;
+  if (!useParsed && steps.length > 0) {
+    console.warn(`[Journey] Source has ${steps.length} tasks but SVG has ${taskGroups.length}; naming tasks from SVG labels only`);
+  }
+
+  const taskList = createSemanticGroup('list', 'Journey tasks');
+  taskGroups[0].parentNode.insertBefore(taskList, taskGroups[0]);
+
+  taskGroups.forEach((group, index) => {
+    const step = useParsed ? steps[index] : null;
+    let name;
+    if (step) {
+      name = `${step.section}: ${step.name}, score ${step.score} out of 5`;
+      if (step.actors.length > 0) name += `, actors: ${step.actors.join(', ')}`;
+    } else {
+      // Actor dots carry the actor name as a <title>
+      const label = Array.from(group.querySelectorAll(':scope > text.task')).map(text => text.textContent.trim()).join(' ');
+      const actors = Array.from(group.querySelectorAll(':scope > circle[class^="actor-"] > title')).map(title => title.textContent);
+      name = actors.length > 0 ? `${label}, actors: ${actors.join(', ')}` : label;
+    }
+
+    group.setAttribute('role', 'listitem');
+    setSvgTitle(group, name);
+    Array.from(group.children)
+      .filter(child => child.localName !== 'title')
+      .forEach(child => child.setAttribute('aria-hidden', 'true'));
+    taskList.appendChild(group);
+  });
+
+  svg.querySelectorAll('rect.journey-section').forEach(rect => rect.parentNode.setAttribute('aria-hidden', 'true'));
+  svg.querySelectorAll(':scope > line[marker-end], defs marker').forEach(el => el.setAttribute('aria-hidden', 'true'));
+
+  // Legend: a coloured dot followed by the actor name, drawn on the root
+  const legendDots = Array.from(svg.querySelectorAll(':scope > circle[class^="actor-"]'));
+  if (legendDots.length > 0) {
+    const actorList = createSemanticGroup('list', 'Actors');
+    legendDots[0].parentNode.insertBefore(actorList, legendDots[0]);
+    legendDots.forEach(dot => {
+      const label = dot.nextElementSibling?.localName === 'text' ? dot.nextElementSibling : null;
+      const item = createSemanticGroup('listitem');
+      dot.setAttribute('aria-hidden', 'true');
+      item.appendChild(dot);
+      if (label) item.appendChild(label);
+      actorList.appendChild(item);
+    });
+  }
+}
+
+/**
+ * Create a transparent <pattern> tile with black marks on white halos
+ * The marks read on any fill colour, so the pattern can be laid over the
+ * original shape without knowing its colour.
+ */
+function createChartPattern(id, name) {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const pattern = document.createElementNS(svgNs, 'pattern');
+  pattern.id = id;
+  pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+  pattern.setAttribute('width', '8');
+  pattern.setAttribute('height', '8');
+
+  const paths = {
+    diagonal: 'M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4',
+    'reverse-diagonal': 'M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4',
+    crosshatch: 'M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4 M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4',
+    horizontal: 'M0,4 h8',
+    vertical: 'M4,0 v8',
+  };
+  [['#ffffff', 2.5, 0.7], ['#000000', 1, 0.8]].forEach(([color, size, opacity]) => {
+    let mark;
+    if (name === 'dots') {
+      mark = document.createElementNS(svgNs, 'circle');
+      mark.setAttribute('cx', '4');
+      mark.setAttribute('cy', '4');
+      mark.setAttribute('r', String(size === 1 ? 1.25 : 2.25));
+      mark.setAttribute('fill', color);
+    } else {
+      mark = document.createElementNS(svgNs, 'path');
+      mark.setAttribute('d', paths[name] || paths.diagonal);
+      mark.setAttribute('fill', 'none');
+      mark.setAttribute('stroke', color);
+      mark.setAttribute('stroke-width', String(size));
+    }
+    mark.setAttribute('opacity', String(opacity));
+    pattern.appendChild(mark);
+  });
+  return pattern;
+}
+
+/**
+ * Collect the filled shapes of each chart series: pie slices and journey
+ * sections/actors, each with its series index
+ * Legend swatches belong to their series. XY charts are not rendered by the
+ * studio (UNSUPPORTED_DIAGRAM_TYPES), so their bars are not collected.
+ */
+function collectChartSeries(svg) {
+  const series = [];
+  // Pie: slices and legend swatches share Mermaid's value-descending order
+  const legendSwatches = Array.from(svg.querySelectorAll('g.legend > rect'));
+  svg.querySelectorAll('path.pieCircle').forEach((slice, index) => {
+    series.push({ index, shapes: [slice, legendSwatches[index]].filter(Boolean) });
+  });
+  // Journey: sections and their tasks by section number, actors by position (dots and legend)
+  svg.querySelectorAll('rect.journey-section, rect.task').forEach(rect => {
+    const match = (rect.getAttribute('class') || '').match(/(?:section|task)-type-(\d+)/);
+    if (match) series.push({ index: Number(match[1]), shapes: [rect] });
+  });
+  svg.querySelectorAll('circle[class^="actor-"]').forEach(circle => {
+    const match = circle.getAttribute('class').match(/^actor-(\d+)/);
+    if (match) series.push({ index: Number(match[1]), shapes: [circle] });
+  });
+  return series;
+}
+
+/**
+ * Add pattern fills to chart series (see collectChartSeries)
+ * Each pattern is laid over a copy of the shape (aria-hidden, not
+ * interactive), so the colour stays as drawn and series get colour plus
+ * texture.
+ */
+function applyChartPatterns(svg) {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  svg.querySelectorAll('.a11y-pattern-overlay, defs.a11y-patterns').forEach(el => el.remove());
+
+  const series = collectChartSeries(svg);
+  if (!series.length) return;
+
+  const defs = document.createElementNS(svgNs, 'defs');
+  defs.setAttribute('class', 'a11y-patterns');
+  svg.insertBefore(defs, svg.querySelector('style')?.nextSibling || svg.firstChild);
+  const patternIds = new Map();
+  const patternFor = index => {
+    const name = CONFIG.chartPatterns[index % CONFIG.chartPatterns.length];
+    if (!patternIds.has(name)) {
+      const id = `${svg.id || 'chart'}-pattern-${name}`;
+      defs.appendChild(createChartPattern(id, name));
+      patternIds.set(name, id);
+    }
+    return patternIds.get(name);
+  };
+
+  let overlays = 0;
+  series.forEach(({ index, shapes }) => {
+    const patternId = patternFor(index);
+    shapes.forEach(shape => {
+      const overlay = document.createElementNS(svgNs, shape.localName);
+      ['d', 'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r', 'transform'].forEach(name => {
+        if (shape.hasAttribute(name)) overlay.setAttribute(name, shape.getAttribute(name));
+      });
+      overlay.setAttribute('class', 'a11y-pattern-overlay');
+      overlay.setAttribute('fill', `url(#${patternId})`);
+      overlay.setAttribute('stroke', 'none');
+      overlay.setAttribute('pointer-events', 'none');
+      overlay.setAttribute('aria-hidden', 'true');
+      shape.parentNode.insertBefore(overlay, shape.nextSibling);
+      overlays += 1;
+    });
+  });
+
+  console.log(`[Patterns] Added ${patternIds.size} patterns to ${overlays} shapes`);
+}
+
+/**
+ * Check if browser AI is available (Chrome's Gemini Nano)
+ * Sets STATE.aiAvailable based on detection
+ */
+async function checkBrowserAIAvailability() {
+  try {
+    // Check for Chrome/Edge AI API (window.ai)
+    // Supported in: Chrome 128+, Edge 133+ (Chromium-based)
+    // Requires: OS support (Windows 11 24H2+, macOS 15.1+, Linux pending)
+    // User action: Must enable chrome://flags/#prompt-api-for-ai
+    if ('ai' in window && 'languageModel' in window.ai) {
+      console.log('[AI] Browser AI API detected (Chrome 128+/Edge 133+)');
+      
+      // Check if model is available
+      const capabilities = await window.ai.languageModel.capabilities();
+      console.log('[AI] Model capabilities:', capabilities);
+      
+      if (capabilities.available === 'readily') {
+        STATE.aiAvailable = true;
+        console.log('[AI] Model readily available');
+      } else if (capabilities.available === 'after-download') {
+        STATE.aiAvailable = true;
+        console.log('[AI] Model available after download (~2.5GB)');
+      } else {
+        STATE.aiAvailable = false;
+        console.log('[AI] Model not available:', capabilities.available);
+      }
+    } else {
+      STATE.aiAvailable = false;
+      console.log('[AI] Browser AI API not found. Check: Chrome 128+/Edge 133+ with feature enabled');
+    }
+  } catch (error) {
+    STATE.aiAvailable = false;
+    console.log('[AI] Error checking AI availability:', error);
+  }
+}
+
+/**
+ * Load AI preferences from localStorage
+ */
+function loadAIPreferences() {
+  try {
+    const enabled = localStorage.getItem('a11y-mermaid-ai-enabled');
+    const audience = localStorage.getItem('a11y-mermaid-ai-audience');
+    
+    if (enabled !== null) {
+      STATE.aiEnabled = enabled === 'true';
+      console.log('[AI] Loaded preference: enabled =', STATE.aiEnabled);
+    }
+    
+    if (audience) {
+      STATE.aiAudience = audience;
+      console.log('[AI] Loaded preference: audience =', STATE.aiAudience);
+    }
+  } catch (error) {
+    console.error('[AI] Error loading preferences:', error);
+  }
+}
+
+/**
+ * Save AI preferences to localStorage
+ */
+function saveAIPreferences() {
+  try {
+    localStorage.setItem('a11y-mermaid-ai-enabled', String(STATE.aiEnabled));
+    localStorage.setItem('a11y-mermaid-ai-audience', STATE.aiAudience);
+    console.log('[AI] Saved preferences');
+  } catch (error) {
+    console.error('[AI] Error saving preferences:', error);
+  }
+}
+
+/**
+ * Show AI opt-in prompt (only once)
+ */
+function showAIOptInPrompt() {
+  // Discovery model: don't force opt-in
+  // AI settings are available via the Settings button when AI is available
+  // User chooses to enable in settings, not via modal prompt
+  // This respects the principle of not being "in your face"
+  
+  // Only initialize preferences if not already set
+  if (STATE.aiAvailable && STATE.aiEnabled === null) {
+    // Default to disabled, user can opt-in via settings button
+    STATE.aiEnabled = false;
+    saveAIPreferences();
+  }
+}
+
+/**
+ * Get audience description for AI prompt
+ */
+function getAudienceDescription() {
+  const descriptions = {
+    general: 'a general audience with mixed technical backgrounds',
+    technical: 'software developers and technical professionals',
+    nontechnical: 'non-technical stakeholders and business users',
+    students: 'students learning about the subject matter',
+    executives: 'executives and decision-makers focused on high-level insights'
+  };
+  return descriptions[STATE.aiAudience] || descriptions.general;
+}
+
+/**
+ * Extract visual context from SVG for AI analysis
+ * Provides a text-based summary of visual structure
+ */
+function extractSVGContext() {
+  try {
+    const svgElement = document.querySelector('svg[data-mermaid-id]');
+    if (!svgElement) return '';
+    
+    // Extract text labels from SVG
+    const textElements = svgElement.querySelectorAll('text');
+    const labels = Array.from(textElements)
+      .map(el => el.textContent?.trim())
+      .filter(text => text && text.length > 0 && text.length < 100)
+      .slice(0, 20); // Limit to prevent excessive data
+    
+    // Extract group roles (accessibility structure)
+    const groups = svgElement.querySelectorAll('[role="list"], [role="listitem"]');
+    const hasAccessibleStructure = groups.length > 0;
+    
+    // Build context string
+    let context = '';
+    if (hasAccessibleStructure) {
+      context += 'The diagram has accessible semantic structure (role="list" containers with role="listitem" elements).\n';
+    }
+    if (labels.length > 0) {
+      context += `Visual elements detected: ${labels.join(', ')}.\n`;
+    }
+    
+    return context;
+  } catch (error) {
+    console.log('[AI] Could not extract SVG context:', error);
+    return '';
+  }
+}
+
+/**
+ * Enhance diagram narrative using browser AI
+ * Includes visual context from the generated SVG for better analysis
+ */
+async function enhanceNarrativeWithAI(mermaidSource, currentNarrative, metadata) {
+  if (!STATE.aiAvailable || !STATE.aiEnabled) {
+    return null;
+  }
+  
+  try {
+    // Create AI session if needed
+    if (!STATE.aiSession) {
+      console.log('[AI] Creating language model session...');
+      STATE.aiSession = await window.ai.languageModel.create({
+        temperature: 0.7,
+        topK: 3,
+      });
+    }
+    
+    const diagramType = detectDiagramType(mermaidSource) || 'unknown';
+    const audienceDesc = getAudienceDescription();
+    const svgContext = extractSVGContext();
+    
+    // Create prompt for AI
+    const prompt = `You are an accessibility expert reviewing a diagram narrative description.
+
+DIAGRAM TYPE: ${diagramType}
+TITLE: ${metadata.title || 'Untitled'}
+DESCRIPTION: ${metadata.description || 'No description'}
+
+VISUAL CONTEXT FROM SVG:
+${svgContext}
+
+CURRENT NARRATIVE:
+${stripHtmlTags(currentNarrative)}
+
+ORIGINAL MERMAID SOURCE:
+${mermaidSource}
+
+TASK:
+Review the narrative description for accuracy, clarity, and alignment with the visual structure. The audience is ${audienceDesc}.
+
+Consider the visual elements shown in the SVG context when evaluating accuracy.
+
+If the narrative accurately describes the diagram structure and content, respond with exactly: "Narrative is accurate."
+
+If there are improvements to suggest, provide a revised narrative that:
+1. Corrects any inaccuracies or misalignments with visuals
+2. Improves clarity for the target audience
+3. Maintains similar structure (headings, lists, etc.)
+4. Keeps the same level of technical detail
+5. Uses plain HTML formatting (p, strong, em, ul, ol, li tags only)
+
+Respond with ONLY the revised narrative or "Narrative is accurate." Do not include explanations.`;
+
+    console.log('[AI] Sending prompt to language model (with SVG context)...');
+    const response = await STATE.aiSession.prompt(prompt);
+    console.log('[AI] Received response, length:', response.length);
+    const trimmedResponse = response.trim();
+
+    STATE.aiUsageCount += 1;
+    STATE.aiLastUsedAt = new Date().toISOString();
+    STATE.aiLastOutcome = trimmedResponse === 'Narrative is accurate.' ? 'approved' : 'enhanced';
+    STATE.aiLastResponseLength = trimmedResponse.length;
+    STATE.aiLastResponsePreview = trimmedResponse.slice(0, 160).replace(/\s+/g, ' ');
+    
+    return trimmedResponse;
+  } catch (error) {
+    console.error('[AI] Error enhancing narrative:', error);
+    STATE.aiLastOutcome = 'error';
+    STATE.aiLastResponsePreview = '';
+    STATE.aiLastResponseLength = 0;
+    return null;
+  }
+}
+
+/**
+ * Strip HTML tags for plain text (used in AI prompts)
+ */
+function stripHtmlTags(html) {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.textContent || div.innerText || '';
+}
+
+/**
+ * Get browser AI diagnostics for debugging
+ * Shows what features the browser supports
+ * Call getBrowserAIDiagnostics() in console to explore available features
+ */
+function getBrowserAIDiagnostics() {
+  const diagnostics = {
+    timestamp: new Date().toISOString(),
+    browser: {
+      userAgent: navigator.userAgent,
+      hasAIAPI: 'ai' in window,
+      hasLanguageModel: 'ai' in window && 'languageModel' in window.ai,
+    },
+    os: {
+      platform: navigator.platform,
+      maxTouchPoints: navigator.maxTouchPoints,
+    },
+    ai: {
+      available: STATE.aiAvailable,
+      enabled: STATE.aiEnabled,
+      audience: STATE.aiAudience,
+    },
+    supportMatrix: {
+      'Chrome 128+': 'Gemini Nano (local)',
+      'Edge 133+': 'Gemini Nano (local)',
+      'Other browsers': 'Not supported (requires Chromium)',
+      'Feature flag': 'chrome://flags/#prompt-api-for-ai',
+    },
+    osRequirements: {
+      'Windows': '11 24H2 or later',
+      'macOS': '15.1 (Sequoia) or later',
+      'Linux': 'Support pending',
+    },
+    modelDetails: {
+      'Gemini Nano size': '~2.5 GB (downloaded once)',
+      'Processing': '100% local, no cloud calls',
+      'Privacy': 'All data stays in browser',
+      'Temperature': 0.7,
+      'TopK': 3,
+    },
+  };
+  
+  console.log('=== Browser AI Diagnostics ===');
+  console.table(diagnostics);
+  console.log('To check if your browser has AI enabled, run: getBrowserAIDiagnostics() in console');
+  return diagnostics;
+}
+
+function logConsoleTable(label, data) {
+  console.log(`=== ${label} ===`);
+  if (console.table) {
+    console.table([data]);
+  } else {
+    console.log(data);
+  }
+  return data;
+}
+
+function exposeAIConsoleHelpers() {
+  if (typeof window === 'undefined') return;
+
+  const getAvailability = () => {
+    const status = {
+      available: STATE.aiAvailable,
+      enabled: STATE.aiEnabled,
+      sessionActive: Boolean(STATE.aiSession),
+      audience: STATE.aiAudience,
+    };
+    return logConsoleTable('AI Availability', status);
+  };
+
+  const getUsage = () => {
+    const usage = {
+      usageCount: STATE.aiUsageCount,
+      lastUsedAt: STATE.aiLastUsedAt || 'never',
+      lastOutcome: STATE.aiLastOutcome || 'n/a',
+      lastResponseChars: STATE.aiLastResponseLength,
+      lastResponsePreview: STATE.aiLastResponsePreview || '',
+    };
+    return logConsoleTable('AI Usage', usage);
+  };
+
+  const helpers = {
+    getAvailability,
+    getUsage,
+    diagnostics: () => getBrowserAIDiagnostics(),
+    enable() {
+      STATE.aiEnabled = true;
+      saveAIPreferences();
+      return getAvailability();
+    },
+    disable() {
+      STATE.aiEnabled = false;
+      saveAIPreferences();
+      return getAvailability();
+    },
+  };
+
+  Object.defineProperty(helpers, 'state', {
+    get() {
+      return { ...STATE };
+    },
+  });
+
+  window.A11yMermaidAI = helpers;
+
+  if (!('getBrowserAIDiagnostics' in window)) {
+    window.getBrowserAIDiagnostics = getBrowserAIDiagnostics;
+  }
+
+  console.log('ℹ️ AI console helpers ready. Try A11yMermaidAI.getAvailability() or A11yMermaidAI.getUsage().');
+}
+
+/**
+ * Generate a narrative description of the diagram structure
+ * Analyzes Mermaid source and converts it to prose
+ * Optionally enhances with AI if enabled
+ */
+async function generateDiagramNarrative(mermaidSource, metadata) {
+  const narrativeDiv = document.getElementById('diagram-narrative');
+  if (!narrativeDiv) return;
+  
+  console.log('[Narrative] Generating narrative for diagram');
+  
+  // Show AI opt-in prompt if applicable (only once)
+  showAIOptInPrompt();
+  
+  // Detect diagram type
+  const diagramType = detectDiagramType(mermaidSource);
+  console.log('[Narrative] Detected diagram type:', diagramType);
+  
+  let narrative = '';
+  
+  // Add title and description if present
+  if (metadata.title) {
+    narrative += `<h3 style="margin-top: 0;">${escapeHtml(metadata.title)}</h3>\n`;
+  }
+  if (metadata.description) {
+    narrative += `<p><em>${escapeHtml(metadata.description)}</em></p>\n`;
+  }
+  
+  // Generate type-specific narrative
+  let structuralNarrative = '';
+  switch (diagramType) {
+    case 'flowchart':
+      structuralNarrative = generateFlowchartNarrative(mermaidSource);
+      break;
+    case 'pie':
+      structuralNarrative = generatePieNarrative(mermaidSource);
+      break;
+    case 'classDiagram':
+      structuralNarrative = generateClassDiagramNarrative(mermaidSource);
+      break;
+    case 'gantt':
+      structuralNarrative = generateGanttNarrative(mermaidSource);
+      break;
+    case 'journey':
+      structuralNarrative = generateUserJourneyNarrative(mermaidSource);
+      break;
+    case 'mindmap':
+      structuralNarrative = generateMindmapNarrative(mermaidSource);
+      break;
+    case 'timeline':
+      structuralNarrative = generateTimelineNarrative(mermaidSource);
+      break;
+    case 'xychart':
+      structuralNarrative = generateXyChartNarrative(mermaidSource);
+      break;
+    case 'sequenceDiagram':
+      structuralNarrative = generateSequenceNarrative(mermaidSource);
+      break;
+    // All other detected types get generic fallback
+    case 'stateDiagram':
+    case 'erDiagram':
+    case 'gitGraph':
+    case 'c4':
+    case 'quadrantChart':
+    case 'requirement':
+    case 'zenuml':
+    case 'sankey':
+    case 'block':
+    case 'packet':
+    case 'kanban':
+    case 'architecture':
+    case 'radar':
+    case 'treemap':
+      structuralNarrative = generateGenericNarrative(mermaidSource, diagramType);
+      break;
+    default:
+      structuralNarrative = generateGenericNarrative(mermaidSource, diagramType || 'unknown');
+  }
+  
+  narrative += structuralNarrative;
+
+  // Kept without the title/description so exports can embed it separately
+  STATE.narrativeHtml = structuralNarrative;
+  
+  // Display the baseline narrative first
+  narrativeDiv.innerHTML = narrative;
+  
+  // Try AI enhancement if enabled
+  if (STATE.aiEnabled) {
+    try {
+      console.log('[Narrative] Attempting AI enhancement...');
+      const aiEnhancement = await enhanceNarrativeWithAI(mermaidSource, structuralNarrative, metadata);
+      
+      if (aiEnhancement) {
+        if (aiEnhancement === 'Narrative is accurate.') {
+          // AI approved the narrative
+          const approvalHtml = `
+            <div style="
+              background: #d4edda;
+              border: 1px solid #c3e6cb;
+              color: #155724;
+              padding: 0.75rem;
+              border-radius: 4px;
+              margin-top: 1rem;
+              font-size: 0.9em;
+            ">
+              <strong>✓ AI Review:</strong> Narrative is accurate.
+            </div>
+          `;
+          narrativeDiv.innerHTML = narrative + approvalHtml;
+        } else {
+          // AI suggested improvements
+          const enhancedHtml = `
+            <div style="margin-top: 1.5rem; border-top: 2px solid #667eea; padding-top: 1rem;">
+              <h4 style="color: #667eea; margin: 0 0 0.5rem 0; font-size: 0.95rem;">
+                🤖 AI-Enhanced Narrative
+              </h4>
+              ${aiEnhancement}
+            </div>
+            <details style="margin-top: 1rem;">
+              <summary style="cursor: pointer; color: #666; font-size: 0.85em;">
+                Show original structural narrative
+              </summary>
+              <div style="margin-top: 0.5rem; padding: 0.75rem; background: #f8f9fa; border-radius: 4px;">
+                ${structuralNarrative}
+              </div>
+            </details>
+          `;
+          narrativeDiv.innerHTML = narrative + enhancedHtml;
+        }
+      }
+    } catch (error) {
+      console.error('[Narrative] AI enhancement failed:', error);
+      // Keep the original narrative on error
+    }
+  }
+}
+
+/**
+ * Detect Mermaid diagram type from source
+ */
+/**
+ * Skip YAML frontmatter in Mermaid source
+ * Frontmatter is delimited by --- at start and end
+ * Example:
+ * ---
+ * config:
+ *   look: handDrawn
+ * ---
+ * graph BT
+ */
+function skipFrontmatter(source) {
+  const lines = source.trim().split('\n');
+  if (lines[0].trim() === '---') {
+    // Find the closing ---
+    for (let i = 1; i < lines.length; i++) {
+      if (lines[i].trim() === '---') {
+        // Return everything after the closing ---
+        return lines.slice(i + 1).join('\n');
+      }
+    }
+  }
+  return source;
+}
+
+/**
+ * Generate a basic fallback narrative for any diagram type
+ * Provides structural information when no specific generator exists
+ */
+function generateGenericNarrative(source, diagramType) {
+  let narrative = `<p><strong>Diagram Type:</strong> ${escapeHtml(diagramType)}</p>\n`;
+  
+  // Skip frontmatter and comments
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0);
+  
+  // Count structural elements
+  const stats = {
+    totalLines: lines.length - 1, // Exclude declaration line
+    nodes: 0,
+    connections: 0,
+    sections: 0,
+    labels: 0
+  };
+  
+  lines.slice(1).forEach(line => {
+    const trimmed = line.trim();
+    
+    // Count node-like patterns (ID followed by bracket/paren)
+    if (/^[A-Za-z0-9_]+[\[\(\{]/.test(trimmed)) {
+      stats.nodes++;
+    }
+    
+    // Count connections (arrows, dashes)
+    if (/-->|---|-\.-|==>|->|\.>|\|/.test(trimmed)) {
+      stats.connections++;
+    }
+    
+    // Count sections
+    if (/^section\s+/i.test(trimmed) || /^subgraph\s+/i.test(trimmed)) {
+      stats.sections++;
+    }
+    
+    // Count quoted labels
+    const quotes = trimmed.match(/["'][^"']+["']/g);
+    if (quotes) {
+      stats.labels += quotes.length;
+    }
+  });
+  
+  narrative += '<p><strong>Structure:</strong></p>\n<ul>\n';
+  
+  if (stats.nodes > 0) {
+    narrative += `<li>${stats.nodes} element${stats.nodes !== 1 ? 's' : ''}</li>\n`;
+  }
+  
+  if (stats.connections > 0) {
+    narrative += `<li>${stats.connections} connection${stats.connections !== 1 ? 's' : ''}</li>\n`;
+  }
+  
+  if (stats.sections > 0) {
+    narrative += `<li>${stats.sections} section${stats.sections !== 1 ? 's' : ''}</li>\n`;
+  }
+  
+  if (stats.labels > 0) {
+    narrative += `<li>${stats.labels} labeled item${stats.labels !== 1 ? 's' : ''}</li>\n`;
+  }
+  
+  if (stats.totalLines > 0) {
+    narrative += `<li>${stats.totalLines} line${stats.totalLines !== 1 ? 's' : ''} of content</li>\n`;
+  }
+  
+  narrative += '</ul>\n';
+  
+  // Add helpful note about narrative generation
+  narrative += `<p style="color: #666; font-size: 0.9em; margin-top: 1rem;">`;
+  narrative += `<em>Note: This diagram type does not yet have a detailed narrative generator. `;
+  narrative += `The SVG will still be rendered with accessibility attributes (title, description, role).</em>`;
+  narrative += `</p>`;
+  
+  return narrative;
+}
+
+function detectDiagramType(source) {
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  const lines = sourceWithoutFrontmatter.trim().split('\n');
+  const firstLine = lines[0].trim();
+  
+  // Check for all known diagram types
+  if (firstLine.startsWith('flowchart') || firstLine.startsWith('graph')) {
+    return 'flowchart';
+  } else if (firstLine.startsWith('pie')) {
+    return 'pie';
+  } else if (firstLine.startsWith('classDiagram')) {
+    return 'classDiagram';
+  } else if (firstLine.startsWith('sequenceDiagram')) {
+    return 'sequenceDiagram';
+  } else if (firstLine.startsWith('gantt')) {
+    return 'gantt';
+  } else if (firstLine.startsWith('journey')) {
+    return 'journey';
+  } else if (firstLine.startsWith('mindmap')) {
+    return 'mindmap';
+  } else if (firstLine.startsWith('timeline')) {
+    return 'timeline';
+  } else if (firstLine.startsWith('xychart')) {
+    return 'xychart';
+  } else if (firstLine.startsWith('erDiagram')) {
+    return 'erDiagram';
+  } else if (firstLine.startsWith('stateDiagram')) {
+    return 'stateDiagram';
+  } else if (firstLine.startsWith('gitGraph')) {
+    return 'gitGraph';
+  } else if (firstLine.startsWith('C4Context') || firstLine.startsWith('C4Container') || firstLine.startsWith('C4Component')) {
+    return 'c4';
+  } else if (firstLine.startsWith('quadrantChart')) {
+    return 'quadrantChart';
+  } else if (firstLine.startsWith('requirement')) {
+    return 'requirement';
+  } else if (firstLine.startsWith('zenuml')) {
+    return 'zenuml';
+  } else if (firstLine.startsWith('sankey')) {
+    return 'sankey';
+  } else if (firstLine.startsWith('block')) {
+    return 'block';
+  } else if (firstLine.startsWith('packet')) {
+    return 'packet';
+  } else if (firstLine.startsWith('kanban')) {
+    return 'kanban';
+  } else if (firstLine.startsWith('architecture')) {
+    return 'architecture';
+  } else if (firstLine.startsWith('radar')) {
+    return 'radar';
+  } else if (firstLine.startsWith('treemap')) {
+    return 'treemap';
+  }
+  
+  return 'unknown';
+}
+
+/**
+ * Generate narrative for flowchart diagrams
+ */
+function generateFlowchartNarrative(source) {
+  let narrative = '<p><strong>Flow:</strong></p>\n<ol>\n';
+  
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => !line.trim().startsWith('subgraph'))
+    .filter(line => !line.trim().startsWith('end'))
+    .filter(line => !line.trim().startsWith('direction'))
+    .filter(line => !line.trim().startsWith('class '))
+    .filter(line => !line.trim().startsWith('classDef'))
+    .filter(line => line.trim().length > 0)
+    .slice(1); // Skip first line (flowchart TD or graph BT)
+  
+  const nodes = new Map();
+  const edges = [];
+  
+  // Parse nodes and edges - handle all Mermaid node shapes
+  lines.forEach(line => {
+    line = line.trim();
+    
+    // Node definitions - supports multiple shapes:
+    // A[Rectangle], A(Round), A((Circle)), A{Diamond}, A{{Hexagon}}, A[(Database)], A([Stadium]), etc.
+    const nodePatterns = [
+      /^([A-Za-z0-9_]+)\[\[([^\]]+)\]\]/,      // Double square: [[text]]
+      /^([A-Za-z0-9_]+)\[([^\]]+)\]/,          // Square: [text]
+      /^([A-Za-z0-9_]+)\(\(([^)]+)\)\)/,       // Circle: ((text))
+      /^([A-Za-z0-9_]+)\(\[([^\]]+)\]\)/,      // Stadium: ([text])
+      /^([A-Za-z0-9_]+)\({2}([^}]+)\}{2}/,     // Hexagon: {{text}}
+      /^([A-Za-z0-9_]+)\{([^}]+)\}/,           // Diamond: {text}
+      /^([A-Za-z0-9_]+)\(([^)]+)\)/,           // Round: (text)
+      /^([A-Za-z0-9_]+)\[\(([^\]]+)\)\]/,      // Asymmetric: [(text)]
+      /^([A-Za-z0-9_]+)\[\|([^\]]+)\|\]/,      // Subroutine: [|text|]
+      /^([A-Za-z0-9_]+)\[\(([^\)]+)\)\]/,      // Left round: [(text)
+      /^([A-Za-z0-9_]+)>"([^"]+)"\]/,          // Flag: >"text"]
+      /^([A-Za-z0-9_]+)\[\/([^\/]+)\/\]/,      // Parallelogram: [/text/]
+    ];
+    
+    for (const pattern of nodePatterns) {
+      const nodeMatch = line.match(pattern);
+      if (nodeMatch) {
+        const id = nodeMatch[1];
+        const text = nodeMatch[2];
+        // Diamond shapes are typically questions/decisions
+        const isQuestion = line.includes('{') && line.includes('}');
+        nodes.set(id, { text, isQuestion });
+        return; // Found a match, move to next line
+      }
+    }
+    
+    // Edge with label: A -->|Yes| B or A ---|Label| B or A ---->|Label| B
+    const edgeLabelMatch = line.match(/([A-Za-z0-9_]+)\s*-+>?\s*\|([^|]+)\|\s*([A-Za-z0-9_]+)/);
+    if (edgeLabelMatch) {
+      edges.push({ from: edgeLabelMatch[1], to: edgeLabelMatch[3], label: edgeLabelMatch[2] });
+    } else {
+      // Edge without label: A --> B or A ---> B or A ----> B
+      const edgeMatch = line.match(/([A-Za-z0-9_]+)\s*-+>?\s+([A-Za-z0-9_]+)/);
+      if (edgeMatch) {
+        edges.push({ from: edgeMatch[1], to: edgeMatch[2], label: null });
+      }
+    }
+  });
+  
+  console.log('[Narrative] Found', nodes.size, 'nodes and', edges.length, 'edges');
+  
+  // Build narrative
+  if (nodes.size > 0) {
+    const firstNode = Array.from(nodes.entries())[0];
+    narrative += `<li>Start at: <strong>${escapeHtml(firstNode[1].text)}</strong></li>\n`;
+    
+    edges.forEach(edge => {
+      const fromNode = nodes.get(edge.from);
+      const toNode = nodes.get(edge.to);
+      
+      if (fromNode && toNode) {
+        if (fromNode.isQuestion) {
+          if (edge.label) {
+            narrative += `<li>If <em>${escapeHtml(fromNode.text)}</em> is <strong>${escapeHtml(edge.label)}</strong>, then → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
+          } else {
+            narrative += `<li>From <em>${escapeHtml(fromNode.text)}</em> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
+          }
+        } else {
+          if (edge.label) {
+            narrative += `<li>After <strong>${escapeHtml(fromNode.text)}</strong>, <em>${escapeHtml(edge.label)}</em> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
+          } else {
+            narrative += `<li><strong>${escapeHtml(fromNode.text)}</strong> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
+          }
+        }
+      }
+    });
+  } else {
+    narrative += '<li>No flowchart steps detected.</li>\n';
+  }
+  
+  narrative += '</ol>\n';
+  
+  // Add summary stats
+  narrative += `<p style="color: #666; font-size: 0.9em; margin-top: 1rem;">`;
+  narrative += `<strong>Structure:</strong> ${nodes.size} node${nodes.size !== 1 ? 's' : ''}, `;
+  narrative += `${edges.length} connection${edges.length !== 1 ? 's' : ''}`;
+  const questions = Array.from(nodes.values()).filter(n => n.isQuestion).length;
+  if (questions > 0) {
+    narrative += `, ${questions} decision point${questions !== 1 ? 's' : ''}`;
+  }
+  narrative += `</p>`;
+  
+  return narrative;
+}
+
+/**
+ * Parse pie chart slices from source
+ * Slices are sorted by value descending, the same order Mermaid draws them in,
+ * and carry a percentage of the total rounded to one decimal place
+ */
+function parsePieSource(source) {
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0)
+    .slice(1); // Skip title line
+  
+  const data = [];
+  let total = 0;
+  
+  lines.forEach(line => {
+    const match = line.trim().match(/["']?([^"':]+)["']?\s*:\s*(\d+(?:\.\d+)?)/);
+    if (match) {
+      const label = match[1].trim();
+      const value = parseFloat(match[2]);
+      data.push({ label, value });
+      total += value;
+    }
+  });
+  
+  // Sort by value descending
+  data.sort((a, b) => b.value - a.value);
+  data.forEach(item => {
+    item.percentage = total > 0 ? ((item.value / total) * 100).toFixed(1) : 0;
+  });
+  
+  return { data, total };
+}
+
+/**
+ * Generate narrative for pie chart diagrams
+ */
+function generatePieNarrative(source) {
+  let narrative = '<p><strong>Data breakdown:</strong></p>\n<ul>\n';
+  
+  const { data, total } = parsePieSource(source);
+  
+  console.log('[Narrative] Found', data.length, 'pie segments, total:', total);
+  
+  data.forEach(item => {
+    narrative += `<li><strong>${escapeHtml(item.label)}</strong>: ${item.value} (${item.percentage}%)</li>\n`;
+  });
+  
+  narrative += '</ul>\n';
+  narrative += `<p style="color: #666; font-size: 0.9em;"><strong>Total:</strong> ${total}</p>`;
+  
+  return narrative;
+}
+
+/**
+ * Generate narrative for class diagram
+ */
+function generateClassDiagramNarrative(source) {
+  let narrative = '<p><strong>Class structure:</strong></p>\n<ul>\n';
+  
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0)
+    .slice(1);
+  
+  const classes = new Map();
+  const relationships = [];
+  
+  lines.forEach(line => {
+    line = line.trim();
+    
+    // Class definition
+    const classMatch = line.match(/class\s+(\w+)/);
+    if (classMatch) {
+      const className = classMatch[1];
+      if (!classes.has(className)) {
+        classes.set(className, { methods: [], properties: [] });
+      }
+    }
+    
+    // Methods/properties
+    const memberMatch = line.match(/(\w+)\s*:\s*([+\-#~])?(.+)/);
+    if (memberMatch) {
+      const className = memberMatch[1];
+      const member = memberMatch[3];
+      if (classes.has(className)) {
+        if (member.includes('()')) {
+          classes.get(className).methods.push(member);
+        } else {
+          classes.get(className).properties.push(member);
+        }
+      }
+    }
+    
+    // Relationships
+    const relMatch = line.match(/(\w+)\s*(<\||--\||--|\.\.|<\.\.|o--)\s*(\w+)/);
+    if (relMatch) {
+      relationships.push({ from: relMatch[1], type: relMatch[2], to: relMatch[3] });
+    }
+  });
+  
+  console.log('[Narrative] Found', classes.size, 'classes and', relationships.length, 'relationships');
+  
+  classes.forEach((classData, className) => {
+    narrative += `<li><strong>${escapeHtml(className)}</strong>`;
+    if (classData.methods.length > 0) {
+      narrative += ` with methods: ${classData.methods.map(m => escapeHtml(m)).join(', ')}`;
+    }
+    narrative += `</li>\n`;
+  });
+  
+  narrative += '</ul>\n';
+  
+  if (relationships.length > 0) {
+    narrative += '<p><strong>Relationships:</strong></p>\n<ul>\n';
+    relationships.forEach(rel => {
+      const relType = rel.type === '<|--' ? 'inherits from' : 
+                      rel.type === '-->' ? 'uses' : 'relates to';
+      narrative += `<li><strong>${escapeHtml(rel.from)}</strong> ${relType} <strong>${escapeHtml(rel.to)}</strong></li>\n`;
+    });
+    narrative += '</ul>\n';
+  }
+  
+  return narrative;
+}
+
+/**
+ * Generate narrative for gantt diagrams
+ * Based on https://mermaid.js.org/syntax/gantt.html
+ */
+function generateGanttNarrative(source) {
+  let narrative = '<p><strong>Project Timeline:</strong></p>\n';
+  
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0);
+  
+  // Extract title
+  const titleLine = lines.find(l => l.trim().startsWith('title'));
+  if (titleLine) {
+    const title = titleLine.replace(/title\s+/, '').trim();
+    narrative += `<p><em>${escapeHtml(title)}</em></p>\n`;
+  }
+  
+  // Parse sections and tasks
+  const sections = [];
+  let currentSection = null;
+  
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    
+    // Section header
+    const sectionMatch = trimmed.match(/^section\s+(.+)$/);
+    if (sectionMatch) {
+      currentSection = {
+        name: sectionMatch[1].trim(),
+        tasks: []
+      };
+      sections.push(currentSection);
+      return;
+    }
+    
+    // Task: "Task name : [tags,] [start,] [end/duration]"
+    // Skip keywords
+    if (trimmed.match(/^(gantt|title|dateFormat|axisFormat|excludes|tickInterval|weekend)/)) {
+      return;
+    }
+    
+    const taskMatch = trimmed.match(/^([^:]+)\s*:\s*(.+)$/);
+    if (taskMatch && currentSection) {
+      const taskName = taskMatch[1].trim();
+      const params = taskMatch[2].trim();
+      
+      // Check for tags
+      const tags = [];
+      if (params.includes('milestone')) tags.push('milestone');
+      if (params.includes('done')) tags.push('completed');
+      if (params.includes('active')) tags.push('in progress');
+      if (params.includes('crit')) tags.push('critical');
+      
+      currentSection.tasks.push({
+        name: taskName,
+        tags: tags
+      });
+    }
+  });
+  
+  // Generate section narrative
+  if (sections.length > 0) {
+    narrative += '<ul>\n';
+    sections.forEach(section => {
+      narrative += `<li><strong>${escapeHtml(section.name)}</strong>`;
+      if (section.tasks.length > 0) {
+        narrative += '\n<ul>\n';
+        section.tasks.forEach(task => {
+          const tagText = task.tags.length > 0 ? ` <em>(${task.tags.join(', ')})</em>` : '';
+          narrative += `<li>${escapeHtml(task.name)}${tagText}</li>\n`;
+        });
+        narrative += '</ul>\n';
+      }
+      narrative += '</li>\n';
+    });
+    narrative += '</ul>\n';
+  }
+  
+  return narrative;
+}
+
+/**
+ * Parse a user journey into its title and sections of steps
+ * Format: "Task name: <score>: <actors>", where the actors are optional
+ */
+function parseJourneySource(source) {
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0);
+  
+  // Extract title
+  const titleLine = lines.find(l => l.trim().startsWith('title'));
+  const title = titleLine ? titleLine.replace(/title\s+/, '').trim() : '';
+  
+  // Parse sections and tasks
+  const sections = [];
+  let currentSection = null;
+  
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    
+    // Section header
+    const sectionMatch = trimmed.match(/^section\s+(.+)$/);
+    if (sectionMatch) {
+      currentSection = {
+        name: sectionMatch[1].trim(),
+        steps: []
+      };
+      sections.push(currentSection);
+      return;
+    }
+    
+    // Task: "Task name: score: actors"
+    if (trimmed.match(/^(journey|title)/)) return;
+    
+    const taskMatch = trimmed.match(/^([^:]+)\s*:\s*(\d+)\s*(?::\s*(.*))?$/);
+    if (taskMatch && currentSection) {
+      const taskName = taskMatch[1].trim();
+      const score = parseInt(taskMatch[2], 10);
+      const actors = (taskMatch[3] || '').split(',').map(a => a.trim()).filter(Boolean);
+      
+      currentSection.steps.push({
+        name: taskName,
+        score: score,
+        actors: actors
+      });
+    }
+  });
+  
+  return { title, sections };
+}
+
+/**
+ * Generate narrative for user journey diagrams
+ * Based on https://mermaid.js.org/syntax/userJourney.html
+ */
+function generateUserJourneyNarrative(source) {
+  let narrative = '<p><strong>User Journey:</strong></p>\n';
+  
+  const { title, sections } = parseJourneySource(source);
+  
+  if (title) {
+    narrative += `<p><em>${escapeHtml(title)}</em></p>\n`;
+  }
+  
+  // Generate section narrative
+  if (sections.length > 0) {
+    sections.forEach(section => {
+      narrative += `<p><strong>${escapeHtml(section.name)}:</strong></p>\n`;
+      if (section.steps.length > 0) {
+        narrative += '<ol>\n';
+        section.steps.forEach(step => {
+          // Satisfaction emoji based on score (1-5)
+          const satisfaction = step.score >= 4 ? '😊 positive' : 
+                             step.score >= 3 ? '😐 neutral' : 
+                             '😞 negative';
+          const actorText = step.actors.length > 0 ? ` (by ${step.actors.join(', ')})` : '';
+          narrative += `<li><strong>${escapeHtml(step.name)}</strong>${escapeHtml(actorText)} — <em>${satisfaction} experience (${step.score}/5)</em></li>\n`;
+        });
+        narrative += '</ol>\n';
+      }
+    });
+  }
   
+  return narrative;
+}
+
+/**
+ * Parse a mindmap into a tree of { text, level, children } from indentation
+ * Nodes come out in the same depth-first order Mermaid draws them in
+ */
+function parseMindmapTree(source) {
   // Skip YAML frontmatter if present
   const sourceWithoutFrontmatter = skipFrontmatter(source);
   
   const lines = sourceWithoutFrontmatter.split('\n')
     .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => !line.trim().startsWith('subgraph'))
-    .filter(line => !line.trim().startsWith('end'))
-    .filter(line => !line.trim().startsWith('direction'))
-    .filter(line => !line.trim().startsWith('class '))
-    .filter(line => !line.trim().startsWith('classDef'))
     .filter(line => line.trim().length > 0)
-    .slice(1); // Skip first line (flowchart TD or graph BT)
+    .slice(1); // Skip "mindmap" declaration
   
-  const nodes = new Map();
-  const edges = [];
+  // Build tree structure
+  const tree = [];
+  const stack = []; // Ancestors of the current line, with their indentation
   
-  // Parse nodes and edges - handle all Mermaid node shapes
   lines.forEach(line => {
-    line = line.trim();
+    // Count leading spaces/indentation
+    const indentMatch = line.match(/^(\s*)/);
+    const indent = indentMatch ? indentMatch[1].length : 0;
     
-    // Node definitions - supports multiple shapes:
-    // A[Rectangle], A(Round), A((Circle)), A{Diamond}, A{{Hexagon}}, A[(Database)], A([Stadium]), etc.
-    const nodePatterns = [
-      /^([A-Za-z0-9_]+)\[\[([^\]]+)\]\]/,      // Double square: [[text]]
-      /^([A-Za-z0-9_]+)\[([^\]]+)\]/,          // Square: [text]
-      /^([A-Za-z0-9_]+)\(\(([^)]+)\)\)/,       // Circle: ((text))
-      /^([A-Za-z0-9_]+)\(\[([^\]]+)\]\)/,      // Stadium: ([text])
-      /^([A-Za-z0-9_]+)\({2}([^}]+)\}{2}/,     // Hexagon: {{text}}
-      /^([A-Za-z0-9_]+)\{([^}]+)\}/,           // Diamond: {text}
-      /^([A-Za-z0-9_]+)\(([^)]+)\)/,           // Round: (text)
-      /^([A-Za-z0-9_]+)\[\(([^\]]+)\)\]/,      // Asymmetric: [(text)]
-      /^([A-Za-z0-9_]+)\[\|([^\]]+)\|\]/,      // Subroutine: [|text|]
-      /^([A-Za-z0-9_]+)\[\(([^\)]+)\)\]/,      // Left round: [(text)
-      /^([A-Za-z0-9_]+)>"([^"]+)"\]/,          // Flag: >"text"]
-      /^([A-Za-z0-9_]+)\[\/([^\/]+)\/\]/,      // Parallelogram: [/text/]
-    ];
+    const text = line.trim();
+    if (!text) return;
+    
+    // Icon and class decorations belong to the previous node, not a new one
+    if (/^::icon\(|^:::/.test(text)) return;
+    
+    // Remove shape markers for display text
+    // Two-character delimiters first so "((" isn't stripped as a single "("
+    let displayText = text
+      .replace(/^\w+\(\(/, '').replace(/\)\)$/, '') // Circle
+      .replace(/^\w+\)\)/, '').replace(/\(\($/, '') // Bang
+      .replace(/^\w+\{\{/, '').replace(/\}\}$/, '') // Hexagon
+      .replace(/^\w+\[/, '').replace(/\]$/, '') // Square brackets
+      .replace(/^\w+\(/, '').replace(/\)$/, '') // Parentheses
+      .replace(/^\w+\)/, '').replace(/\($/, '') // Cloud
+      .replace(/::icon.*$/i, ''); // Remove icon syntax
+    
+    // Like Mermaid, a node is a child of the nearest line indented less than it
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    
+    const node = {
+      text: displayText.trim(),
+      level: stack.length,
+      children: []
+    };
+    
+    if (stack.length > 0) {
+      stack[stack.length - 1].node.children.push(node);
+    } else {
+      tree.push(node);
+    }
+    
+    stack.push({ node, indent });
+  });
+
+  return tree;
+}
+
+/**
+ * Generate narrative for mind map diagrams
+ * Parses hierarchical structure with indentation levels
+ */
+function generateMindmapNarrative(source) {
+  let narrative = '<p><strong>Mind Map Structure:</strong></p>\n';
+  
+  const tree = parseMindmapTree(source);
+  
+  // Render tree as nested list
+  function renderNode(node, depth = 0) {
+    let html = '';
+    if (depth === 0) {
+      html += `<p><strong>${escapeHtml(node.text)}</strong></p>\n`;
+      if (node.children.length > 0) {
+        html += '<ul>\n';
+        node.children.forEach(child => {
+          html += renderNode(child, depth + 1);
+        });
+        html += '</ul>\n';
+      }
+    } else {
+      html += `<li>${escapeHtml(node.text)}\n`;
+      if (node.children.length > 0) {
+        html += '<ul>\n';
+        node.children.forEach(child => {
+          html += renderNode(child, depth + 1);
+        });
+        html += '</ul>\n';
+      }
+      html += '</li>\n';
+    }
+    return html;
+  }
+  
+  if (tree.length > 0) {
+    tree.forEach(rootNode => {
+      narrative += renderNode(rootNode);
+    });
+  } else {
+    narrative += '<p><em>Empty mind map structure</em></p>\n';
+  }
+  
+  return narrative;
+}
+
+/**
+ * Generate narrative for Timeline diagrams
+ * Timeline format: {time period} : {event}
+ */
+function generateTimelineNarrative(source) {
+  let narrative = '<p><strong>Timeline Events:</strong></p>\n';
+  
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%') && !line.trim().startsWith('--'))
+    .filter(line => line.trim().length > 0)
+    .slice(1); // Skip "timeline" declaration
+  
+  let currentSection = '';
+  let events = [];
+  
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    
+    // Check for section headers (format: "section : section name")
+    if (trimmed.includes('section') && trimmed.includes(':')) {
+      if (events.length > 0) {
+        // Render previous section
+        if (currentSection) {
+          narrative += `<h4>${escapeHtml(currentSection)}</h4>\n`;
+        }
+        narrative += '<ul>\n';
+        events.forEach(event => {
+          narrative += `<li>${escapeHtml(event)}</li>\n`;
+        });
+        narrative += '</ul>\n';
+        events = [];
+      }
+      currentSection = trimmed.split(':').slice(1).join(':').trim();
+    } else if (trimmed.includes(':')) {
+      // Parse event: "2026-01 : Event Name"
+      const parts = trimmed.split(':');
+      const period = parts[0].trim();
+      const eventName = parts.slice(1).join(':').trim();
+      const displayEvent = eventName ? `${period}: ${eventName}` : period;
+      events.push(displayEvent);
+    }
+  });
+  
+  // Render final section
+  if (events.length > 0) {
+    if (currentSection) {
+      narrative += `<h4>${escapeHtml(currentSection)}</h4>\n`;
+    }
+    narrative += '<ul>\n';
+    events.forEach(event => {
+      narrative += `<li>${escapeHtml(event)}</li>\n`;
+    });
+    narrative += '</ul>\n';
+  }
+  
+  if (lines.length === 0) {
+    narrative += '<p><em>Empty timeline</em></p>\n';
+  }
+  
+  return narrative;
+}
+
+/**
+ * Generate narrative for XY Chart diagrams
+ * XY charts display data with x and y axes
+ */
+function generateXyChartNarrative(source) {
+  let narrative = '<p><strong>Chart Data:</strong></p>\n';
+  
+  // Skip YAML frontmatter if present
+  const sourceWithoutFrontmatter = skipFrontmatter(source);
+  
+  const lines = sourceWithoutFrontmatter.split('\n')
+    .filter(line => !line.trim().startsWith('%%'))
+    .filter(line => line.trim().length > 0);
+  
+  let xLabel = 'X-Axis';
+  let yLabel = 'Y-Axis';
+  let datasets = [];
+  
+  lines.forEach(line => {
+    const trimmed = line.trim();
     
-    for (const pattern of nodePatterns) {
-      const nodeMatch = line.match(pattern);
-      if (nodeMatch) {
-        const id = nodeMatch[1];
-        const text = nodeMatch[2];
-        // Diamond shapes are typically questions/decisions
-        const isQuestion = line.includes('{') && line.includes('}');
-        nodes.set(id, { text, isQuestion });
-        return; // Found a match, move to next line
-      }
+    // Parse x-axis config: "x-axis [val1, val2, ...]" or "x-axis 0 --> 100"
+    if (trimmed.startsWith('x-axis')) {
+      const rest = trimmed.replace('x-axis', '').trim();
+      xLabel = rest || 'X-Axis';
     }
-    
-    // Edge with label: A -->|Yes| B or A ---|Label| B or A ---->|Label| B
-    const edgeLabelMatch = line.match(/([A-Za-z0-9_]+)\s*-+>?\s*\|([^|]+)\|\s*([A-Za-z0-9_]+)/);
-    if (edgeLabelMatch) {
-      edges.push({ from: edgeLabelMatch[1], to: edgeLabelMatch[3], label: edgeLabelMatch[2] });
-    } else {
-      // Edge without label: A --> B or A ---> B or A ----> B
-      const edgeMatch = line.match(/([A-Za-z0-9_]+)\s*-+>?\s+([A-Za-z0-9_]+)/);
-      if (edgeMatch) {
-        edges.push({ from: edgeMatch[1], to: edgeMatch[2], label: null });
+    // Parse y-axis config: "y-axis [val1, val2, ...]" or "y-axis 0 --> 5000"
+    else if (trimmed.startsWith('y-axis')) {
+      const rest = trimmed.replace('y-axis', '').trim();
+      yLabel = rest || 'Y-Axis';
+    }
+    // Parse data: "line [val1, val2, ...]" or "bar [val1, val2, ...]"
+    else if (trimmed.startsWith('line') || trimmed.startsWith('bar')) {
+      const match = trimmed.match(/^(line|bar)\s+(.+)$/i);
+      if (match) {
+        const type = match[1].toLowerCase();
+        const dataStr = match[2];
+        datasets.push({ type, dataStr });
       }
     }
   });
   
-  console.log('[Narrative] Found', nodes.size, 'nodes and', edges.length, 'edges');
+  // Render summary
+  narrative += `<p>Axes: ${escapeHtml(xLabel)} vs ${escapeHtml(yLabel)}</p>\n`;
   
-  // Build narrative
-  if (nodes.size > 0) {
-    const firstNode = Array.from(nodes.entries())[0];
-    narrative += `<li>Start at: <strong>${escapeHtml(firstNode[1].text)}</strong></li>\n`;
-    
-    edges.forEach(edge => {
-      const fromNode = nodes.get(edge.from);
-      const toNode = nodes.get(edge.to);
-      
-      if (fromNode && toNode) {
-        if (fromNode.isQuestion) {
-          if (edge.label) {
-            narrative += `<li>If <em>${escapeHtml(fromNode.text)}</em> is <strong>${escapeHtml(edge.label)}</strong>, then → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
-          } else {
-            narrative += `<li>From <em>${escapeHtml(fromNode.text)}</em> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
-          }
-        } else {
-          if (edge.label) {
-            narrative += `<li>After <strong>${escapeHtml(fromNode.text)}</strong>, <em>${escapeHtml(edge.label)}</em> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
-          } else {
-            narrative += `<li><strong>${escapeHtml(fromNode.text)}</strong> → <strong>${escapeHtml(toNode.text)}</strong></li>\n`;
-          }
-        }
+  if (datasets.length > 0) {
+    narrative += '<p><strong>Datasets:</strong></p>\n<ul>\n';
+    datasets.forEach(dataset => {
+      const label = dataset.type.charAt(0).toUpperCase() + dataset.type.slice(1);
+      narrative += `<li>${label}: ${escapeHtml(dataset.dataStr)}</li>\n`;
+    });
+    narrative += '</ul>\n';
+  }
+  
+  return narrative;
+}
+
+/**
+ * Generate narrative for sequence diagrams
+ * Participants are listed with their aliases; messages, notes and
+ * activations are narrated in order, with loop/alt/opt/par/critical/break
+ * blocks as nested numbered lists (one sub-list per else/and/option branch)
+ * Based on https://mermaid.js.org/syntax/sequenceDiagram.html
+ */
+function generateSequenceNarrative(source) {
+  const { participants, messages, steps } = parseSequenceSource(source);
+  if (participants.size === 0) {
+    return '<p><em>No participants or messages found</em></p>\n';
+  }
+
+  const labelFor = id => participants.get(id)?.label || id;
+  const plain = text => text.replace(/<br\s*\/?>/gi, ' ').trim();
+  const names = ids => {
+    const labels = ids.map(labelFor);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+  };
+
+  const describeStep = step => {
+    if (step.kind === 'note') return `Note ${step.position} ${names(step.participants)}: ${plain(step.text)}`;
+    if (step.kind === 'activate') return `${labelFor(step.participant)} becomes active`;
+    if (step.kind === 'deactivate') return `${labelFor(step.participant)} is no longer active`;
+
+    const text = step.text ? `'${plain(step.text)}'` : 'a message';
+    const to = step.from === step.to ? 'itself' : labelFor(step.to);
+    let sentence = step.mode === 'reply'
+      ? `${labelFor(step.from)} replies ${text} to ${to}`
+      : `${labelFor(step.from)} sends ${text} to ${to}`;
+    if (step.mode === 'asynchronous') sentence += ', asynchronously';
+    if (step.mode === 'cancelled') sentence += ' (cancelled)';
+    if (step.activation === '+') sentence += `; ${labelFor(step.to)} becomes active`;
+    if (step.activation === '-') sentence += `; ${labelFor(step.from)} is no longer active`;
+    return step.number !== undefined ? `Message ${step.number}: ${sentence}` : sentence;
+  };
+
+  const blockHeadings = { loop: 'Loop', opt: 'Optional', break: 'Break', alt: 'Alternatives', par: 'In parallel', critical: 'Critical region' };
+  const branchHeading = (branch, index) => {
+    const label = plain(branch.label);
+    if (branch.keyword === 'alt') return `If ${label}`.trim();
+    if (branch.keyword === 'else') return `Else ${label}`.trim();
+    if (branch.keyword === 'critical') return label || 'Main';
+    if (branch.keyword === 'option') return `Option: ${label}`;
+    return label ? `Branch ${index + 1}: ${label}` : `Branch ${index + 1}`;
+  };
+
+  // Render steps as a numbered list; blocks nest their own lists
+  function renderSteps(list) {
+    if (list.length === 0) return '<ol>\n<li><em>No steps</em></li>\n</ol>\n';
+    let html = '<ol>\n';
+    list.forEach(step => {
+      if (step.kind !== 'block') {
+        html += `<li>${escapeHtml(describeStep(step))}</li>\n`;
+        return;
       }
+      const heading = blockHeadings[step.type];
+      const [first] = step.branches;
+      if (step.branches.length === 1 && step.type !== 'alt' && step.type !== 'par') {
+        const label = plain(first.label);
+        html += `<li><strong>${escapeHtml(label ? `${heading}: ${label}` : heading)}</strong>\n${renderSteps(first.steps)}</li>\n`;
+        return;
+      }
+      html += `<li><strong>${heading}</strong>\n<ol>\n`;
+      step.branches.forEach((branch, index) => {
+        html += `<li><strong>${escapeHtml(branchHeading(branch, index))}</strong>\n${renderSteps(branch.steps)}</li>\n`;
+      });
+      html += '</ol>\n</li>\n';
     });
-  } else {
-    narrative += '<li>No flowchart steps detected.</li>\n';
+    return `${html}</ol>\n`;
   }
+
+  const participantCount = `${participants.size} ${participants.size === 1 ? 'participant' : 'participants'}`;
+  const messageCount = `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}`;
+  let narrative = `<p><strong>Sequence:</strong> ${participantCount}, ${messageCount}.</p>\n`;
+
+  narrative += '<p><strong>Participants:</strong></p>\n<ul>\n';
+  participants.forEach(participant => {
+    const kind = participant.type === 'actor' ? 'Actor' : 'Participant';
+    const alias = participant.label !== participant.id ? ` (alias ${participant.id})` : '';
+    narrative += `<li>${kind}: ${escapeHtml(plain(participant.label))}${escapeHtml(alias)}</li>\n`;
+  });
+  narrative += '</ul>\n';
+
+  narrative += '<p><strong>Steps:</strong></p>\n';
+  narrative += renderSteps(steps);
+
+  return narrative;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+
+/**
+ * Calculate WCAG contrast ratio between two colors
+ * Colors may be CSS strings or parsed { r, g, b } objects.
+ */
+function getContrastRatio(foreground, background) {
+  const fgLum = getRelativeLuminance(foreground);
+  const bgLum = getRelativeLuminance(background);
   
-  narrative += '</ol>\n';
+  const lighter = Math.max(fgLum, bgLum);
+  const darker = Math.min(fgLum, bgLum);
   
-  // Add summary stats
-  narrative += `<p style="color: #666; font-size: 0.9em; margin-top: 1rem;">`;
-  narrative += `<strong>Structure:</strong> ${nodes.size} node${nodes.size !== 1 ? 's' : ''}, `;
-  narrative += `${edges.length} connection${edges.length !== 1 ? 's' : ''}`;
-  const questions = Array.from(nodes.values()).filter(n => n.isQuestion).length;
-  if (questions > 0) {
-    narrative += `, ${questions} decision point${questions !== 1 ? 's' : ''}`;
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Calculate relative luminance per WCAG formula
+ */
+function getRelativeLuminance(color) {
+  const rgb = typeof color === 'string' ? parseColor(color) : color;
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(val => {
+    val = val / 255;
+    return val <= 0.03928 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
+  });
+  
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Calculate APCA lightness contrast (Lc) per APCA-W3 0.0.98G-4g
+ * Polarity-aware: positive for dark text on a light background,
+ * negative for light text on a dark background. Colors may be CSS strings
+ * or parsed { r, g, b } objects.
+ */
+function getApcaContrast(textColor, backgroundColor) {
+  const toY = color => {
+    const rgb = typeof color === 'string' ? parseColor(color) : color;
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(val => Math.pow(val / 255, 2.4));
+    const y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+    // Soft clamp near black
+    return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+  };
+
+  const txtY = toY(textColor);
+  const bgY = toY(backgroundColor);
+  if (Math.abs(bgY - txtY) < 0.0005) return 0;
+
+  let lc;
+  if (bgY > txtY) {
+    const sapc = (Math.pow(bgY, 0.56) - Math.pow(txtY, 0.57)) * 1.14;
+    lc = sapc < 0.1 ? 0 : sapc - 0.027;
+  } else {
+    const sapc = (Math.pow(bgY, 0.65) - Math.pow(txtY, 0.62)) * 1.14;
+    lc = sapc > -0.1 ? 0 : sapc + 0.027;
   }
-  narrative += `</p>`;
+  return Math.round(lc * 1000) / 10;
+}
+
+/**
+ * Get the minimum APCA Lc for text of a given size (px) and weight
+ * Uses the apca-w3 font lookup table (Lc rows, minimum font size per weight
+ * 100-900). Returns null when the text is too small or thin at any contrast.
+ */
+function getApcaMinimumLc(fontSize, fontWeight) {
+  const weights = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+  // [Lc, min px at 100, 200, ... 900]; 777 = not for text, 999 = invisible
+  const lookup = [
+    [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+    [20, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+    [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+    [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+    [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+    [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+    [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+    [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+    [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+    [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+    [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+    [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+    [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+    [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+    [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+    [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+    [95, 45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+    [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+    [105, 39, 25, 18, 14, 14, 13, 12, 16, 18],
+    [110, 36, 24, 18, 14, 13, 12, 11, 16, 18],
+    [115, 34.5, 22.5, 17.25, 12.5, 11.875, 11.25, 10.625, 14.5, 16.5],
+    [120, 33, 21, 16.5, 11, 10.75, 10.5, 10.25, 13, 15],
+    [125, 32, 20, 16, 10, 10, 10, 10, 12, 14],
+  ];
+
+  const weight = Math.min(900, Math.max(100, Math.round(fontWeight / 100) * 100));
+  const column = weights.indexOf(weight) + 1;
+  const row = lookup.find(entry => entry[column] < 777 && fontSize >= entry[column]);
+  return row ? row[0] : null;
+}
+
+/**
+ * Parse color from hex, rgb(a), hsl(a), or named color
+ * Returns { r, g, b, a }, or null for none/transparent/paint servers
+ */
+function parseColor(color) {
+  const value = String(color || '').trim().toLowerCase();
+  if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) return null;
+
+  const hex = value.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    const channel = index => parseInt(digits.slice(index, index + 2), 16);
+    return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) / 255 : 1 };
+  }
+
+  const fn = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (fn) {
+    const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+    const toNumber = (part, scale) => (part.endsWith('%') ? (parseFloat(part) / 100) * scale : parseFloat(part));
+    const a = parts[3] === undefined ? 1 : toNumber(parts[3], 1);
+
+    if (fn[1].startsWith('rgb')) {
+      const [r, g, b] = parts.slice(0, 3).map(part => Math.round(toNumber(part, 255)));
+      return { r, g, b, a };
+    }
+
+    const h = (((parseFloat(parts[0]) % 360) + 360) % 360) / 360;
+    return { ...hslToRgb(h, parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100), a };
+  }
+
+  // Named colors: let the browser resolve them
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
   
-  return narrative;
+  const imageData = ctx.getImageData(0, 0, 1, 1).data;
+  return {
+    r: imageData[0],
+    g: imageData[1],
+    b: imageData[2],
+    a: imageData[3] / 255,
+  };
+}
+
+/**
+ * Convert HSL (all components 0-1) to an opaque { r, g, b, a } color
+ */
+function hslToRgb(h, sat, light) {
+  const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+  const p = 2 * light - q;
+  const hueToRgb = t => {
+    const tt = ((t % 1) + 1) % 1;
+    if (tt < 1 / 6) return p + (q - p) * 6 * tt;
+    if (tt < 1 / 2) return q;
+    if (tt < 2 / 3) return p + (q - p) * (2 / 3 - tt) * 6;
+    return p;
+  };
+  return {
+    r: Math.round(hueToRgb(h + 1 / 3) * 255),
+    g: Math.round(hueToRgb(h) * 255),
+    b: Math.round(hueToRgb(h - 1 / 3) * 255),
+    a: 1,
+  };
+}
+
+/**
+ * Convert a parsed color to HSL (all components 0-1)
+ */
+function rgbToHsl(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map(val => val / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const light = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l: light };
+
+  const d = max - min;
+  const sat = light > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h / 6, s: sat, l: light };
+}
+
+/**
+ * Alpha-composite a color over an opaque backdrop
+ */
+function compositeColor(top, backdrop) {
+  const alpha = top.a === undefined ? 1 : top.a;
+  const mix = channel => Math.round(top[channel] * alpha + backdrop[channel] * (1 - alpha));
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Format a parsed color as #rrggbb
+ */
+function formatColor(color) {
+  return `#${[color.r, color.g, color.b].map(val => val.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Get the value of a style property that applies to an element
+ * Uses the computed style where the browser provides one, then falls back
+ * to inline styles and presentation attributes up the ancestor chain
+ * (jsdom and detached SVGs do not cascade SVG stylesheets).
+ */
+function getEffectiveStyle(element, property) {
+  const view = element.ownerDocument?.defaultView;
+  for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentNode) {
+    const computed = view?.getComputedStyle ? view.getComputedStyle(el).getPropertyValue(property) : '';
+    const value = computed || el.style?.getPropertyValue(property) || el.getAttribute(property);
+    if (value) return value.trim();
+  }
+  return '';
+}
+
+/**
+ * Resolve the fill (SVG) or color (HTML) of a text element, with opacity
+ */
+function getTextColor(element) {
+  const isHtml = element.namespaceURI === 'http://www.w3.org/1999/xhtml';
+  let value = getEffectiveStyle(element, isHtml ? 'color' : 'fill');
+  if (/^currentcolor$/i.test(value)) value = getEffectiveStyle(element, 'color');
+  // Initial value of both fill and color is black
+  const color = parseColor(value || '#000000');
+  if (!color || isHtml) return color;
+
+  const fillOpacity = parseFloat(getEffectiveStyle(element, 'fill-opacity'));
+  return Number.isNaN(fillOpacity) ? color : { ...color, a: color.a * fillOpacity };
+}
+
+/**
+ * Check that an element is drawn (not display:none, hidden or fully transparent)
+ */
+function isElementRendered(element) {
+  const view = element.ownerDocument?.defaultView;
+  for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentNode) {
+    const style = view?.getComputedStyle ? view.getComputedStyle(el) : null;
+    const display = style?.display || el.getAttribute('display');
+    const visibility = style?.visibility || el.getAttribute('visibility');
+    const opacity = parseFloat(style?.opacity || el.getAttribute('opacity'));
+    if (display === 'none' || visibility === 'hidden' || opacity === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the filled shape painted directly behind an element
+ * Hit-tests with isPointInFill when the SVG is laid out in the page;
+ * otherwise falls back to the nearest preceding shape up the ancestor
+ * chain, which is how Mermaid draws boxes before their labels.
+ */
+function findBackdropShape(element, svg) {
+  const shapeSelector = 'rect, circle, ellipse, polygon, path';
+  const hasFill = shape => {
+    const fill = parseColor(getEffectiveStyle(shape, 'fill'));
+    return !!fill && fill.a > 0 && isElementRendered(shape);
+  };
+
+  const box = element.getBoundingClientRect ? element.getBoundingClientRect() : null;
+  if (box && box.width > 0 && typeof SVGGeometryElement !== 'undefined') {
+    const x = box.left + box.width / 2;
+    const y = box.top + box.height / 2;
+    const shapes = Array.from(svg.querySelectorAll(shapeSelector))
+      .filter(shape => shape.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+    for (let i = shapes.length - 1; i >= 0; i -= 1) {
+      const shape = shapes[i];
+      const ctm = shape instanceof SVGGeometryElement ? shape.getScreenCTM() : null;
+      if (!ctm || !hasFill(shape)) continue;
+      const point = new DOMPoint(x, y).matrixTransform(ctm.inverse());
+      if (shape.isPointInFill(point)) return shape;
+    }
+    return null;
+  }
+
+  for (let child = element; child && child !== svg; child = child.parentNode) {
+    for (let sibling = child.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.matches(shapeSelector) && hasFill(sibling)) return sibling;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the opaque color behind an element: HTML label backgrounds,
+ * then the shape behind it, then the SVG and preview backgrounds
+ */
+function getBackdropColor(element, svg, pageColor) {
+  const layers = [];
+  const ownBackground = el => parseColor(
+    (el.ownerDocument?.defaultView?.getComputedStyle?.(el).getPropertyValue('background-color')) ||
+    el.style?.getPropertyValue('background-color')
+  );
+
+  for (let el = element; el && el.namespaceURI === 'http://www.w3.org/1999/xhtml'; el = el.parentNode) {
+    const background = ownBackground(el);
+    if (background && background.a > 0) layers.push(background);
+  }
+
+  const shape = findBackdropShape(element, svg);
+  if (shape) {
+    const fill = parseColor(getEffectiveStyle(shape, 'fill'));
+    const fillOpacity = parseFloat(getEffectiveStyle(shape, 'fill-opacity'));
+    layers.push(Number.isNaN(fillOpacity) ? fill : { ...fill, a: fill.a * fillOpacity });
+  }
+
+  const svgBackground = ownBackground(svg);
+  if (svgBackground && svgBackground.a > 0) layers.push(svgBackground);
+
+  return layers.reverse().reduce((backdrop, layer) => compositeColor(layer, backdrop), compositeColor(pageColor, { r: 255, g: 255, b: 255 }));
+}
+
+/**
+ * Describe where an audited element sits: its tag and classes, plus the
+ * nearest identified group (a node, actor, entity...) and that group's name
+ */
+function describeContrastTarget(element) {
+  const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  const selector = `${element.localName}${classes.map(cls => `.${cls}`).join('')}`;
+
+  let group = element.parentNode;
+  while (group && group.nodeType === Node.ELEMENT_NODE && !(group.localName === 'g' && group.id)) {
+    group = group.parentNode;
+  }
+  const hasGroup = group && group.nodeType === Node.ELEMENT_NODE && group.localName === 'g';
+  const groupName = hasGroup
+    ? (group.querySelector(':scope > title')?.textContent || group.getAttribute('aria-label') || '').trim()
+    : '';
+
+  return {
+    selector,
+    groupId: hasGroup ? group.id : '',
+    groupName,
+  };
+}
+
+/**
+ * Audit WCAG 2 text contrast (SC 1.4.3) for every visible label in an SVG
+ * Normal text needs 4.5:1; large text (24px, or 18.66px bold) needs 3:1.
+ * Each result also carries the APCA Lc, graded for the label's font size
+ * and weight.
+ */
+function auditTextContrast(svg, pageBackground, mode) {
+  const pageColor = parseColor(pageBackground) || parseColor(CONFIG.previewBackgrounds[mode] || '#ffffff');
+  const hasOwnText = el => Array.from(el.childNodes)
+    .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  const textElements = [
+    ...Array.from(svg.querySelectorAll('text')),
+    ...Array.from(svg.querySelectorAll('foreignObject *')).filter(hasOwnText),
+  ];
+
+  const results = [];
+  textElements.forEach(element => {
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (!text || !isElementRendered(element)) return;
+
+    const color = getTextColor(element);
+    if (!color) return;
+
+    const background = getBackdropColor(element, svg, pageColor);
+    const foreground = compositeColor(color, background);
+    const ratio = getContrastRatio(foreground, background);
+
+    const fontSize = parseFloat(getEffectiveStyle(element, 'font-size')) || 16;
+    const weightValue = getEffectiveStyle(element, 'font-weight');
+    const fontWeight = weightValue === 'bold' || weightValue === 'bolder' ? 700 : (parseInt(weightValue, 10) || 400);
+    const large = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+    const required = large ? 3 : 4.5;
+    const lc = getApcaContrast(foreground, background);
+    const apcaRequired = getApcaMinimumLc(fontSize, fontWeight);
+
+    results.push({
+      mode,
+      element,
+      text,
+      ...describeContrastTarget(element),
+      foreground: formatColor(foreground),
+      background: formatColor(background),
+      ratio: Math.round(ratio * 100) / 100,
+      required,
+      fontSize,
+      fontWeight,
+      large,
+      pass: ratio >= required,
+      apca: {
+        lc,
+        polarity: getRelativeLuminance(foreground) <= getRelativeLuminance(background) ? 'dark on light' : 'light on dark',
+        required: apcaRequired,
+        pass: apcaRequired !== null && Math.abs(lc) >= apcaRequired,
+      },
+    });
+  });
+
+  console.log(`[Contrast] ${mode}: ${results.filter(r => !r.pass).length} of ${results.length} text elements below WCAG 2, ${results.filter(r => !r.apca.pass).length} below APCA`);
+  return results;
 }
 
 /**
- * Generate narrative for pie chart diagrams
+ * Resolve a stroke or fill paint with its opacities, or null when unpainted
  */
-function generatePieNarrative(source) {
-  let narrative = '<p><strong>Data breakdown:</strong></p>\n<ul>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0)
-    .slice(1); // Skip title line
-  
-  const data = [];
-  let total = 0;
-  
-  lines.forEach(line => {
-    const match = line.trim().match(/["']?([^"':]+)["']?\s*:\s*(\d+(?:\.\d+)?)/);
-    if (match) {
-      const label = match[1].trim();
-      const value = parseFloat(match[2]);
-      data.push({ label, value });
-      total += value;
-    }
-  });
-  
-  console.log('[Narrative] Found', data.length, 'pie segments, total:', total);
-  
-  // Sort by value descending
-  data.sort((a, b) => b.value - a.value);
-  
-  data.forEach(item => {
-    const percentage = total > 0 ? ((item.value / total) * 100).toFixed(1) : 0;
-    narrative += `<li><strong>${escapeHtml(item.label)}</strong>: ${item.value} (${percentage}%)</li>\n`;
-  });
-  
-  narrative += '</ul>\n';
-  narrative += `<p style="color: #666; font-size: 0.9em;"><strong>Total:</strong> ${total}</p>`;
-  
-  return narrative;
+function getPaintColor(element, property) {
+  const value = getEffectiveStyle(element, property);
+  if (!value || value === 'none') return null;
+  const color = parseColor(/^currentcolor$/i.test(value) ? getEffectiveStyle(element, 'color') : value);
+  if (!color || color.a === 0) return null;
+  if (property === 'stroke' && parseFloat(getEffectiveStyle(element, 'stroke-width')) === 0) return null;
+
+  const opacity = parseFloat(getEffectiveStyle(element, `${property}-opacity`));
+  return Number.isNaN(opacity) ? color : { ...color, a: color.a * opacity };
 }
 
 /**
- * Generate narrative for class diagram
+ * Name a graphic for the non-text contrast report
+ * Flowchart edges read "From → To" using the node titles; anything else
+ * uses the nearest title (a node, message or slice) or its selector.
  */
-function generateClassDiagramNarrative(source) {
-  let narrative = '<p><strong>Class structure:</strong></p>\n<ul>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0)
-    .slice(1);
-  
-  const classes = new Map();
-  const relationships = [];
-  
-  lines.forEach(line => {
-    line = line.trim();
-    
-    // Class definition
-    const classMatch = line.match(/class\s+(\w+)/);
-    if (classMatch) {
-      const className = classMatch[1];
-      if (!classes.has(className)) {
-        classes.set(className, { methods: [], properties: [] });
-      }
-    }
-    
-    // Methods/properties
-    const memberMatch = line.match(/(\w+)\s*:\s*([+\-#~])?(.+)/);
-    if (memberMatch) {
-      const className = memberMatch[1];
-      const member = memberMatch[3];
-      if (classes.has(className)) {
-        if (member.includes('()')) {
-          classes.get(className).methods.push(member);
-        } else {
-          classes.get(className).properties.push(member);
-        }
-      }
-    }
-    
-    // Relationships
-    const relMatch = line.match(/(\w+)\s*(<\||--\||--|\.\.|<\.\.|o--)\s*(\w+)/);
-    if (relMatch) {
-      relationships.push({ from: relMatch[1], type: relMatch[2], to: relMatch[3] });
-    }
-  });
-  
-  console.log('[Narrative] Found', classes.size, 'classes and', relationships.length, 'relationships');
-  
-  classes.forEach((classData, className) => {
-    narrative += `<li><strong>${escapeHtml(className)}</strong>`;
-    if (classData.methods.length > 0) {
-      narrative += ` with methods: ${classData.methods.map(m => escapeHtml(m)).join(', ')}`;
-    }
-    narrative += `</li>\n`;
-  });
-  
-  narrative += '</ul>\n';
-  
-  if (relationships.length > 0) {
-    narrative += '<p><strong>Relationships:</strong></p>\n<ul>\n';
-    relationships.forEach(rel => {
-      const relType = rel.type === '<|--' ? 'inherits from' : 
-                      rel.type === '-->' ? 'uses' : 'relates to';
-      narrative += `<li><strong>${escapeHtml(rel.from)}</strong> ${relType} <strong>${escapeHtml(rel.to)}</strong></li>\n`;
-    });
-    narrative += '</ul>\n';
+function describeGraphic(element, nodesById) {
+  const classes = (element.getAttribute('class') || '').split(/\s+/);
+  const from = classes.find(cls => cls.startsWith('LS-'))?.slice(3);
+  const to = classes.find(cls => cls.startsWith('LE-'))?.slice(3);
+  const nodeName = id => nodesById.get(id)?.querySelector(':scope > title')?.textContent.trim() || id;
+  if (from && to) return `${nodeName(from)} → ${nodeName(to)}`;
+
+  for (let el = element; el && el.localName !== 'svg'; el = el.parentNode) {
+    const title = el.querySelector?.(':scope > title')?.textContent.trim();
+    if (title) return title;
   }
-  
-  return narrative;
+  return describeContrastTarget(element).selector;
 }
 
 /**
- * Generate narrative for gantt diagrams
- * Based on https://mermaid.js.org/syntax/gantt.html
+ * Audit WCAG 2 non-text contrast (SC 1.4.11) for the graphics needed to
+ * read a diagram, which need 3:1 against what they sit on:
+ * - edges (stroked paths, lines, polylines) and their arrow markers
+ * - shapes, whose fill or border must stand out from the background
+ * - pie slice boundaries, where neighbouring fills contrast with each
+ *   other or the slice stroke contrasts with both
+ * Axis ticks, grids, label backgrounds and pattern overlays are skipped.
  */
-function generateGanttNarrative(source) {
-  let narrative = '<p><strong>Project Timeline:</strong></p>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0);
-  
-  // Extract title
-  const titleLine = lines.find(l => l.trim().startsWith('title'));
-  if (titleLine) {
-    const title = titleLine.replace(/title\s+/, '').trim();
-    narrative += `<p><em>${escapeHtml(title)}</em></p>\n`;
-  }
-  
-  // Parse sections and tasks
-  const sections = [];
-  let currentSection = null;
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    
-    // Section header
-    const sectionMatch = trimmed.match(/^section\s+(.+)$/);
-    if (sectionMatch) {
-      currentSection = {
-        name: sectionMatch[1].trim(),
-        tasks: []
-      };
-      sections.push(currentSection);
-      return;
-    }
-    
-    // Task: "Task name : [tags,] [start,] [end/duration]"
-    // Skip keywords
-    if (trimmed.match(/^(gantt|title|dateFormat|axisFormat|excludes|tickInterval|weekend)/)) {
-      return;
-    }
-    
-    const taskMatch = trimmed.match(/^([^:]+)\s*:\s*(.+)$/);
-    if (taskMatch && currentSection) {
-      const taskName = taskMatch[1].trim();
-      const params = taskMatch[2].trim();
-      
-      // Check for tags
-      const tags = [];
-      if (params.includes('milestone')) tags.push('milestone');
-      if (params.includes('done')) tags.push('completed');
-      if (params.includes('active')) tags.push('in progress');
-      if (params.includes('crit')) tags.push('critical');
-      
-      currentSection.tasks.push({
-        name: taskName,
-        tags: tags
+function auditNonTextContrast(svg, pageBackground, mode) {
+  const pageColor = parseColor(pageBackground) || parseColor(CONFIG.previewBackgrounds[mode] || '#ffffff');
+  const { nodesById } = collectFlowchartEdges(svg);
+  const skipped = 'marker, pattern, .tick, .grid, .edgeLabel, .edgeLabels, .labelBkg, foreignObject, .a11y-pattern-overlay, rect.background';
+  const results = [];
+  const record = (element, kind, description, foreground, background, extra = {}) => {
+    const ratio = getContrastRatio(foreground, background);
+    results.push({
+      mode,
+      element,
+      kind,
+      description,
+      foreground: formatColor(foreground),
+      background: formatColor(background),
+      ratio: Math.round(ratio * 100) / 100,
+      required: 3,
+      pass: ratio >= 3,
+      ...extra,
+    });
+  };
+
+  const slices = Array.from(svg.querySelectorAll('path.pieCircle')).filter(isElementRendered);
+  svg.querySelectorAll('path, line, polyline, polygon, rect, circle, ellipse').forEach(element => {
+    if (element.closest(skipped) || slices.includes(element) || !isElementRendered(element)) return;
+    const role = getForcedColorsRole(element);
+    const backdrop = getBackdropColor(element, svg, pageColor);
+
+    if (role === 'line') {
+      const stroke = getPaintColor(element, 'stroke');
+      if (!stroke) return;
+      const description = describeGraphic(element, nodesById);
+      record(element, 'edge', description, compositeColor(stroke, backdrop), backdrop);
+
+      // Arrowheads and other markers drawn at the ends of the edge
+      ['marker-start', 'marker-mid', 'marker-end'].forEach(property => {
+        const id = (getEffectiveStyle(element, property).match(/url\(\s*['"]?#([^'")\s]+)/) || [])[1];
+        const mark = id && Array.from(svg.querySelectorAll('marker')).find(marker => marker.id === id)
+          ?.querySelector('path, polygon, circle, rect, line, polyline');
+        const paint = mark && (getPaintColor(mark, 'fill') || getPaintColor(mark, 'stroke'));
+        if (paint) record(mark, 'marker', `${description} (${property.replace('marker-', '')} marker)`, compositeColor(paint, backdrop), backdrop);
       });
+    } else if (role === 'shape') {
+      const fill = getPaintColor(element, 'fill');
+      const stroke = getPaintColor(element, 'stroke');
+      if (!fill && !stroke) return;
+      // Either the fill or the border can mark the shape's extent
+      const candidates = [fill, stroke].filter(Boolean).map(color => compositeColor(color, backdrop));
+      const best = candidates.reduce((a, b) => (getContrastRatio(b, backdrop) > getContrastRatio(a, backdrop) ? b : a));
+      record(element, 'shape', describeGraphic(element, nodesById), best, backdrop);
     }
   });
-  
-  // Generate section narrative
-  if (sections.length > 0) {
-    narrative += '<ul>\n';
-    sections.forEach(section => {
-      narrative += `<li><strong>${escapeHtml(section.name)}</strong>`;
-      if (section.tasks.length > 0) {
-        narrative += '\n<ul>\n';
-        section.tasks.forEach(task => {
-          const tagText = task.tags.length > 0 ? ` <em>(${task.tags.join(', ')})</em>` : '';
-          narrative += `<li>${escapeHtml(task.name)}${tagText}</li>\n`;
-        });
-        narrative += '</ul>\n';
+
+  // Pie slice boundaries, each slice against the next one round the circle
+  if (slices.length > 1) {
+    slices.forEach((slice, index) => {
+      const next = slices[(index + 1) % slices.length];
+      if (slices.length === 2 && index === 1) return;
+      const backdrop = getBackdropColor(slice, svg, pageColor);
+      const fillA = compositeColor(getPaintColor(slice, 'fill') || backdrop, backdrop);
+      const fillB = compositeColor(getPaintColor(next, 'fill') || backdrop, backdrop);
+      const stroke = getPaintColor(slice, 'stroke');
+
+      // Passes when the fills differ enough, or the stroke stands out from both
+      const options = [[fillA, fillB]];
+      if (stroke) {
+        const strokeColor = compositeColor(stroke, fillA);
+        const weaker = getContrastRatio(strokeColor, fillA) < getContrastRatio(strokeColor, fillB) ? fillA : fillB;
+        options.push([strokeColor, weaker]);
       }
-      narrative += '</li>\n';
+      const [foreground, background] = options.reduce((a, b) => (getContrastRatio(...b) > getContrastRatio(...a) ? b : a));
+      const description = `Boundary between ${describeGraphic(slice, nodesById)} and ${describeGraphic(next, nodesById)}`;
+      record(slice, 'boundary', description, foreground, background);
     });
-    narrative += '</ul>\n';
   }
-  
-  return narrative;
+
+  console.log(`[NonTextContrast] ${mode}: ${results.filter(r => !r.pass).length} of ${results.length} graphics below 3:1`);
+  return results;
 }
 
 /**
- * Generate narrative for user journey diagrams
- * Based on https://mermaid.js.org/syntax/userJourney.html
+ * Get the background color of a preview pane
  */
-function generateUserJourneyNarrative(source) {
-  let narrative = '<p><strong>User Journey:</strong></p>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0);
-  
-  // Extract title
-  const titleLine = lines.find(l => l.trim().startsWith('title'));
-  if (titleLine) {
-    const title = titleLine.replace(/title\s+/, '').trim();
-    narrative += `<p><em>${escapeHtml(title)}</em></p>\n`;
-  }
-  
-  // Parse sections and tasks
-  // Format: "Task name: <score>: <actors>"
-  const sections = [];
-  let currentSection = null;
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    
-    // Section header
-    const sectionMatch = trimmed.match(/^section\s+(.+)$/);
-    if (sectionMatch) {
-      currentSection = {
-        name: sectionMatch[1].trim(),
-        steps: []
-      };
-      sections.push(currentSection);
-      return;
-    }
-    
-    // Task: "Task name: score: actors"
-    if (trimmed.match(/^(journey|title)/)) return;
-    
-    const taskMatch = trimmed.match(/^([^:]+)\s*:\s*(\d+)\s*:\s*(.+)$/);
-    if (taskMatch && currentSection) {
-      const taskName = taskMatch[1].trim();
-      const score = parseInt(taskMatch[2], 10);
-      const actors = taskMatch[3].split(',').map(a => a.trim());
-      
-      currentSection.steps.push({
-        name: taskName,
-        score: score,
-        actors: actors
-      });
-    }
-  });
-  
-  // Generate section narrative
-  if (sections.length > 0) {
-    sections.forEach(section => {
-      narrative += `<p><strong>${escapeHtml(section.name)}:</strong></p>\n`;
-      if (section.steps.length > 0) {
-        narrative += '<ol>\n';
-        section.steps.forEach(step => {
-          // Satisfaction emoji based on score (1-5)
-          const satisfaction = step.score >= 4 ? '😊 positive' : 
-                             step.score >= 3 ? '😐 neutral' : 
-                             '😞 negative';
-          const actorText = step.actors.length > 0 ? ` (by ${step.actors.join(', ')})` : '';
-          narrative += `<li><strong>${escapeHtml(step.name)}</strong>${escapeHtml(actorText)} — <em>${satisfaction} experience (${step.score}/5)</em></li>\n`;
-        });
-        narrative += '</ol>\n';
-      }
+function getPreviewBackground(pane, mode) {
+  const computed = pane && window.getComputedStyle ? window.getComputedStyle(pane).backgroundColor : '';
+  const color = parseColor(computed);
+  return color && color.a > 0 ? computed : CONFIG.previewBackgrounds[mode];
+}
+
+/**
+ * Run the contrast audit on the light and dark previews and show the report
+ */
+function runContrastAudit() {
+  const results = [];
+  const graphics = [];
+  // Audit the diagram's own colours, not the forced-colours simulation
+  const simulation = document.querySelectorAll('style[data-forced-colors-preview]');
+  simulation.forEach(style => style.setAttribute('media', 'not all'));
+  try {
+    [['light', 'preview-light'], ['dark', 'preview-dark']].forEach(([mode, id]) => {
+      const pane = document.getElementById(id);
+      const svg = pane?.querySelector('svg');
+      if (!svg) return;
+      results.push(...auditTextContrast(svg, getPreviewBackground(pane, mode), mode));
+      graphics.push(...auditNonTextContrast(svg, getPreviewBackground(pane, mode), mode));
     });
+  } catch (error) {
+    console.error('[Contrast] Audit failed:', error);
+  } finally {
+    simulation.forEach(style => style.removeAttribute('media'));
   }
-  
-  return narrative;
+
+  let fixes = [];
+  try {
+    const source = document.getElementById('mermaid-source')?.value || '';
+    fixes = proposeContrastFixes(results, source, STATE.themeVariables);
+  } catch (error) {
+    console.error('[ContrastFix] Could not propose fixes:', error);
+  }
+
+  STATE.contrastResults = results;
+  STATE.nonTextResults = graphics;
+  STATE.contrastFixes = fixes;
+  setContrastReport(results, fixes, graphics);
+  return results;
 }
 
 /**
- * Generate narrative for mind map diagrams
- * Parses hierarchical structure with indentation levels
+ * Update the contrast report panel (next to the render help)
+ * Proposed fixes are listed with a button that applies them. Failing
+ * graphics are merged across modes, so each edge or shape is listed once.
+ * Passing text pairs follow in a collapsed list with their ratio and Lc.
  */
-function generateMindmapNarrative(source) {
-  let narrative = '<p><strong>Mind Map Structure:</strong></p>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0)
-    .slice(1); // Skip "mindmap" declaration
-  
-  // Build tree structure
-  const tree = [];
-  const stack = []; // Stack to track parent nodes at each level
-  
-  lines.forEach(line => {
-    // Count leading spaces/indentation
-    const indentMatch = line.match(/^(\s*)/);
-    const indentLevel = indentMatch ? Math.floor(indentMatch[1].length / 2) : 0;
-    
-    const text = line.trim();
-    if (!text) return;
-    
-    // Remove shape markers for display text
-    let displayText = text
-      .replace(/^\w+\[/, '').replace(/\]$/, '') // Square brackets
-      .replace(/^\w+\(/, '').replace(/\)$/, '') // Parentheses
-      .replace(/^\w+\{\{/, '').replace(/\}\}$/, '') // Hexagon
-      .replace(/^\w+\(\(/, '').replace(/\)\)$/, '') // Circle
-      .replace(/^\w+\)\)/, '').replace(/\(\($/, '') // Bang
-      .replace(/^\w+\)/, '').replace(/\($/, '') // Cloud
-      .replace(/::icon.*$/i, ''); // Remove icon syntax
-    
-    const node = {
-      text: displayText.trim(),
-      level: indentLevel,
-      children: []
-    };
-    
-    // Find parent at previous level
-    while (stack.length > indentLevel) {
-      stack.pop();
-    }
-    
-    if (stack.length > 0) {
-      stack[stack.length - 1].children.push(node);
-    } else {
-      tree.push(node);
-    }
-    
-    stack.push(node);
+function setContrastReport(results, fixes = [], graphics = []) {
+  const panel = document.getElementById('contrast-report');
+  const summary = document.getElementById('contrast-report-summary');
+  const list = document.getElementById('contrast-report-list');
+  const fixList = document.getElementById('contrast-fix-list');
+  const fixButton = document.getElementById('contrast-fix-btn');
+  if (!panel || !summary || !list) return;
+
+  list.innerHTML = '';
+  if (fixList) fixList.innerHTML = '';
+  if (fixButton) fixButton.hidden = !fixes.length;
+  if (!results?.length && !graphics.length) {
+    panel.setAttribute('hidden', '');
+    return;
+  }
+
+  fixes.forEach(fix => {
+    if (!fixList) return;
+    const li = document.createElement('li');
+    const where = fix.kind === 'line'
+      ? `line ${fix.line} (${fix.label})`
+      : `theme variables ${fix.names.join(', ')}`;
+    li.textContent = `${fix.from} → ${fix.to} in ${where}, for "${fix.texts.join('", "')}"`;
+    fixList.appendChild(li);
   });
-  
-  // Render tree as nested list
-  function renderNode(node, depth = 0) {
-    let html = '';
-    if (depth === 0) {
-      html += `<p><strong>${escapeHtml(node.text)}</strong></p>\n`;
-      if (node.children.length > 0) {
-        html += '<ul>\n';
-        node.children.forEach(child => {
-          html += renderNode(child, depth + 1);
-        });
-        html += '</ul>\n';
-      }
-    } else {
-      html += `<li>${escapeHtml(node.text)}\n`;
-      if (node.children.length > 0) {
-        html += '<ul>\n';
-        node.children.forEach(child => {
-          html += renderNode(child, depth + 1);
-        });
-        html += '</ul>\n';
+
+  const failures = results.filter(result => !result.pass || !result.apca?.pass);
+  const wcagFailures = results.filter(result => !result.pass).length;
+  const apcaFailures = results.filter(result => !result.apca?.pass).length;
+  const graphicFailures = graphics.filter(result => !result.pass);
+  const modes = [...new Set(results.map(result => result.mode))];
+  const graphicSummary = graphics.length
+    ? `, ${graphicFailures.length} of ${graphics.length} graphics below 3:1`
+    : '';
+  summary.textContent = failures.length || graphicFailures.length
+    ? `Contrast audit: ${wcagFailures} of ${results.length} text checks fail WCAG 2, ${apcaFailures} fail APCA${graphicSummary}`
+    : `Contrast audit: all ${results.length} text and ${graphics.length} graphics checks pass`;
+
+  if (!failures.length && results.length) {
+    const li = document.createElement('li');
+    li.textContent = `All text meets WCAG 2 contrast (4.5:1, or 3:1 for large text) and the APCA font lookup in ${modes.join(' and ')} mode.`;
+    list.appendChild(li);
+  }
+
+  const describeLabel = result => {
+    const where = result.groupId
+      ? ` in ${result.groupName ? `"${result.groupName}" ` : ''}(#${result.groupId})`
+      : '';
+    return `${result.mode === 'dark' ? 'Dark' : 'Light'}: "${result.text}"${where}, ${result.selector}`;
+  };
+
+  failures.forEach(result => {
+    const li = document.createElement('li');
+    const wcag = `WCAG ${result.ratio}:1${result.pass ? '' : `, needs ${result.required}:1`}`;
+    let apca = '';
+    if (result.apca) {
+      const font = `${result.fontSize}px/${result.fontWeight}`;
+      apca = `; APCA Lc ${result.apca.lc} (${result.apca.polarity})`;
+      if (!result.apca.pass) {
+        apca += result.apca.required === null
+          ? `, ${font} is too small for any contrast`
+          : `, needs Lc ${result.apca.required} at ${font}`;
       }
-      html += '</li>\n';
     }
-    return html;
-  }
-  
-  if (tree.length > 0) {
-    tree.forEach(rootNode => {
-      narrative += renderNode(rootNode);
+    li.textContent = `${describeLabel(result)}: ${wcag}${apca} (${result.foreground} on ${result.background})`;
+    list.appendChild(li);
+  });
+
+  const passing = results.filter(result => result.pass && result.apca?.pass);
+  if (passing.length) {
+    const li = document.createElement('li');
+    const details = document.createElement('details');
+    const label = document.createElement('summary');
+    label.textContent = `${passing.length} passing text ${passing.length === 1 ? 'pair' : 'pairs'} with their APCA Lc`;
+    const passList = document.createElement('ul');
+    passing.forEach(result => {
+      const item = document.createElement('li');
+      item.textContent = `${describeLabel(result)}: WCAG ${result.ratio}:1 (needs ${result.required}:1); ` +
+        `APCA Lc ${result.apca.lc} (${result.apca.polarity}, needs Lc ${result.apca.required} at ${result.fontSize}px/${result.fontWeight}) ` +
+        `(${result.foreground} on ${result.background})`;
+      passList.appendChild(item);
     });
-  } else {
-    narrative += '<p><em>Empty mind map structure</em></p>\n';
+    details.append(label, passList);
+    li.appendChild(details);
+    list.appendChild(li);
   }
-  
-  return narrative;
+
+  // One entry per failing graphic, saying whether light, dark or both fail
+  const byGraphic = new Map();
+  graphicFailures.forEach(result => {
+    const key = `${result.kind}:${result.description}`;
+    if (!byGraphic.has(key)) byGraphic.set(key, []);
+    byGraphic.get(key).push(result);
+  });
+  const kindLabels = { edge: 'Edge', marker: 'Arrowhead', shape: 'Shape', boundary: 'Pie slice' };
+  byGraphic.forEach(entries => {
+    const li = document.createElement('li');
+    const worst = new Map();
+    entries.forEach(result => {
+      if (!worst.has(result.mode) || result.ratio < worst.get(result.mode).ratio) worst.set(result.mode, result);
+    });
+    const scope = worst.size > 1 ? 'both modes' : `${[...worst.keys()][0]} mode`;
+    const ratios = [...worst.values()].map(result => `${result.mode} ${result.ratio}:1 (${result.foreground} on ${result.background})`).join(', ');
+    li.textContent = `${kindLabels[entries[0].kind]} "${entries[0].description}" fails 3:1 in ${scope}: ${ratios}`;
+    list.appendChild(li);
+  });
+
+  panel.removeAttribute('hidden');
 }
 
 /**
- * Generate narrative for Timeline diagrams
- * Timeline format: {time period} : {event}
+ * Find the nearest color with the same hue and saturation that meets the
+ * required WCAG ratio against every background, by moving its lightness
+ * down or up in small steps. Returns null when no lightness satisfies all.
  */
-function generateTimelineNarrative(source) {
-  let narrative = '<p><strong>Timeline Events:</strong></p>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%') && !line.trim().startsWith('--'))
-    .filter(line => line.trim().length > 0)
-    .slice(1); // Skip "timeline" declaration
-  
-  let currentSection = '';
-  let events = [];
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    
-    // Check for section headers (format: "section : section name")
-    if (trimmed.includes('section') && trimmed.includes(':')) {
-      if (events.length > 0) {
-        // Render previous section
-        if (currentSection) {
-          narrative += `<h4>${escapeHtml(currentSection)}</h4>\n`;
-        }
-        narrative += '<ul>\n';
-        events.forEach(event => {
-          narrative += `<li>${escapeHtml(event)}</li>\n`;
-        });
-        narrative += '</ul>\n';
-        events = [];
-      }
-      currentSection = trimmed.split(':').slice(1).join(':').trim();
-    } else if (trimmed.includes(':')) {
-      // Parse event: "2026-01 : Event Name"
-      const parts = trimmed.split(':');
-      const period = parts[0].trim();
-      const eventName = parts.slice(1).join(':').trim();
-      const displayEvent = eventName ? `${period}: ${eventName}` : period;
-      events.push(displayEvent);
-    }
-  });
-  
-  // Render final section
-  if (events.length > 0) {
-    if (currentSection) {
-      narrative += `<h4>${escapeHtml(currentSection)}</h4>\n`;
+function findPassingColor(color, pairs) {
+  const { h, s: sat, l: light } = rgbToHsl(color);
+  const passes = candidate => pairs.every(({ background, required }) =>
+    getContrastRatio(candidate, parseColor(background)) >= required);
+
+  for (let step = 0; step <= 500; step += 1) {
+    const delta = step / 500;
+    for (const lightness of [light - delta, light + delta]) {
+      if (lightness < 0 || lightness > 1) continue;
+      const candidate = hslToRgb(h, sat, lightness);
+      if (passes(candidate)) return candidate;
     }
-    narrative += '<ul>\n';
-    events.forEach(event => {
-      narrative += `<li>${escapeHtml(event)}</li>\n`;
-    });
-    narrative += '</ul>\n';
   }
-  
-  if (lines.length === 0) {
-    narrative += '<p><em>Empty timeline</em></p>\n';
+  return null;
+}
+
+/**
+ * Get Mermaid's resolved theme variables from the last render
+ */
+function getMermaidThemeVariables() {
+  try {
+    return window.mermaid?.mermaidAPI?.getConfig?.()?.themeVariables || {};
+  } catch (error) {
+    console.warn('[ContrastFix] Could not read Mermaid theme variables:', error);
+    return {};
   }
-  
-  return narrative;
 }
 
 /**
- * Generate narrative for XY Chart diagrams
- * XY charts display data with x and y axes
+ * Propose colour fixes for failing light-mode text contrast results
+ * A label whose node is styled in the source (`style A color:...` or a
+ * classDef with `color:`) gets that line rewritten; any other label gets the
+ * Mermaid theme variables that resolve to its colour overridden. Dark-mode
+ * failures on the page background can't be fixed by the same colour, so only
+ * light-mode results are used (boxed labels read the same in both panes).
  */
-function generateXyChartNarrative(source) {
-  let narrative = '<p><strong>Chart Data:</strong></p>\n';
-  
-  // Skip YAML frontmatter if present
-  const sourceWithoutFrontmatter = skipFrontmatter(source);
-  
-  const lines = sourceWithoutFrontmatter.split('\n')
-    .filter(line => !line.trim().startsWith('%%'))
-    .filter(line => line.trim().length > 0);
-  
-  let xLabel = 'X-Axis';
-  let yLabel = 'Y-Axis';
-  let datasets = [];
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    
-    // Parse x-axis config: "x-axis [val1, val2, ...]" or "x-axis 0 --> 100"
-    if (trimmed.startsWith('x-axis')) {
-      const rest = trimmed.replace('x-axis', '').trim();
-      xLabel = rest || 'X-Axis';
-    }
-    // Parse y-axis config: "y-axis [val1, val2, ...]" or "y-axis 0 --> 5000"
-    else if (trimmed.startsWith('y-axis')) {
-      const rest = trimmed.replace('y-axis', '').trim();
-      yLabel = rest || 'Y-Axis';
+function proposeContrastFixes(results, source = '', themeVariables = {}) {
+  const lines = source.split('\n');
+  const hasColor = line => /(^|[\s,;])color\s*:/.test(line);
+  const targets = new Map();
+
+  const findSourceLine = element => {
+    const node = element.closest ? element.closest('g.node') : null;
+    if (!node) return -1;
+    const nodeName = (node.id.match(/(?:^|-)flowchart-(.+)-\d+$/) || [])[1];
+    if (nodeName) {
+      const escaped = nodeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const stylePattern = new RegExp(`^\\s*style\\s+${escaped}\\s`);
+      const styleIndex = lines.findIndex(line => stylePattern.test(line) && hasColor(line));
+      if (styleIndex >= 0) return styleIndex;
     }
-    // Parse data: "line [val1, val2, ...]" or "bar [val1, val2, ...]"
-    else if (trimmed.startsWith('line') || trimmed.startsWith('bar')) {
-      const match = trimmed.match(/^(line|bar)\s+(.+)$/i);
-      if (match) {
-        const type = match[1].toLowerCase();
-        const dataStr = match[2];
-        datasets.push({ type, dataStr });
-      }
+    const classes = (node.getAttribute('class') || '').split(/\s+/);
+    return lines.findIndex(line => {
+      const match = line.match(/^\s*classDef\s+([\w-]+(?:\s*,\s*[\w-]+)*)\s/);
+      return match && hasColor(line) && match[1].split(/\s*,\s*/).some(name => classes.includes(name));
+    });
+  };
+
+  const colorVariables = Object.entries(themeVariables)
+    .filter(([, value]) => typeof value === 'string' && /^(#|rgba?\(|hsla?\()/i.test(value.trim()));
+
+  results.filter(result => result.mode === 'light' && !result.pass && result.element).forEach(result => {
+    const color = getTextColor(result.element);
+    if (!color) return;
+    const from = formatColor(color);
+
+    const lineIndex = findSourceLine(result.element);
+    let key;
+    let target;
+    if (lineIndex >= 0) {
+      key = `line:${lineIndex}`;
+      target = { kind: 'line', line: lineIndex + 1, label: lines[lineIndex].trim() };
+    } else {
+      const names = colorVariables
+        .filter(([, value]) => formatColor(parseColor(value)) === from)
+        .map(([name]) => name);
+      if (!names.length) return;
+      key = `theme:${from}`;
+      target = { kind: 'themeVariables', names };
     }
+
+    if (!targets.has(key)) targets.set(key, { ...target, from, color, pairs: [], texts: [] });
+    const entry = targets.get(key);
+    entry.pairs.push({ background: result.background, required: result.required });
+    if (!entry.texts.includes(result.text)) entry.texts.push(result.text);
   });
-  
-  // Render summary
-  narrative += `<p>Axes: ${escapeHtml(xLabel)} vs ${escapeHtml(yLabel)}</p>\n`;
-  
-  if (datasets.length > 0) {
-    narrative += '<p><strong>Datasets:</strong></p>\n<ul>\n';
-    datasets.forEach(dataset => {
-      const label = dataset.type.charAt(0).toUpperCase() + dataset.type.slice(1);
-      narrative += `<li>${label}: ${escapeHtml(dataset.dataStr)}</li>\n`;
-    });
-    narrative += '</ul>\n';
-  }
-  
-  return narrative;
+
+  const fixes = [];
+  targets.forEach(({ color, pairs, ...fix }) => {
+    const passing = findPassingColor(color, pairs);
+    if (passing) fixes.push({ ...fix, to: formatColor(passing) });
+  });
+
+  console.log(`[ContrastFix] ${fixes.length} fix(es) proposed`);
+  return fixes;
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Take the init directives out of Mermaid source and merge their settings
+ * Mermaid merges every init directive in order (later keys win), so the
+ * settings are merged the same way and written back as a single directive
+ * to keep the source tidy. Arguments are parsed the way Mermaid
+ * does (JSON with single quotes allowed); ones that don't parse are left in
+ * the source. `index` is where the first removed directive started.
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function extractInitDirectives(source) {
+  let config = null;
+  let index = -1;
+  const rest = source.replace(/^[^\S\n]*%%\{\s*init(?:ialize)?\s*:\s*([\s\S]*?)\s*\}%%[^\S\n]*(?:\n|$)/gm, (match, args, offset) => {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(args.replace(/'/g, '"'));
+    } catch (error) {
+      return match;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return match;
+
+    config = config || {};
+    Object.entries(parsed).forEach(([key, value]) => {
+      const nested = value && typeof value === 'object' && !Array.isArray(value);
+      config[key] = nested && config[key] && typeof config[key] === 'object' ? { ...config[key], ...value } : value;
+    });
+    if (index < 0) index = offset;
+    return '';
+  });
+  return { source: rest, config, index };
 }
 
-
 /**
- * Calculate WCAG contrast ratio between two colors
+ * Write proposed contrast fixes into the Mermaid source
+ * Line fixes replace the `color:` value on the style/classDef line; theme
+ * fixes are merged into the source's init directive, which stays where the
+ * first one was, or is added at the end when there is none.
  */
-function getContrastRatio(foreground, background) {
-  const fgLum = getRelativeLuminance(foreground);
-  const bgLum = getRelativeLuminance(background);
-  
-  const lighter = Math.max(fgLum, bgLum);
-  const darker = Math.min(fgLum, bgLum);
-  
-  return (lighter + 0.05) / (darker + 0.05);
-}
+function applyContrastFixes(source, fixes) {
+  const lines = source.split('\n');
 
-/**
- * Calculate relative luminance per WCAG formula
- */
-function getRelativeLuminance(color) {
-  const rgb = parseColor(color);
-  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(val => {
-    val = val / 255;
-    return val <= 0.03928 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
+  fixes.filter(fix => fix.kind === 'line').forEach(fix => {
+    const index = fix.line - 1;
+    if (lines[index] === undefined) return;
+    lines[index] = lines[index].replace(/(^|[\s,;])color\s*:\s*[^,;\s]+/, `$1color:${fix.to}`);
   });
-  
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+  const themeVariables = {};
+  fixes.filter(fix => fix.kind === 'themeVariables').forEach(fix => {
+    fix.names.forEach(name => { themeVariables[name] = fix.to; });
+  });
+
+  if (!Object.keys(themeVariables).length) return lines.join('\n');
+
+  const init = extractInitDirectives(lines.join('\n'));
+  const config = init.config || {};
+  config.themeVariables = { ...(config.themeVariables || {}), ...themeVariables };
+  const directive = `%%{init: ${JSON.stringify(config)}}%%`;
+
+  if (init.index >= 0) {
+    return `${init.source.slice(0, init.index)}${directive}\n${init.source.slice(init.index)}`;
+  }
+  return `${init.source.replace(/\s+$/, '')}\n${directive}`;
 }
 
 /**
- * Parse color from hex, rgb, or named color
+ * Apply the proposed contrast fixes to the editor source and re-render
  */
-function parseColor(color) {
-  const canvas = document.createElement('canvas');
-  canvas.width = canvas.height = 1;
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = color;
-  ctx.fillRect(0, 0, 1, 1);
-  
-  const imageData = ctx.getImageData(0, 0, 1, 1).data;
-  return {
-    r: imageData[0],
-    g: imageData[1],
-    b: imageData[2],
-  };
+async function handleContrastFix() {
+  const sourceInput = document.getElementById('mermaid-source');
+  const fixes = STATE.contrastFixes || [];
+  if (!sourceInput || !fixes.length) return;
+
+  sourceInput.value = applyContrastFixes(sourceInput.value, fixes);
+  STATE.userEdited = true;
+  const ok = await validateAndRender();
+  if (ok) {
+    showToast(`Applied ${fixes.length} contrast ${fixes.length === 1 ? 'fix' : 'fixes'}.`, 'success');
+  }
 }
 
 /**
@@ -1882,6 +5153,16 @@ function parseColor(color) {
 function attachEventListeners() {
   const sourceInput = document.getElementById('mermaid-source');
   const exportButton = document.getElementById('export-btn');
+  const exportInteractiveButton = document.getElementById('export-interactive-btn');
+  const reportJsonButton = document.getElementById('export-report-json-btn');
+  const reportHtmlButton = document.getElementById('export-report-html-btn');
+  const contrastFixButton = document.getElementById('contrast-fix-btn');
+  const darkThemeSelect = document.getElementById('dark-theme-select');
+  const forcedColorsToggle = document.getElementById('forced-colors-toggle');
+  const patternFillsToggle = document.getElementById('pattern-fills-toggle');
+  const textSizeWidthInput = document.getElementById('text-size-width');
+  const minTextSizeInput = document.getElementById('min-text-size');
+  const cvdSelect = document.getElementById('cvd-select');
   const themeToggleBtn = document.getElementById('theme-toggle-btn');
   const randomBtn = document.getElementById('random-btn');
   const svgCode = document.getElementById('svg-code');
@@ -1903,6 +5184,66 @@ function attachEventListeners() {
   if (exportButton) {
     exportButton.addEventListener('click', handleExport);
   }
+
+  if (exportInteractiveButton) {
+    exportInteractiveButton.addEventListener('click', handleInteractiveExport);
+  }
+
+  if (reportJsonButton) {
+    reportJsonButton.addEventListener('click', () => handleReportExport('json'));
+  }
+
+  if (reportHtmlButton) {
+    reportHtmlButton.addEventListener('click', () => handleReportExport('html'));
+  }
+
+  if (contrastFixButton) {
+    contrastFixButton.addEventListener('click', handleContrastFix);
+  }
+
+  if (darkThemeSelect) {
+    darkThemeSelect.value = STATE.darkTheme;
+    darkThemeSelect.addEventListener('change', () => {
+      STATE.darkTheme = darkThemeSelect.value;
+      validateAndRender();
+    });
+  }
+
+  if (forcedColorsToggle) {
+    forcedColorsToggle.addEventListener('change', () => {
+      STATE.forcedColorsPreview = forcedColorsToggle.checked;
+      applyForcedColorsPreview();
+    });
+  }
+
+  if (patternFillsToggle) {
+    patternFillsToggle.addEventListener('change', () => {
+      STATE.patternFills = patternFillsToggle.checked;
+      validateAndRender();
+    });
+  }
+
+  [[textSizeWidthInput, 'textSizeWidth'], [minTextSizeInput, 'minTextSize']].forEach(([input, key]) => {
+    if (!input) return;
+    input.value = STATE[key];
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (!(value > 0)) {
+        input.value = STATE[key];
+        return;
+      }
+      STATE[key] = value;
+      validateAndRender();
+    });
+  });
+
+  if (cvdSelect) {
+    cvdSelect.value = STATE.cvdSimulation;
+    cvdSelect.addEventListener('change', () => {
+      STATE.cvdSimulation = cvdSelect.value;
+      applyCvdSimulation();
+    });
+  }
   
   if (themeToggleBtn) {
     themeToggleBtn.addEventListener('click', () => toggleTheme());
@@ -1961,6 +5302,7 @@ function attachEventListeners() {
       const code = svgCode.value;
       const parsed = parseSvgSafely(code);
       if (parsed.ok) {
+        STATE.svgOrigin = 'edit';
         displayPreview(code);
         renderSvgHighlight(code);
       } else {
@@ -2152,6 +5494,7 @@ async function validateAndRender() {
   
   let mermaidSource = sourceInput.value.trim();
   console.log('[validateAndRender] Source length:', mermaidSource.length);
+  STATE.renderChecks = null;
   
   if (!mermaidSource) {
     // Empty editor: clear previews and error
@@ -2247,9 +5590,12 @@ async function validateAndRender() {
       await new Promise((resolve) => requestAnimationFrame(resolve));
     }
     
+    // Keep the light render's theme variables for contrast fixes (the dark render replaces Mermaid's config)
+    STATE.themeVariables = getMermaidThemeVariables();
+    
     // Apply accessibility transformations
     console.log('[validateAndRender] Applying accessibility transformations...');
-    const accessibleSvg = applyAccessibilityTransformations(svg, metadata);
+    const accessibleSvg = applyAccessibilityTransformations(svg, metadata, mermaidSource);
     console.log('[validateAndRender] Accessibility transformations complete, SVG length:', accessibleSvg.length);
     
     // Ensure viewBox so the preview has measurable dimensions
@@ -2258,11 +5604,19 @@ async function validateAndRender() {
     
     // Display preview
     console.log('[validateAndRender] Calling displayPreview with SVG length:', sizedSvg.length);
+    STATE.svgOrigin = 'transform';
     displayPreview(sizedSvg);
     console.log('[validateAndRender] displayPreview returned, checking STATE...');
     console.log('[validateAndRender] STATE.currentSvg length:', STATE.currentSvg?.length || 0);
     console.log('[validateAndRender] STATE.beautifiedSvg length:', STATE.beautifiedSvg?.length || 0);
     console.log('[validateAndRender] STATE.optimizedSvg length:', STATE.optimizedSvg?.length || 0);
+
+    // Check label sizes at the chosen container width (shown in the render report)
+    const lightSvg = document.getElementById('preview-light')?.querySelector('svg');
+    helpItems.push(...getTextSizeHelpItems(auditTextSize(lightSvg, STATE.textSizeWidth, STATE.minTextSize)));
+
+    // Render the dark preview with a real dark theme (audited separately)
+    await renderDarkPreview(mermaidSource, metadata);
     
     // Generate and display narrative
     console.log('[validateAndRender] Generating narrative...');
@@ -2275,6 +5629,9 @@ async function validateAndRender() {
       STATE.lastPreviewToastMs = now;
     }
     
+    // Keep what the conformance report needs; contrast and text size are measured at export time
+    STATE.renderChecks = { source: mermaidSource, metadata, diagramType, lintWarnings };
+
     // Store current state only when user has edited the source
     saveDiagramToStorage(mermaidSource, STATE.userEdited);
     
@@ -2599,6 +5956,8 @@ function updateSvgDisplay() {
     console.log('[updateSvgDisplay] STATE.currentSvg is empty, clearing SVG code display');
     svgCode.value = '';
     renderSvgHighlight('');
+    STATE.svgViolations = [];
+    setSvgRuleReport([]);
     return;
   }
   
@@ -2628,6 +5987,9 @@ function updateSvgDisplay() {
   
   // Update size metrics
   updateSizeMetrics();
+
+  // Check every pipeline output against the accessibility rules
+  checkSvgPipeline();
 }
 
 /**
@@ -2682,10 +6044,12 @@ function displayPreview(svgString) {
   }
   
   if (darkPreview) {
+    // Same SVG until renderDarkPreview replaces it (manual edits keep it)
     darkPreview.innerHTML = contentToDisplay;
     // Add dark mode class for styling
     const svg = darkPreview.querySelector('svg');
     if (svg) svg.classList.add('dark-mode');
+    STATE.darkSvg = '';
     console.log('[displayPreview] Updated dark preview, innerHTML length:', darkPreview.innerHTML.length);
   } else {
     console.warn('[displayPreview] darkPreview element not found!');
@@ -2700,10 +6064,104 @@ function displayPreview(svgString) {
   // Update the SVG code display based on current mode
   updateSvgDisplay();
   
+  applyForcedColorsPreview();
+
+  // Audit contrast of what is now on screen (clears the report when empty)
+  runContrastAudit();
+  
   // Log final state
   console.log('[displayPreview] Complete. Preview divs updated:', !!lightPreview?.innerHTML, !!darkPreview?.innerHTML);
 }
 
+/**
+ * Simulate forced colours in the previews
+ * The forced-colors media query can't be switched on from script, so the
+ * same rules are added to each preview SVG without it. The panes' color-scheme
+ * (light and dark) decides what Canvas and CanvasText resolve to.
+ */
+function applyForcedColorsPreview() {
+  ['preview-light', 'preview-dark'].forEach(id => {
+    const pane = document.getElementById(id);
+    if (!pane) return;
+    pane.classList.toggle('forced-colors-preview', STATE.forcedColorsPreview);
+
+    const svg = pane.querySelector('svg');
+    if (!svg) return;
+    svg.querySelectorAll('style[data-forced-colors-preview]').forEach(style => style.remove());
+    if (!STATE.forcedColorsPreview) return;
+
+    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.setAttribute('data-forced-colors-preview', '');
+    style.textContent = getForcedColorsCss(svg.getAttribute('id'));
+    svg.appendChild(style);
+  });
+}
+
+/**
+ * Build feColorMatrix values from a 3x3 RGB matrix (alpha unchanged)
+ */
+function getCvdFilterValues(matrix) {
+  return [...matrix.map(row => [...row, 0, 0].join(' ')), '0 0 0 1 0'].join(' ');
+}
+
+/**
+ * Add the colour-vision filters to the page once, in a hidden SVG
+ */
+function ensureCvdFilters() {
+  if (document.getElementById('cvd-filters')) return;
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const container = document.createElementNS(svgNs, 'svg');
+  container.id = 'cvd-filters';
+  container.setAttribute('aria-hidden', 'true');
+  container.setAttribute('focusable', 'false');
+  container.setAttribute('width', '0');
+  container.setAttribute('height', '0');
+  container.style.position = 'absolute';
+
+  Object.entries(CONFIG.cvdSimulations).forEach(([key, matrix]) => {
+    const filter = document.createElementNS(svgNs, 'filter');
+    filter.id = `cvd-${key}`;
+    filter.setAttribute('color-interpolation-filters', 'linearRGB');
+    const colorMatrix = document.createElementNS(svgNs, 'feColorMatrix');
+    colorMatrix.setAttribute('type', 'matrix');
+    colorMatrix.setAttribute('values', getCvdFilterValues(matrix));
+    filter.appendChild(colorMatrix);
+    container.appendChild(filter);
+  });
+
+  document.body.appendChild(container);
+}
+
+/**
+ * Apply the selected colour-vision simulation to both preview panes
+ * The filter is set on the panes, so it carries over to new renders.
+ */
+function applyCvdSimulation() {
+  const key = CONFIG.cvdSimulations[STATE.cvdSimulation] ? STATE.cvdSimulation : 'none';
+  if (key !== 'none') ensureCvdFilters();
+
+  ['preview-light', 'preview-dark'].forEach(id => {
+    const pane = document.getElementById(id);
+    if (!pane) return;
+    pane.style.filter = key === 'none' ? '' : `url(#cvd-${key})`;
+  });
+  console.log('[CVD] Preview simulation:', key);
+}
+
+/**
+ * Show the dark theme render in the dark preview and re-run the audit
+ */
+function displayDarkPreview(svgString) {
+  const darkPreview = document.getElementById('preview-dark');
+  if (!darkPreview || !svgString) return;
+
+  darkPreview.innerHTML = svgString;
+  STATE.darkSvg = svgString;
+  applyForcedColorsPreview();
+  runContrastAudit();
+}
+
 /**
  * Render syntax highlighting for SVG code
  */
@@ -2755,30 +6213,558 @@ function renderSvgHighlight(svgString) {
  * Handle export button click
  */
 function handleExport() {
+  const currentSvg = getExportSvgString();
+  if (!currentSvg) {
+    showError('No diagram to export. Render a diagram first.');
+    return;
+  }
+  const svgString = applyExportColorScheme(currentSvg);
+  const exportSvg = applyExportNarrative(svgString);
+  if (!confirmSvgExport(exportSvg)) return;
+  const blob = new Blob([exportSvg], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'diagram-accessible.svg';
+  a.click();
+  URL.revokeObjectURL(url);
+  
+  showSuccess('SVG exported successfully');
+}
+
+/**
+ * Get the SVG to export: the SVG code textarea (which may include edits),
+ * falling back to the light preview
+ */
+function getExportSvgString() {
   // Ensure the textarea reflects the current mode before exporting
   updateSvgDisplay();
 
   // Prefer the SVG code textarea if present (may include edits)
   const svgCode = document.getElementById('svg-code');
-  let svgString = svgCode?.value;
-  if (!svgString) {
-    const lightPreview = document.getElementById('preview-light');
-    const svg = lightPreview?.querySelector('svg');
-    if (!svg) {
-      showError('No diagram to export. Render a diagram first.');
-      return;
+  if (svgCode?.value) return svgCode.value;
+
+  const lightPreview = document.getElementById('preview-light');
+  const svg = lightPreview?.querySelector('svg')?.cloneNode(true);
+  if (!svg) return '';
+  svg.querySelectorAll('style[data-forced-colors-preview]').forEach(style => style.remove());
+  return new XMLSerializer().serializeToString(svg);
+}
+
+/**
+ * Convert narrative HTML into plain text for an SVG <desc>
+ * Headings and paragraphs become lines; list items become "- " (or "1. ")
+ * bullets indented by nesting depth.
+ */
+function narrativeHtmlToText(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  const blockTags = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'details'];
+  const lines = [];
+  const inlineText = nodes => nodes
+    .map(node => node.textContent)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const walkList = (list, depth) => {
+    Array.from(list.children).forEach((item, index) => {
+      const nested = Array.from(item.children).filter(el => el.localName === 'ul' || el.localName === 'ol');
+      const text = inlineText(Array.from(item.childNodes).filter(node => !nested.includes(node)));
+      const marker = list.localName === 'ol' ? `${index + 1}.` : '-';
+      if (text) lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+      nested.forEach(child => walkList(child, depth + 1));
+    });
+  };
+
+  const walk = element => {
+    Array.from(element.childNodes).forEach(child => {
+      if (child.localName === 'ul' || child.localName === 'ol') {
+        walkList(child, 0);
+      } else if (child.nodeType === Node.ELEMENT_NODE && Array.from(child.children).some(el => blockTags.includes(el.localName))) {
+        walk(child);
+      } else if (child.nodeType === Node.ELEMENT_NODE || child.nodeType === Node.TEXT_NODE) {
+        const text = inlineText([child]);
+        if (text) lines.push(text);
+      }
+    });
+  };
+
+  walk(container);
+  return lines.join('\n');
+}
+
+/**
+ * Embed a long plain-text narrative in an SVG as its own <desc>
+ * The short accDescr description stays in aria-labelledby; the narrative is
+ * referenced separately through aria-describedby so it travels with the file.
+ */
+function embedNarrativeInSvg(svgString, narrativeText) {
+  if (!svgString || !narrativeText) return svgString;
+
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (doc.querySelector('parsererror') || svg.localName !== 'svg') return svgString;
+
+  const narrativeId = `${svg.id || 'diagram'}-narrative`;
+  doc.getElementById(narrativeId)?.remove();
+  const desc = doc.createElementNS('http://www.w3.org/2000/svg', 'desc');
+  desc.setAttribute('id', narrativeId);
+  desc.textContent = narrativeText;
+
+  // Keep <title> first: insert after the leading title/desc elements
+  let anchor = null;
+  for (const child of Array.from(svg.children)) {
+    if (child.localName !== 'title' && child.localName !== 'desc') break;
+    anchor = child;
+  }
+  svg.insertBefore(desc, anchor ? anchor.nextSibling : svg.firstChild);
+
+  const describedBy = (svg.getAttribute('aria-describedby') || '').split(/\s+/).filter(ref => ref && ref !== narrativeId);
+  svg.setAttribute('aria-describedby', [...describedBy, narrativeId].join(' '));
+
+  console.log(`[Export] Embedded narrative (${narrativeText.length} chars) as #${narrativeId}`);
+  return new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Merge the light and dark renders into one SVG that follows the reader's
+ * colour scheme. The dark render's stylesheet, re-keyed to the light root id,
+ * goes into an @media (prefers-color-scheme: dark) block, together with
+ * per-element rules for colours Mermaid wrote as attributes or inline styles
+ * (matched element by element; skipped if the two renders differ in shape).
+ */
+function createAdaptiveSvg(lightSvgString, darkSvgString) {
+  const parser = new DOMParser();
+  const lightDoc = parser.parseFromString(lightSvgString, 'image/svg+xml');
+  const darkDoc = parser.parseFromString(darkSvgString, 'image/svg+xml');
+  const light = lightDoc.documentElement;
+  const dark = darkDoc.documentElement;
+  if (lightDoc.querySelector('parsererror') || darkDoc.querySelector('parsererror') ||
+    light.localName !== 'svg' || dark.localName !== 'svg') {
+    return lightSvgString;
+  }
+
+  const lightId = light.getAttribute('id') || '';
+  const darkId = dark.getAttribute('id') || '';
+  const rekey = css => (lightId && darkId ? css.split(darkId).join(lightId) : css);
+  const darkCss = Array.from(dark.querySelectorAll('style')).map(style => rekey(style.textContent)).join('\n');
+
+  const paintProperties = ['fill', 'stroke', 'color', 'stop-color', 'background-color'];
+  const paintOf = (element, property) => element.style?.getPropertyValue(property) || element.getAttribute(property) || '';
+  const lightElements = Array.from(light.querySelectorAll('*'));
+  const darkElements = Array.from(dark.querySelectorAll('*'));
+  const sameShape = lightElements.length === darkElements.length &&
+    lightElements.every((element, index) => element.localName === darkElements[index].localName);
+
+  const rules = [];
+  if (sameShape) {
+    lightElements.forEach((element, index) => {
+      const declarations = paintProperties
+        .filter(property => paintOf(darkElements[index], property) && paintOf(darkElements[index], property) !== paintOf(element, property))
+        .map(property => `${property}: ${paintOf(darkElements[index], property)} !important`);
+      if (!declarations.length) return;
+
+      const className = `a11y-dark-${rules.length + 1}`;
+      element.classList.add(className);
+      rules.push(`${lightId ? `#${lightId} ` : ''}.${className} { ${declarations.join('; ')}; }`);
+    });
+  } else {
+    console.warn('[Adaptive] Light and dark renders differ in structure; only stylesheet colours will switch');
+  }
+
+  const style = lightDoc.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.textContent = `\n@media (prefers-color-scheme: dark) {\n${darkCss}\n${rules.join('\n')}\n}\n`;
+  light.appendChild(style);
+
+  console.log(`[Adaptive] Added dark scheme styles with ${rules.length} per-element overrides`);
+  return new XMLSerializer().serializeToString(lightDoc);
+}
+
+/**
+ * Merge in the dark render when "Switch colours in dark mode" is checked
+ */
+function applyExportColorScheme(svgString) {
+  const toggle = document.getElementById('export-adaptive-toggle');
+  if (!toggle?.checked) return svgString;
+  if (!STATE.darkSvg) {
+    showToast('No dark theme render available; exporting light colours only.', 'info');
+    return svgString;
+  }
+
+  // Match the export's format so elements line up one to one
+  const darkSvg = STATE.svgMode === 'optimized' ? optimizeSvg(STATE.darkSvg) : STATE.darkSvg;
+  return createAdaptiveSvg(svgString, darkSvg);
+}
+
+/**
+ * Embed the current structural narrative when "Include narrative" is checked
+ */
+function applyExportNarrative(svgString) {
+  const toggle = document.getElementById('export-narrative-toggle');
+  if (!toggle?.checked || !STATE.narrativeHtml) return svgString;
+  return embedNarrativeInSvg(svgString, narrativeHtmlToText(STATE.narrativeHtml));
+}
+
+/**
+ * Keyboard explorer embedded in interactive flowchart exports
+ * Serialized into the exported SVG with toString(), so it must not reference
+ * anything outside its own body.
+ *
+ * - Arrow Down: follow the first outgoing edge
+ * - Arrow Up: go back along the path taken (or to the first source node)
+ * - Arrow Left/Right: cycle through siblings (other targets of the parent)
+ * - Home/End: first/last node
+ */
+function flowchartExplorer(svg) {
+  const nodes = Array.from(svg.querySelectorAll('g.node[tabindex]'));
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const targetsOf = node => (node.getAttribute('aria-flowto') || '')
+    .split(/\s+/)
+    .filter(id => byId.has(id))
+    .map(id => byId.get(id));
+  const sourcesOf = node => nodes.filter(other => targetsOf(other).includes(node));
+  const history = [];
+
+  const moveTo = node => {
+    nodes.forEach(other => other.setAttribute('tabindex', other === node ? '0' : '-1'));
+    node.focus();
+  };
+
+  svg.addEventListener('keydown', event => {
+    const current = event.target.closest && event.target.closest('g.node[tabindex]');
+    if (!current) return;
+
+    let next = null;
+    const parent = history[history.length - 1] || sourcesOf(current)[0];
+    const siblings = parent ? targetsOf(parent) : [current];
+    const position = siblings.indexOf(current);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        next = targetsOf(current)[0] || null;
+        if (next) history.push(current);
+        break;
+      case 'ArrowUp':
+        next = history.pop() || sourcesOf(current)[0] || null;
+        break;
+      case 'ArrowRight':
+        next = siblings[(position + 1) % siblings.length];
+        break;
+      case 'ArrowLeft':
+        next = siblings[(position - 1 + siblings.length) % siblings.length];
+        break;
+      case 'Home':
+        next = nodes[0];
+        history.length = 0;
+        break;
+      case 'End':
+        next = nodes[nodes.length - 1];
+        history.length = 0;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (next && next !== current) moveTo(next);
+  });
+}
+
+/**
+ * Build a keyboard-explorable flowchart SVG (Léonie Watson's explorable
+ * flowchart pattern): nodes become focusable, each node describes its incoming
+ * and outgoing edges, and an embedded script moves focus along the graph.
+ * Returns null when the SVG is not a flowchart.
+ */
+function createInteractiveSvg(svgString) {
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (doc.querySelector('parsererror') || svg.localName !== 'svg') return null;
+
+  const { nodesById, edges } = collectFlowchartEdges(svg);
+  if (nodesById.size === 0) {
+    console.log('[Interactive] Not a flowchart, interactive export unavailable');
+    return null;
+  }
+
+  console.log(`[Interactive] Making ${nodesById.size} flowchart nodes keyboard-explorable`);
+
+  const nodeName = node => node.querySelector(':scope > title')?.textContent || extractNodeLabel(node);
+
+  Array.from(nodesById.entries()).forEach(([id, node], index) => {
+    const incoming = edges.filter(edge => edge.to === id);
+    const outgoing = edges.filter(edge => edge.from === id);
+
+    const descId = `${node.id}-incoming`;
+    doc.getElementById(descId)?.remove();
+    const desc = doc.createElementNS('http://www.w3.org/2000/svg', 'desc');
+    desc.setAttribute('id', descId);
+    if (incoming.length === 0) {
+      desc.textContent = 'No incoming connections';
+    } else {
+      const parts = incoming.map(({ from, label }) => {
+        const source = nodeName(nodesById.get(from)) || from;
+        return label ? `from ${source} via ${label}` : `from ${source}`;
+      });
+      desc.textContent = `${incoming.length} incoming ${incoming.length === 1 ? 'connection' : 'connections'}: ${parts.join('; ')}`;
+    }
+    const title = node.querySelector(':scope > title');
+    node.insertBefore(desc, title ? title.nextSibling : node.firstChild);
+
+    const describedBy = (node.getAttribute('aria-describedby') || '').split(/\s+/).filter(ref => ref && ref !== descId);
+    node.setAttribute('aria-describedby', [descId, ...describedBy].join(' '));
+    if (outgoing.length > 0) {
+      node.setAttribute('aria-flowto', [...new Set(outgoing.map(({ to }) => nodesById.get(to).id))].join(' '));
     }
-    svgString = new XMLSerializer().serializeToString(svg);
+    node.setAttribute('tabindex', index === 0 ? '0' : '-1');
+  });
+
+  // A role="img" root would flatten the focusable nodes into a single image
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-roledescription', 'interactive flowchart');
+
+  const helpId = `${svg.id || 'diagram'}-keyboard-help`;
+  doc.getElementById(helpId)?.remove();
+  const help = doc.createElementNS('http://www.w3.org/2000/svg', 'desc');
+  help.setAttribute('id', helpId);
+  help.textContent = 'Tab to the first node. Arrow Down follows a connection, Arrow Up goes back, Arrow Left and Right move between sibling nodes, Home and End jump to the first and last node.';
+  const rootDesc = svg.querySelector(':scope > desc');
+  svg.insertBefore(help, rootDesc ? rootDesc.nextSibling : svg.firstChild);
+  svg.setAttribute('aria-describedby', helpId);
+
+  const style = doc.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.textContent = `
+g.node[tabindex] { cursor: pointer; }
+g.node[tabindex]:focus { outline: none; }
+g.node[tabindex]:focus > :is(rect, circle, ellipse, polygon, path) { stroke: #005fcc; stroke-width: 4px; }
+`;
+  svg.appendChild(style);
+
+  const script = doc.createElementNS('http://www.w3.org/2000/svg', 'script');
+  script.appendChild(doc.createCDATASection(
+    `\n(${flowchartExplorer.toString()})(document.currentScript.closest('svg'));\n`
+  ));
+  svg.appendChild(script);
+
+  return new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Export the current flowchart as a keyboard-explorable SVG
+ * The embedded script runs when the SVG is opened directly, inlined, or
+ * embedded with <object>/<iframe>; it does not run from <img>.
+ */
+function handleInteractiveExport() {
+  const currentSvg = getExportSvgString();
+  if (!currentSvg) {
+    showError('No diagram to export. Render a diagram first.');
+    return;
+  }
+
+  const interactiveSvg = createInteractiveSvg(applyExportColorScheme(currentSvg));
+  if (!interactiveSvg) {
+    showError('Interactive export is only available for flowcharts.');
+    return;
   }
-  const blob = new Blob([svgString], { type: 'image/svg+xml' });
+
+  // After createInteractiveSvg, which resets the root aria-describedby
+  const exportSvg = applyExportNarrative(interactiveSvg);
+  if (!confirmSvgExport(exportSvg)) return;
+  const blob = new Blob([exportSvg], { type: 'image/svg+xml' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'diagram-accessible.svg';
+  a.download = 'diagram-interactive.svg';
   a.click();
   URL.revokeObjectURL(url);
-  
-  showSuccess('SVG exported successfully');
+
+  showSuccess('Interactive SVG exported successfully');
+}
+
+/**
+ * Build the accessibility conformance report for the last render
+ * Every check the studio ran is listed against a WCAG 2.2 success
+ * criterion with a pass, fail or manual-review status. Checks that
+ * software can't settle (is the description equivalent?) are manual.
+ */
+function buildConformanceReport(checks, svg, contrastResults = [], nonTextResults = []) {
+  const { source = '', metadata = {}, diagramType = 'unknown', lintWarnings = [], textSize = null } = checks || {};
+  const items = [];
+  const add = (criterion, check, status, summary, details = []) => {
+    items.push({ criterion: { number: criterion, ...CONFIG.wcagCriteria[criterion] }, check, status, summary, details });
+  };
+
+  // Text alternative: title, description and the root's accessible name
+  const title = svg?.querySelector(':scope > title');
+  const desc = svg?.querySelector(':scope > desc');
+  add('1.1.1', 'Title', metadata.title && title ? 'pass' : 'fail',
+    metadata.title ? `Title "${metadata.title}" added as the first <title>.` : 'No %%accTitle; the diagram has no title.');
+  add('1.1.1', 'Description', metadata.description && desc ? 'pass' : 'fail',
+    metadata.description ? 'Description added as <desc>.' : 'No %%accDescr; the diagram has no description.');
+
+  const placeholders = [];
+  if (/^untitled diagram$/i.test(metadata.title || '')) placeholders.push(`Title is the placeholder "${metadata.title}".`);
+  if (/^auto-generated description/i.test(metadata.description || '')) placeholders.push('Description is the auto-generated placeholder.');
+  if (placeholders.length) {
+    add('1.1.1', 'Placeholder text', 'fail', 'Replace the placeholder title or description.', placeholders);
+  } else {
+    add('1.1.1', 'Placeholder text', 'manual', 'Check that the title and description convey the same information as the diagram.');
+  }
+
+  const labelIds = (svg?.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  // Diagrams with structure use role="group" so the structure is not flattened
+  const rootRole = svg?.getAttribute('role');
+  const roleOk = rootRole === 'img' || (rootRole === 'group' && svg.querySelector('[role]'));
+  const named = roleOk && labelIds.length && labelIds.every(id => svg.querySelector(`[id="${id}"]`));
+  add('4.1.2', 'Image role and name', named ? 'pass' : 'fail',
+    named ? `Root has role="${rootRole}", named by ${labelIds.join(' ')}.` : 'Root is missing role="img" (or "group" around diagram structure) or an aria-labelledby that points into the SVG.');
+
+  // Structure: diagram semantics and hidden decorations
+  const roles = Array.from(svg?.querySelectorAll('[role]') || []).map(el => el.getAttribute('role'));
+  if (!CONFIG.semanticDiagramTypes.includes(diagramType)) {
+    add('1.3.1', 'Diagram semantics', 'manual', `No structural semantics for ${diagramType} diagrams; check that the narrative conveys the structure.`);
+  } else if (roles.length) {
+    add('1.3.1', 'Diagram semantics', 'pass', `${diagramType} semantics applied to ${roles.length} elements.`, [`Roles: ${[...new Set(roles)].join(', ')}`]);
+  } else {
+    add('1.3.1', 'Diagram semantics', 'fail', `No ${diagramType} structure was found to expose.`);
+  }
+
+  const hidden = svg?.querySelectorAll('[aria-hidden="true"]').length || 0;
+  add('1.1.1', 'Decorative elements hidden', hidden ? 'pass' : 'manual',
+    hidden ? `${hidden} decorative elements hidden from assistive technology.` : 'Nothing was hidden; check that shapes without meaning are not announced.');
+
+  // Colour: colour-only styles (flowcharts) and chart patterns
+  const colorGroups = diagramType === 'flowchart' ? findColorOnlyStyles(source) : [];
+  const colorMessages = colorGroups.map(describeColorOnlyGroup);
+  if (colorGroups.length) {
+    add('1.4.1', 'Colour-only styles', 'fail', `${colorGroups.length} sets of styles differ only in colour.`, colorMessages);
+  } else if (diagramType === 'flowchart') {
+    add('1.4.1', 'Colour-only styles', 'pass', 'No styles differ only in colour.');
+  } else if (['pie', 'journey'].includes(diagramType)) {
+    add('1.4.1', 'Chart patterns', STATE.patternFills ? 'pass' : 'manual',
+      STATE.patternFills ? 'Series have pattern fills as well as colours.' : 'Series are told apart by colour; check the labels or turn on pattern fills.');
+  } else {
+    add('1.4.1', 'Use of colour', 'manual', 'Check that colour is not the only way information is conveyed.');
+  }
+
+  // Contrast in both previews
+  const describeFailure = result => `${result.text ? `"${result.text}"` : result.description} in ${result.mode} mode: ${result.ratio}:1, needs ${result.required}:1`;
+  [
+    ['1.4.3', 'Text contrast', contrastResults, 'text elements'],
+    ['1.4.11', 'Non-text contrast', nonTextResults, 'graphics'],
+  ].forEach(([criterion, check, results, noun]) => {
+    const failing = results.filter(result => !result.pass);
+    if (!results.length) {
+      add(criterion, check, 'manual', `No ${noun} were measured.`);
+    } else {
+      add(criterion, check, failing.length ? 'fail' : 'pass',
+        `${failing.length} of ${results.length} ${noun} below the required ratio (light and dark previews).`, failing.map(describeFailure));
+    }
+  });
+
+  // Text size has no WCAG minimum; small labels need a manual check against zoom
+  if (textSize) {
+    const summary = getTextSizeHelpItems(textSize)[0].message;
+    add('1.4.4', 'Rendered text size', textSize.failing.length ? 'manual' : 'pass', summary,
+      textSize.failing.map(label => `"${label.text}" renders at ${label.renderedSize}px`));
+  }
+
+  // Remaining lint warnings are authoring hints to review
+  lintWarnings.filter(warning => !colorMessages.includes(warning.message)).forEach(warning => {
+    const criterion = /accTitle|accDescr/.test(warning.message) ? '1.1.1' : '1.3.1';
+    add(criterion, 'Lint warning', 'manual', warning.line ? `Line ${warning.line}: ${warning.message}` : warning.message);
+  });
+
+  const summary = { pass: 0, fail: 0, manual: 0 };
+  items.forEach(item => { summary[item.status] += 1; });
+  return {
+    tool: 'A11y Mermaid Studio',
+    standard: 'WCAG 2.2',
+    generatedAt: new Date().toISOString(),
+    diagram: { id: getSvgIdPrefix(source, metadata), type: diagramType, title: metadata.title || '', description: metadata.description || '' },
+    summary,
+    items,
+  };
+}
+
+/**
+ * Render a conformance report as a standalone HTML page
+ */
+function conformanceReportToHtml(report) {
+  const statusLabels = { pass: 'Pass', fail: 'Fail', manual: 'Manual review' };
+  const rows = report.items.map(item => {
+    const details = item.details.length
+      ? `<ul>${item.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+      : '';
+    return `      <tr class="${item.status}">
+        <td>${escapeHtml(item.criterion.number)} ${escapeHtml(item.criterion.name)} (${item.criterion.level})</td>
+        <td>${escapeHtml(item.check)}</td>
+        <td>${statusLabels[item.status]}</td>
+        <td>${escapeHtml(item.summary)}${details}</td>
+      </tr>`;
+  }).join('\n');
+  const { pass, fail, manual } = report.summary;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Accessibility report: ${escapeHtml(report.diagram.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; line-height: 1.5; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #767676; padding: 0.5rem; text-align: left; vertical-align: top; }
+    .fail td:nth-child(3) { color: #b00020; font-weight: bold; }
+    .pass td:nth-child(3) { color: #1b5e20; }
+  </style>
+</head>
+<body>
+  <h1>Accessibility report: ${escapeHtml(report.diagram.title)}</h1>
+  <dl>
+    <dt>Diagram</dt><dd>${escapeHtml(report.diagram.type)} (id ${escapeHtml(report.diagram.id)})</dd>
+    <dt>Description</dt><dd>${escapeHtml(report.diagram.description)}</dd>
+    <dt>Standard</dt><dd>${escapeHtml(report.standard)}</dd>
+    <dt>Generated</dt><dd>${escapeHtml(report.generatedAt)} by ${escapeHtml(report.tool)}</dd>
+  </dl>
+  <p>${pass} passed, ${fail} failed, ${manual} need manual review.</p>
+  <table>
+    <caption>Checks by success criterion</caption>
+    <thead>
+      <tr><th scope="col">Success criterion</th><th scope="col">Check</th><th scope="col">Status</th><th scope="col">Details</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download the conformance report for the current diagram as JSON or HTML
+ */
+function handleReportExport(format) {
+  const svg = document.getElementById('preview-light')?.querySelector('svg');
+  if (!STATE.renderChecks || !svg) {
+    showError('No diagram to report on. Render a diagram first.');
+    return;
+  }
+
+  const textSize = auditTextSize(svg, STATE.textSizeWidth, STATE.minTextSize);
+  const report = buildConformanceReport({ ...STATE.renderChecks, textSize }, svg, STATE.contrastResults, STATE.nonTextResults);
+  const content = format === 'html' ? conformanceReportToHtml(report) : JSON.stringify(report, null, 2);
+  const blob = new Blob([content], { type: format === 'html' ? 'text/html' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${report.diagram.id}-accessibility-report.${format === 'html' ? 'html' : 'json'}`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  console.log(`[Report] ${report.summary.pass} pass, ${report.summary.fail} fail, ${report.summary.manual} manual`);
+  showSuccess('Accessibility report exported successfully');
 }
 
 /** Copy helper */
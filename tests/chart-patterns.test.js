@@ -0,0 +1,122 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for pattern fills on chart series
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = {
+  chartPatterns: ['diagonal', 'dots', 'crosshatch', 'horizontal', 'reverse-diagonal', 'vertical'],
+};
+
+const names = ['createChartPattern', 'collectChartSeries', 'applyChartPatterns', 'getForcedColorsRole'];
+const { applyChartPatterns, getForcedColorsRole } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+function parseSvg(markup) {
+  return new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg" id="mermaid-diagram"><style>#mermaid-diagram{}</style>${markup}</svg>`,
+    'image/svg+xml'
+  ).documentElement;
+}
+
+const pieMarkup = `
+  <g transform="translate(225,225)">
+    <path class="pieCircle" d="M0,-185A185,185,0,1,1,-1,185Z" fill="#ECECFF"/>
+    <path class="pieCircle" d="M-1,185A185,185,0,0,1,0,-185Z" fill="#ffffde"/>
+    <g class="legend" transform="translate(216,-22)"><rect width="18" height="18" style="fill: #ECECFF; stroke: #ECECFF;"/><text>Dogs</text></g>
+    <g class="legend" transform="translate(216,0)"><rect width="18" height="18" style="fill: #ffffde; stroke: #ffffde;"/><text>Cats</text></g>
+  </g>`;
+
+const journeyMarkup = `
+  <circle class="actor-0" cx="20" cy="60" r="7"/><text>Me</text>
+  <circle class="actor-1" cx="20" cy="80" r="7"/><text>Cat</text>
+  <g><rect class="journey-section section-type-0" x="150" y="50" width="150" height="50"/></g>
+  <g><line class="task-line"/><circle class="actor-0" cx="160" cy="300" r="7"/><rect class="task task-type-0" x="150" y="110" width="150" height="50"/></g>
+  <g><rect class="journey-section section-type-1" x="300" y="50" width="150" height="50"/></g>
+  <g><line class="task-line"/><rect class="task task-type-1" x="300" y="110" width="150" height="50"/></g>`;
+
+describe('Chart patterns', () => {
+  it('overlays a different pattern on each pie slice and its legend swatch', () => {
+    const svg = parseSvg(pieMarkup);
+    applyChartPatterns(svg);
+
+    const slices = svg.querySelectorAll('path.pieCircle');
+    const overlays = svg.querySelectorAll('path.a11y-pattern-overlay');
+    expect(overlays).toHaveLength(2);
+    expect(slices[0].nextElementSibling.getAttribute('fill')).toBe('url(#mermaid-diagram-pattern-diagonal)');
+    expect(slices[1].nextElementSibling.getAttribute('fill')).toBe('url(#mermaid-diagram-pattern-dots)');
+    expect(overlays[0].getAttribute('d')).toBe(slices[0].getAttribute('d'));
+    expect(overlays[0].getAttribute('aria-hidden')).toBe('true');
+    // The colour stays on the original slice
+    expect(slices[0].getAttribute('fill')).toBe('#ECECFF');
+
+    const swatches = svg.querySelectorAll('g.legend > rect.a11y-pattern-overlay');
+    expect(Array.from(swatches).map(rect => rect.getAttribute('fill'))).toEqual([
+      'url(#mermaid-diagram-pattern-diagonal)',
+      'url(#mermaid-diagram-pattern-dots)',
+    ]);
+    expect(swatches[0].getAttribute('width')).toBe('18');
+  });
+
+  it('defines each pattern once with marks that read on any colour', () => {
+    const svg = parseSvg(pieMarkup);
+    applyChartPatterns(svg);
+    applyChartPatterns(svg);
+
+    expect(svg.querySelectorAll('defs.a11y-patterns')).toHaveLength(1);
+    expect(svg.querySelectorAll('.a11y-pattern-overlay')).toHaveLength(4);
+    const patterns = svg.querySelectorAll('defs.a11y-patterns > pattern');
+    expect(Array.from(patterns).map(pattern => pattern.id)).toEqual([
+      'mermaid-diagram-pattern-diagonal',
+      'mermaid-diagram-pattern-dots',
+    ]);
+    expect(patterns[0].getAttribute('patternUnits')).toBe('userSpaceOnUse');
+    expect(Array.from(patterns[0].children).map(mark => mark.getAttribute('stroke'))).toEqual(['#ffffff', '#000000']);
+    expect(Array.from(patterns[1].children).map(mark => mark.localName)).toEqual(['circle', 'circle']);
+  });
+
+  it('matches journey sections with their tasks and actors with their legend dots', () => {
+    const svg = parseSvg(journeyMarkup);
+    applyChartPatterns(svg);
+    const fillAfter = selector => svg.querySelector(selector).nextElementSibling.getAttribute('fill');
+
+    expect(fillAfter('rect.section-type-0')).toBe(fillAfter('rect.task-type-0'));
+    expect(fillAfter('rect.section-type-1')).not.toBe(fillAfter('rect.section-type-0'));
+    const actorZero = svg.querySelectorAll('circle.actor-0');
+    expect(actorZero[0].nextElementSibling.getAttribute('fill')).toBe(actorZero[1].nextElementSibling.getAttribute('fill'));
+    expect(actorZero[0].nextElementSibling.getAttribute('r')).toBe('7');
+  });
+
+  it('keeps patterns visible in forced-colors mode', () => {
+    const svg = parseSvg(pieMarkup);
+    applyChartPatterns(svg);
+
+    expect(getForcedColorsRole(svg.querySelector('.a11y-pattern-overlay'))).toBeNull();
+    expect(getForcedColorsRole(svg.querySelector('pattern path'))).toBe('marker');
+  });
+
+  it('is an option that re-renders the previews', () => {
+    expect(indexHtml).toContain('id="pattern-fills-toggle"');
+    expect(appJs).toContain('if (STATE.patternFills) applyChartPatterns(svg);');
+  });
+});
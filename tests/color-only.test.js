@@ -0,0 +1,109 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the colour-only meaning lint (WCAG 1.4.1 Use of Color)
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const names = ['lintMermaidSource', 'parseStyleProperties', 'parseFlowchartStyling', 'findColorOnlyStyles', 'describeColorOnlyGroup'];
+const { lintMermaidSource, parseStyleProperties, parseFlowchartStyling, findColorOnlyStyles } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+const annotations = '%%accTitle Review\n%%accDescr Review flow';
+
+describe('Colour-only styles', () => {
+  it('parses style lists with escaped and bracketed commas', () => {
+    const properties = parseStyleProperties('fill:#F9F, stroke:rgb(1,2,3),stroke-dasharray: 5\\, 5;color:#FFF');
+    expect(Object.fromEntries(properties)).toEqual({
+      fill: '#f9f', stroke: 'rgb(1,2,3)', 'stroke-dasharray': '5, 5', color: '#fff',
+    });
+  });
+
+  it('numbers links the way linkStyle counts them', () => {
+    const { nodes, links } = parseFlowchartStyling([
+      'flowchart TD',
+      '  A[Start] --> B{Ok?}',
+      '  B -- No --> C[Fix]:::bad & D([Retry])',
+      '  C -.-> A; D ==>|again| A',
+    ].join('\n'));
+
+    expect(links.map(({ index, from, to, type, label, line }) => [index, from, to, type, label, line])).toEqual([
+      [0, 'A', 'B', 'solid', '', 2],
+      [1, 'B', 'C', 'solid', 'No', 3],
+      [2, 'B', 'D', 'solid', 'No', 3],
+      [3, 'C', 'A', 'dotted', '', 4],
+      [4, 'D', 'A', 'thick', 'again', 4],
+    ]);
+    expect(nodes.get('B')).toMatchObject({ shape: '{', label: 'Ok?', line: 2 });
+    expect(nodes.get('D')).toMatchObject({ shape: '([', label: 'Retry' });
+    expect([...nodes.get('C').classes]).toEqual(['bad']);
+  });
+
+  it('warns when classDefs and styles differ only in colour, listing nodes and lines', () => {
+    const source = [
+      'flowchart TD',
+      '  A[Build] --> B[Test]',
+      '  B --> C[Deploy]',
+      '  class A ok',
+      '  class B,C failed',
+      '  classDef ok fill:#9f9,stroke:#333',
+      '  classDef failed fill:#f99,stroke:#333',
+      annotations,
+    ].join('\n');
+    const warnings = lintMermaidSource(source, 'flowchart');
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].line).toBe(6);
+    expect(warnings[0].message).toContain('classDef ok on line 6: A (line 2)');
+    expect(warnings[0].message).toContain('classDef failed on line 7: B (line 2), C (line 3)');
+    expect(warnings[0].message).toContain('WCAG 1.4.1');
+    expect(warnings[0].message).toMatch(/text marker.*dashed.*thick/);
+  });
+
+  it('treats unstyled nodes as one more rule', () => {
+    const groups = findColorOnlyStyles('flowchart LR\n  A[Start] --> B[Urgent]\n  style B fill:#f00\n');
+    expect(groups).toHaveLength(1);
+    expect(groups[0].rules.map(rule => [rule.kind, rule.members.map(node => node.id)])).toEqual([
+      ['style', ['B']],
+      ['default', ['A']],
+    ]);
+  });
+
+  it('accepts a stroke pattern, a shape or a text marker as a second cue', () => {
+    const base = 'flowchart TD\n  A[Start]:::ok --> B[Stop]:::bad\n  classDef ok fill:#9f9\n';
+    expect(findColorOnlyStyles(`${base}  classDef bad fill:#f99\n`)).toHaveLength(1);
+    expect(findColorOnlyStyles(`${base}  classDef bad fill:#f99,stroke-dasharray:5 5\n`)).toHaveLength(0);
+    expect(findColorOnlyStyles(`${base.replace('B[Stop]', 'B{Stop}')}  classDef bad fill:#f99\n`)).toHaveLength(0);
+    expect(findColorOnlyStyles(`${base.replace('B[Stop]', 'B[⚠ Stop]')}  classDef bad fill:#f99\n`)).toHaveLength(0);
+    // Identical rules are not a colour distinction
+    expect(findColorOnlyStyles(`${base}  classDef bad fill:#9f9\n`)).toHaveLength(0);
+  });
+
+  it('checks linkStyle rules against the line types of their links', () => {
+    const source = 'flowchart LR\n  A --> B\n  B --> C\n  C -.-> D\n  linkStyle 0 stroke:#f00\n';
+    const groups = findColorOnlyStyles(source);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].family).toBe('link');
+    expect(groups[0].rules.map(rule => rule.members.map(link => link.index))).toEqual([[0], [1, 2]]);
+    expect(findColorOnlyStyles(source.replace('linkStyle 0 stroke:#f00', 'linkStyle 0 stroke:#f00,stroke-width:4px'))).toHaveLength(0);
+  });
+});
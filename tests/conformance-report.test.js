@@ -0,0 +1,155 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the exportable WCAG 2.2 conformance report
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+function extractConfigBlock(name) {
+  const match = appJs.match(new RegExp(`  ${name}: \\{[\\s\\S]*?\\n  \\},`));
+  if (!match) {
+    throw new Error(`Could not extract CONFIG.${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = eval(`({\n${extractConfigBlock('wcagCriteria')}\n${appJs.match(/  semanticDiagramTypes: .*\n/)[0]}})`);
+const STATE = { patternFills: false };
+
+const names = [
+  'buildConformanceReport', 'conformanceReportToHtml', 'getSvgIdPrefix', 'hashString', 'escapeHtml',
+  'findColorOnlyStyles', 'parseFlowchartStyling', 'parseStyleProperties', 'describeColorOnlyGroup', 'getTextSizeHelpItems',
+];
+const { buildConformanceReport, conformanceReportToHtml } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+function parseSvg(markup) {
+  return new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+}
+
+const flowchartSvg = `<svg xmlns="http://www.w3.org/2000/svg" role="group" aria-labelledby="d-title d-desc">
+  <title id="d-title">Deploy</title><desc id="d-desc">Build then test</desc>
+  <g role="list"><g role="listitem">Build</g><g role="listitem">Test</g></g>
+  <path aria-hidden="true"/><marker aria-hidden="true"/>
+</svg>`;
+
+const source = [
+  'flowchart TD',
+  '  A[Build]:::ok --> B[Test]:::failed',
+  '  classDef ok fill:#9f9',
+  '  classDef failed fill:#f99',
+  '  %%accTitle Deploy',
+  '  %%accDescr Build then test',
+].join('\n');
+const metadata = { title: 'Deploy', description: 'Build then test' };
+
+const find = (report, check) => report.items.find(item => item.check === check);
+
+describe('Conformance report', () => {
+  it('maps each check to a WCAG 2.2 success criterion with a status', () => {
+    const report = buildConformanceReport({ source, metadata, diagramType: 'flowchart', lintWarnings: [] }, parseSvg(flowchartSvg));
+
+    expect(report.standard).toBe('WCAG 2.2');
+    expect(report.diagram).toMatchObject({ type: 'flowchart', title: 'Deploy', description: 'Build then test' });
+    expect(report.diagram.id).toMatch(/^mmd-/);
+    expect(find(report, 'Title')).toMatchObject({ status: 'pass', criterion: { number: '1.1.1', name: 'Non-text Content', level: 'A' } });
+    expect(find(report, 'Description').status).toBe('pass');
+    expect(find(report, 'Placeholder text').status).toBe('manual');
+    expect(find(report, 'Image role and name')).toMatchObject({ status: 'pass', criterion: { number: '4.1.2' } });
+    // role="group" is only right around exposed structure
+    const bareGroup = parseSvg('<svg xmlns="http://www.w3.org/2000/svg" role="group" aria-labelledby="t"><title id="t">Deploy</title></svg>');
+    expect(find(buildConformanceReport({ source, metadata, diagramType: 'flowchart' }, bareGroup), 'Image role and name').status).toBe('fail');
+    expect(find(report, 'Diagram semantics')).toMatchObject({ status: 'pass', details: ['Roles: list, listitem'] });
+    expect(find(report, 'Decorative elements hidden').summary).toBe('2 decorative elements hidden from assistive technology.');
+    expect(find(report, 'Colour-only styles')).toMatchObject({ status: 'fail', criterion: { number: '1.4.1', level: 'A' } });
+    report.items.forEach(item => expect(['pass', 'fail', 'manual']).toContain(item.status));
+    expect(report.summary.pass + report.summary.fail + report.summary.manual).toBe(report.items.length);
+  });
+
+  it('flags placeholder annotations and a missing name', () => {
+    const placeholder = { title: 'Untitled Diagram', description: 'Auto-generated description for accessibility. Please customize.' };
+    const svg = parseSvg('<svg xmlns="http://www.w3.org/2000/svg" role="img" aria-labelledby="gone"><title>Untitled Diagram</title></svg>');
+    const report = buildConformanceReport({ source: 'timeline\n', metadata: placeholder, diagramType: 'timeline' }, svg);
+
+    expect(find(report, 'Placeholder text')).toMatchObject({ status: 'fail', details: [
+      'Title is the placeholder "Untitled Diagram".',
+      'Description is the auto-generated placeholder.',
+    ] });
+    expect(find(report, 'Description').status).toBe('fail');
+    expect(find(report, 'Image role and name').status).toBe('fail');
+    expect(find(report, 'Diagram semantics').status).toBe('manual');
+    expect(find(report, 'Use of colour').status).toBe('manual');
+  });
+
+  it('reports contrast failures from both previews', () => {
+    const text = [
+      { mode: 'light', text: 'Build', ratio: 7.2, required: 4.5, pass: true },
+      { mode: 'dark', text: 'Test', ratio: 2.1, required: 4.5, pass: false },
+    ];
+    const graphics = [{ mode: 'light', description: 'Edge "Build → Test"', ratio: 1.5, required: 3, pass: false }];
+    const report = buildConformanceReport({ source, metadata, diagramType: 'flowchart' }, parseSvg(flowchartSvg), text, graphics);
+
+    expect(find(report, 'Text contrast')).toMatchObject({
+      status: 'fail',
+      criterion: { number: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+      details: ['"Test" in dark mode: 2.1:1, needs 4.5:1'],
+    });
+    expect(find(report, 'Non-text contrast')).toMatchObject({
+      status: 'fail',
+      criterion: { number: '1.4.11' },
+      details: ['Edge "Build → Test" in light mode: 1.5:1, needs 3:1'],
+    });
+  });
+
+  it('lists text size and other lint warnings for review', () => {
+    const textSize = {
+      containerWidth: 320, minSize: 12, maxWidth: 1000, minimumWidth: 640, labels: [{}, {}],
+      failing: [{ text: 'Test', renderedSize: 6, fontSize: 16 }], smallest: { text: 'Test', renderedSize: 6 },
+    };
+    const lintWarnings = [{ message: 'Flowchart: add arrows between nodes', line: 2 }];
+    const report = buildConformanceReport({ source: 'pie\n', metadata, diagramType: 'pie', lintWarnings, textSize }, parseSvg(flowchartSvg));
+
+    expect(find(report, 'Rendered text size')).toMatchObject({ status: 'manual', criterion: { number: '1.4.4' }, details: ['"Test" renders at 6px'] });
+    expect(find(report, 'Lint warning')).toMatchObject({ status: 'manual', summary: 'Line 2: Flowchart: add arrows between nodes' });
+    expect(find(report, 'Chart patterns').status).toBe('manual');
+  });
+
+  it('renders a readable HTML table with escaped text', () => {
+    const report = buildConformanceReport({ source, metadata: { ...metadata, title: 'A <b>' }, diagramType: 'flowchart' }, parseSvg(flowchartSvg));
+    const html = conformanceReportToHtml(report);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(doc.title).toBe('Accessibility report: A <b>');
+    expect(doc.querySelector('caption').textContent).toBe('Checks by success criterion');
+    expect(doc.querySelectorAll('tbody tr')).toHaveLength(report.items.length);
+    expect(doc.querySelector('tr.fail td').textContent).toBe('1.4.1 Use of Color (A)');
+    expect(doc.querySelector('tr.fail td:nth-child(3)').textContent).toBe('Fail');
+    expect(html).toContain('need manual review');
+  });
+
+  it('is exported from the SVG panel using the last render', () => {
+    expect(indexHtml).toContain('id="export-report-json-btn"');
+    expect(indexHtml).toContain('id="export-report-html-btn"');
+    expect(appJs).toContain('STATE.renderChecks = { source: mermaidSource, metadata, diagramType, lintWarnings };');
+    expect(appJs).toContain('buildConformanceReport({ ...STATE.renderChecks, textSize }, svg, STATE.contrastResults, STATE.nonTextResults)');
+  });
+});
@@ -0,0 +1,333 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the WCAG 2 contrast audit of rendered SVGs
+ *
+ * Detached SVGs have no cascade in jsdom, so fixtures use presentation
+ * attributes and inline styles; the audit reads those as a fallback.
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = { previewBackgrounds: { light: '#ffffff', dark: '#1a1a1a' } };
+
+const names = [
+  'getContrastRatio', 'getRelativeLuminance', 'getApcaContrast', 'getApcaMinimumLc', 'parseColor', 'compositeColor', 'formatColor',
+  'getEffectiveStyle', 'getTextColor', 'isElementRendered', 'findBackdropShape', 'getBackdropColor',
+  'describeContrastTarget', 'auditTextContrast', 'hslToRgb', 'rgbToHsl', 'findPassingColor',
+  'proposeContrastFixes', 'extractInitDirectives', 'applyContrastFixes', 'getPaintColor', 'describeGraphic', 'auditNonTextContrast',
+  'collectFlowchartEdges', 'getForcedColorsRole', 'setContrastReport',
+];
+const fns = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+const {
+  getContrastRatio, getApcaContrast, getApcaMinimumLc, parseColor, auditTextContrast,
+  rgbToHsl, findPassingColor, proposeContrastFixes, applyContrastFixes, auditNonTextContrast, setContrastReport,
+} = fns;
+
+function parseSvg(markup) {
+  return new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg" id="mmd-abc">${markup}</svg>`,
+    'image/svg+xml'
+  ).documentElement;
+}
+
+const svgMarkup = `
+  <g class="node" id="mmd-abc-flowchart-A-0">
+    <title>Start</title>
+    <rect fill="#ECECFF"/>
+    <g class="label"><text fill="#333333">Start</text></g>
+  </g>
+  <g class="node" id="mmd-abc-flowchart-B-1">
+    <title>Pale</title>
+    <rect style="fill: hsl(60, 100%, 90%)"/>
+    <g class="label"><text fill="#bbbbbb">Pale</text></g>
+  </g>
+  <text class="titleText" fill="#333333" font-size="24px">Heading</text>
+  <g class="edgeLabel" id="mmd-abc-edge">
+    <foreignObject><div xmlns="http://www.w3.org/1999/xhtml" style="color: #333333"><span class="edgeLabel" style="background-color: rgba(232, 232, 232, 0.8)">Yes</span></div></foreignObject>
+  </g>
+  <text fill="#333333" display="none">Hidden</text>`;
+
+describe('Contrast audit', () => {
+  it('parses hex, rgb(a) and hsl colors without a canvas', () => {
+    expect(parseColor('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(parseColor('#33333380')).toEqual({ r: 51, g: 51, b: 51, a: 128 / 255 });
+    expect(parseColor('rgba(232, 232, 232, 0.8)')).toEqual({ r: 232, g: 232, b: 232, a: 0.8 });
+    expect(parseColor('rgb(10 20 30 / 50%)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parseColor('hsl(240, 100%, 50%)')).toEqual({ r: 0, g: 0, b: 255, a: 1 });
+    expect(parseColor('none')).toBeNull();
+    expect(parseColor('url(#gradient)')).toBeNull();
+    expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+  });
+
+  it('measures each label against the shape behind it', () => {
+    const results = auditTextContrast(parseSvg(svgMarkup), '#ffffff', 'light');
+    const byText = Object.fromEntries(results.map(result => [result.text, result]));
+
+    expect(Object.keys(byText)).toEqual(['Start', 'Pale', 'Heading', 'Yes']);
+    expect(byText.Start).toMatchObject({ background: '#ececff', foreground: '#333333', pass: true });
+    expect(byText.Pale).toMatchObject({ background: '#ffffcc', pass: false, required: 4.5 });
+    expect(byText.Pale.ratio).toBeLessThan(2);
+    expect(byText.Pale).toMatchObject({ groupId: 'mmd-abc-flowchart-B-1', groupName: 'Pale', selector: 'text' });
+  });
+
+  it('uses the preview background behind unboxed text and applies the large-text threshold', () => {
+    const results = auditTextContrast(parseSvg(svgMarkup), '#1a1a1a', 'dark');
+    const heading = results.find(result => result.text === 'Heading');
+
+    expect(heading).toMatchObject({ mode: 'dark', background: '#1a1a1a', large: true, required: 3, pass: false });
+    expect(results.find(result => result.text === 'Start').pass).toBe(true);
+  });
+
+  it('composites translucent HTML label backgrounds over the page', () => {
+    const [light, dark] = ['#ffffff', '#1a1a1a'].map(page =>
+      auditTextContrast(parseSvg(svgMarkup), page, 'light').find(result => result.text === 'Yes'));
+
+    expect(light.background).toBe('#ededed');
+    expect(dark.background).toBe('#bfbfbf');
+    expect(light.selector).toBe('span.edgeLabel');
+  });
+
+  it('calculates polarity-aware APCA Lc values', () => {
+    expect(getApcaContrast('#000000', '#ffffff')).toBe(106);
+    expect(getApcaContrast('#ffffff', '#000000')).toBe(-107.9);
+    expect(getApcaContrast('#888888', '#ffffff')).toBe(63.1);
+    expect(getApcaContrast('#ffffff', '#888888')).toBe(-68.5);
+    expect(getApcaContrast('#777777', '#777777')).toBe(0);
+  });
+
+  it('grades Lc against the APCA font size and weight lookup', () => {
+    expect(getApcaMinimumLc(16, 400)).toBe(90);
+    expect(getApcaMinimumLc(18, 400)).toBe(75);
+    expect(getApcaMinimumLc(24, 400)).toBe(60);
+    expect(getApcaMinimumLc(16, 700)).toBe(60);
+    // Weights round to the nearest hundred
+    expect(getApcaMinimumLc(16, 650)).toBe(60);
+    expect(getApcaMinimumLc(9, 400)).toBeNull();
+  });
+
+  it('attaches APCA results to each audited label', () => {
+    const results = auditTextContrast(parseSvg(svgMarkup), '#1a1a1a', 'dark');
+    const start = results.find(result => result.text === 'Start');
+    const heading = results.find(result => result.text === 'Heading');
+
+    expect(start.apca).toMatchObject({ polarity: 'dark on light', required: 90, pass: false });
+    expect(start.apca.lc).toBeGreaterThan(75);
+    expect(heading.apca).toMatchObject({ lc: 0, polarity: 'light on dark', pass: false });
+  });
+
+  it('reports in a panel next to the render help', () => {
+    expect(indexHtml).toMatch(/id="render-help"[\s\S]*id="contrast-report"/);
+    expect(appJs).toContain('runContrastAudit();');
+  });
+});
+
+describe('Contrast auto-fix', () => {
+  const fixMarkup = `
+    <g class="node default pale" id="mmd-abc-flowchart-B-1">
+      <rect fill="#ffffcc"/>
+      <g class="label"><text fill="#bbbbbb">Pale</text></g>
+    </g>
+    <g class="node default" id="mmd-abc-flowchart-C-2">
+      <rect fill="#ececff"/>
+      <g class="label"><text fill="#9999cc">Dim</text></g>
+    </g>
+    <g class="node default" id="mmd-abc-flowchart-D-3">
+      <rect fill="#ececff"/>
+      <g class="label"><text fill="#aaaaaa">Grey</text></g>
+    </g>`;
+
+  const source = [
+    'flowchart TD',
+    '  B[Pale] --> C[Dim] --> D[Grey]',
+    '  classDef pale fill:#ffffcc,color:#bbbbbb',
+    '  class B pale',
+    '  style C fill:#ececff,color:#9999cc',
+    '%%accTitle Fix demo',
+  ].join('\n');
+
+  const auditFixture = () => auditTextContrast(parseSvg(fixMarkup), '#ffffff', 'light');
+
+  it('finds the nearest passing colour with the same hue', () => {
+    const original = parseColor('#9999cc');
+    const fixed = findPassingColor(original, [{ background: '#ececff', required: 4.5 }]);
+
+    expect(getContrastRatio(fixed, parseColor('#ececff'))).toBeGreaterThanOrEqual(4.5);
+    expect(rgbToHsl(fixed).h).toBeCloseTo(rgbToHsl(original).h, 2);
+    expect(rgbToHsl(fixed).l).toBeLessThan(rgbToHsl(original).l);
+    expect(findPassingColor(parseColor('#777777'), [
+      { background: '#ffffff', required: 4.5 },
+      { background: '#000000', required: 7 },
+    ])).toBeNull();
+  });
+
+  it('targets style lines, classDefs and theme variables', () => {
+    const fixes = proposeContrastFixes(auditFixture(), source, {
+      primaryTextColor: '#aaaaaa',
+      nodeTextColor: '#aaaaaa',
+      lineColor: '#333333',
+      fontFamily: '"trebuchet ms", verdana, arial',
+    });
+
+    expect(fixes.map(({ kind, line, names, from, texts }) => ({ kind, line, names, from, texts }))).toEqual([
+      { kind: 'line', line: 3, names: undefined, from: '#bbbbbb', texts: ['Pale'] },
+      { kind: 'line', line: 5, names: undefined, from: '#9999cc', texts: ['Dim'] },
+      { kind: 'themeVariables', line: undefined, names: ['primaryTextColor', 'nodeTextColor'], from: '#aaaaaa', texts: ['Grey'] },
+    ]);
+    fixes.forEach(fix => {
+      const background = fix.texts[0] === 'Pale' ? '#ffffcc' : '#ececff';
+      expect(getContrastRatio(fix.to, background)).toBeGreaterThanOrEqual(4.5);
+    });
+  });
+
+  it('writes fixes into the source and merges theme variables into one directive', () => {
+    const fixes = [
+      { kind: 'line', line: 3, from: '#bbbbbb', to: '#666600' },
+      { kind: 'themeVariables', names: ['primaryTextColor', 'nodeTextColor'], from: '#aaaaaa', to: '#6e6e6e' },
+    ];
+    const fixed = applyContrastFixes(`${source}\n`, fixes);
+    const lines = fixed.split('\n');
+
+    expect(lines[0]).toBe('flowchart TD');
+    expect(lines[2]).toBe('  classDef pale fill:#ffffcc,color:#666600');
+    expect(lines[lines.length - 1]).toBe(
+      '%%{init: {"themeVariables":{"primaryTextColor":"#6e6e6e","nodeTextColor":"#6e6e6e"}}}%%'
+    );
+
+    const again = applyContrastFixes(fixed, [{ kind: 'themeVariables', names: ['textColor'], to: '#222222' }]);
+    expect(again.match(/%%\{init/g)).toHaveLength(1);
+    expect(again).toContain('"nodeTextColor":"#6e6e6e","textColor":"#222222"');
+  });
+
+  it('merges theme fixes into the directive the author already wrote', () => {
+    const authored = [
+      "%%{init: {'theme': 'forest', 'themeVariables': {'primaryColor': '#ffcccc'}}}%%",
+      'flowchart TD',
+      '  A --> B',
+      '%%{init: {"flowchart": {"curve": "basis"}}}%%',
+      '',
+    ].join('\n');
+    const fixed = applyContrastFixes(authored, [{ kind: 'themeVariables', names: ['primaryTextColor'], to: '#333333' }]);
+
+    expect(fixed.match(/%%\{init/g)).toHaveLength(1);
+    expect(fixed.split('\n')).toEqual([
+      '%%{init: {"theme":"forest","themeVariables":{"primaryColor":"#ffcccc","primaryTextColor":"#333333"},"flowchart":{"curve":"basis"}}}%%',
+      'flowchart TD',
+      '  A --> B',
+      '',
+    ]);
+
+    const unparsed = '%%{init: {theme: forest}}%%\nflowchart TD\n  A --> B';
+    expect(applyContrastFixes(unparsed, [{ kind: 'themeVariables', names: ['textColor'], to: '#222222' }]))
+      .toBe(`${unparsed}\n%%{init: {"themeVariables":{"textColor":"#222222"}}}%%`);
+  });
+
+  it('offers an apply button in the contrast panel', () => {
+    expect(indexHtml).toContain('id="contrast-fix-btn"');
+    expect(appJs).toContain("contrastFixButton.addEventListener('click', handleContrastFix)");
+  });
+});
+
+describe('Non-text contrast', () => {
+  const graphicsMarkup = `
+    <marker id="mmd-abc_flowchart-pointEnd"><path d="M 0 0 L 10 5 L 0 10 z" fill="#333333"/></marker>
+    <g class="edgePaths">
+      <path class="flowchart-link LS-A LE-B" fill="none" stroke="#cccccc" marker-end="url(#mmd-abc_flowchart-pointEnd)"/>
+      <path class="flowchart-link LS-B LE-C" style="fill:none;stroke:#333333"/>
+    </g>
+    <g class="node" id="mmd-abc-flowchart-A-0"><title>Start</title><rect fill="#ECECFF" stroke="#9370DB"/></g>
+    <g class="node" id="mmd-abc-flowchart-B-1"><title>Check</title><rect fill="#f4f4f4"/></g>
+    <g class="node" id="mmd-abc-flowchart-C-2"><title>End</title><rect fill="#333333"/></g>
+    <g class="tick"><line stroke="#eeeeee"/></g>
+    <g>
+      <path class="pieCircle" fill="#ECECFF" stroke="#000000"><title>Dogs</title></path>
+      <path class="pieCircle" fill="#ffffde" stroke="#000000"><title>Cats</title></path>
+      <path class="pieCircle" fill="#b9b9ff" stroke-width="0"><title>Rats</title></path>
+    </g>`;
+
+  const audit = (page, mode) => auditNonTextContrast(parseSvg(graphicsMarkup), page, mode);
+  const find = (results, kind, description) =>
+    results.find(result => result.kind === kind && result.description === description);
+
+  it('checks edges and their arrowheads between named nodes', () => {
+    const light = audit('#ffffff', 'light');
+
+    expect(find(light, 'edge', 'Start → Check')).toMatchObject({ pass: false, required: 3, foreground: '#cccccc', background: '#ffffff' });
+    expect(find(light, 'edge', 'Check → End').pass).toBe(true);
+    expect(find(light, 'marker', 'Start → Check (end marker)')).toMatchObject({ pass: true, foreground: '#333333' });
+    // Axis ticks and grids are not needed to understand the diagram
+    expect(light.some(result => result.foreground === '#eeeeee')).toBe(false);
+  });
+
+  it('accepts either the fill or the border of a shape', () => {
+    const light = audit('#ffffff', 'light');
+
+    expect(find(light, 'shape', 'Start')).toMatchObject({ pass: true, foreground: '#9370db' });
+    expect(find(light, 'shape', 'Check')).toMatchObject({ pass: false, foreground: '#f4f4f4' });
+    expect(find(light, 'shape', 'End').pass).toBe(true);
+  });
+
+  it('checks pie slice boundaries against neighbouring slices', () => {
+    const light = audit('#ffffff', 'light');
+
+    expect(find(light, 'boundary', 'Boundary between Dogs and Cats')).toMatchObject({ pass: true, foreground: '#000000' });
+    // No stroke on Rats, and its fill is too close to Dogs
+    expect(find(light, 'boundary', 'Boundary between Rats and Dogs').pass).toBe(false);
+  });
+
+  it('reports each failing graphic once with the modes it fails in', () => {
+    document.body.innerHTML = `
+      <details id="contrast-report" hidden><summary id="contrast-report-summary"></summary>
+      <ul id="contrast-report-list"></ul></details>`;
+    const graphics = [...audit('#ffffff', 'light'), ...audit('#1a1a1a', 'dark')];
+    setContrastReport([], [], graphics);
+
+    const items = Array.from(document.querySelectorAll('#contrast-report-list li')).map(li => li.textContent);
+    expect(items.find(item => item.startsWith('Edge "Start → Check"'))).toMatch(/fails 3:1 in light mode: light 1\.6\d?:1/);
+    expect(items.find(item => item.startsWith('Arrowhead "Start → Check (end marker)"'))).toMatch(/in dark mode/);
+    expect(items.find(item => item.startsWith('Shape "End"'))).toMatch(/in dark mode/);
+    expect(items.find(item => item.startsWith('Pie slice "Boundary between Rats and Dogs"'))).toMatch(/in both modes: light .*, dark /);
+    expect(document.getElementById('contrast-report-summary').textContent).toMatch(/graphics below 3:1$/);
+    expect(document.getElementById('contrast-report').hasAttribute('hidden')).toBe(false);
+  });
+
+  it('lists passing text pairs with their Lc in a collapsed list', () => {
+    document.body.innerHTML = `
+      <details id="contrast-report" hidden><summary id="contrast-report-summary"></summary>
+      <ul id="contrast-report-list"></ul></details>`;
+    const base = { mode: 'light', selector: 'text', required: 4.5, fontSize: 16, fontWeight: 400, background: '#ffffff' };
+    setContrastReport([
+      { ...base, text: 'Start', groupId: 'A', ratio: 12.6, pass: true, foreground: '#333333',
+        apca: { lc: 92.1, polarity: 'dark on light', required: 90, pass: true } },
+      { ...base, text: 'Faint', ratio: 1.5, pass: false, foreground: '#dddddd',
+        apca: { lc: 18.2, polarity: 'dark on light', required: 90, pass: false } }
+    ]);
+
+    const details = document.querySelector('#contrast-report-list li details');
+    expect(details.open).toBe(false);
+    expect(details.querySelector('summary').textContent).toBe('1 passing text pair with their APCA Lc');
+    expect(details.querySelector('li').textContent).toBe(
+      'Light: "Start" in (#A), text: WCAG 12.6:1 (needs 4.5:1); APCA Lc 92.1 (dark on light, needs Lc 90 at 16px/400) (#333333 on #ffffff)'
+    );
+    expect(document.querySelector('#contrast-report-list > li').textContent).toMatch(/^Light: "Faint", text: WCAG 1\.5:1/);
+  });
+});
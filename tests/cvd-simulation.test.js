@@ -0,0 +1,105 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the colour-vision-deficiency preview simulations
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+function extractConfigBlock(name) {
+  const match = appJs.match(new RegExp(`  ${name}: \\{[\\s\\S]*?\\n  \\},`));
+  if (!match) {
+    throw new Error(`Could not extract CONFIG.${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = eval(`({\n${extractConfigBlock('cvdSimulations')}\n})`);
+const STATE = { cvdSimulation: 'none' };
+
+const names = ['getCvdFilterValues', 'ensureCvdFilters', 'applyCvdSimulation'];
+const { getCvdFilterValues, applyCvdSimulation } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+// Apply a 3x3 matrix to a linear RGB colour, as feColorMatrix does
+function simulate(matrix, rgb) {
+  return matrix.map(row => row.reduce((sum, weight, index) => sum + weight * rgb[index], 0));
+}
+
+describe('Colour vision simulation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="preview-light"></div><div id="preview-dark"></div>';
+    STATE.cvdSimulation = 'none';
+  });
+
+  it('defines the four simulations with rows that keep white white', () => {
+    expect(Object.keys(CONFIG.cvdSimulations)).toEqual(['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia']);
+    Object.values(CONFIG.cvdSimulations).forEach(matrix => {
+      simulate(matrix, [1, 1, 1]).forEach(channel => expect(channel).toBeCloseTo(1, 2));
+    });
+  });
+
+  it('makes red and green hard to tell apart for red-green deficiencies', () => {
+    const { protanopia, deuteranopia, achromatopsia } = CONFIG.cvdSimulations;
+    const red = [1, 0, 0];
+    const green = [0, 0.5, 0];
+    const distance = (a, b) => Math.hypot(...a.map((value, index) => value - b[index]));
+
+    expect(distance(simulate(protanopia, red), simulate(protanopia, green)))
+      .toBeLessThan(distance(red, green) / 2);
+    expect(distance(simulate(deuteranopia, red), simulate(deuteranopia, green)))
+      .toBeLessThan(distance(red, green) / 2);
+    const [r, g, b] = simulate(achromatopsia, [0.2, 0.6, 0.9]);
+    expect(r).toBeCloseTo(g, 10);
+    expect(g).toBeCloseTo(b, 10);
+  });
+
+  it('builds 4x5 feColorMatrix values', () => {
+    const values = getCvdFilterValues(CONFIG.cvdSimulations.achromatopsia).split(' ');
+    expect(values).toHaveLength(20);
+    expect(values.slice(0, 5)).toEqual(['0.2126', '0.7152', '0.0722', '0', '0']);
+    expect(values.slice(15)).toEqual(['0', '0', '0', '1', '0']);
+  });
+
+  it('filters both preview panes and clears the filter again', () => {
+    STATE.cvdSimulation = 'tritanopia';
+    applyCvdSimulation();
+
+    const filter = document.getElementById('cvd-tritanopia');
+    expect(filter.getAttribute('color-interpolation-filters')).toBe('linearRGB');
+    expect(filter.firstElementChild.localName).toBe('feColorMatrix');
+    expect(filter.firstElementChild.getAttribute('type')).toBe('matrix');
+    expect(document.getElementById('cvd-filters').getAttribute('aria-hidden')).toBe('true');
+    expect(document.getElementById('preview-light').style.filter).toBe('url(#cvd-tritanopia)');
+    expect(document.getElementById('preview-dark').style.filter).toBe('url(#cvd-tritanopia)');
+
+    applyCvdSimulation();
+    expect(document.querySelectorAll('#cvd-filters')).toHaveLength(1);
+
+    STATE.cvdSimulation = 'none';
+    applyCvdSimulation();
+    expect(document.getElementById('preview-light').style.filter).toBe('');
+  });
+
+  it('is selectable next to the previews', () => {
+    expect(indexHtml).toMatch(/id="cvd-select"[\s\S]*value="achromatopsia"[\s\S]*id="preview-light"/);
+  });
+});
@@ -0,0 +1,122 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the dark theme preview render and the colour-scheme export
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = {
+  darkThemes: {
+    dark: { theme: 'dark' },
+    'high-contrast': { theme: 'base', themeVariables: { darkMode: true, background: '#000000' } },
+  },
+};
+
+const names = ['withPreviewTheme', 'extractInitDirectives', 'applyContrastFixes', 'createAdaptiveSvg'];
+const { withPreviewTheme, applyContrastFixes, createAdaptiveSvg } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+const lightSvg = `<svg xmlns="http://www.w3.org/2000/svg" id="mmd-abc" role="img">
+  <style>#mmd-abc .node rect{fill:#ECECFF;}#mmd-abc .label{color:#333;}</style>
+  <g class="node" id="mmd-abc-flowchart-A-0"><rect style="fill:#ffffcc"/><text fill="#333333">Start</text></g>
+  <path class="flowchart-link" stroke="#333333"/>
+</svg>`;
+
+const darkSvg = `<svg xmlns="http://www.w3.org/2000/svg" id="mmd-abc-dark" role="img">
+  <style>#mmd-abc-dark .node rect{fill:#1f2020;}#mmd-abc-dark .label{color:#ccc;}</style>
+  <g class="node" id="mmd-abc-dark-flowchart-A-0"><rect style="fill:#333300"/><text fill="#333333">Start</text></g>
+  <path class="flowchart-link" stroke="lightgrey"/>
+</svg>`;
+
+describe('Dark preview', () => {
+  it('appends a theme directive after the diagram so detection still sees the type', () => {
+    const source = 'flowchart TD\n  A --> B\n%%accTitle Flow\n';
+    const themed = withPreviewTheme(source, 'dark');
+
+    expect(themed.split('\n')[0]).toBe('flowchart TD');
+    expect(themed.trim().split('\n').pop()).toBe('%%{init: {"theme":"dark"}}%%');
+    expect(withPreviewTheme(source, 'high-contrast')).toContain(
+      '%%{init: {"theme":"base","themeVariables":{"darkMode":true,"background":"#000000"}}}%%'
+    );
+    expect(withPreviewTheme(source, 'unknown')).toBe(themed);
+  });
+
+  it('replaces the light directive and its contrast fixes instead of stacking a second one', () => {
+    const source = "%%{init: {'theme': 'forest', 'flowchart': {'curve': 'basis'}}}%%\nflowchart TD\n  A --> B\n";
+    const fixed = applyContrastFixes(source, [{ kind: 'themeVariables', names: ['primaryTextColor'], to: '#333333' }]);
+    const themed = withPreviewTheme(fixed, 'high-contrast');
+
+    expect(themed.match(/%%\{init/g)).toHaveLength(1);
+    expect(themed).not.toContain('#333333');
+    expect(themed).toBe(
+      'flowchart TD\n  A --> B\n%%{init: {"flowchart":{"curve":"basis"},"theme":"base","themeVariables":{"darkMode":true,"background":"#000000"}}}%%\n'
+    );
+  });
+
+  it('renders the dark pane separately with its own ids', () => {
+    expect(appJs).toContain("window.mermaid.render('mermaid-diagram-dark', withPreviewTheme(mermaidSource, themeKey))");
+    expect(appJs).toContain('await renderDarkPreview(mermaidSource, metadata);');
+    expect(appJs).toMatch(/idPrefix = `\$\{getSvgIdPrefix\(mermaidSource, metadata\)\}-dark`/);
+    expect(indexHtml).toContain('id="dark-theme-select"');
+  });
+});
+
+describe('Colour-scheme export', () => {
+  const merged = createAdaptiveSvg(lightSvg, darkSvg);
+  const svg = new DOMParser().parseFromString(merged, 'image/svg+xml').documentElement;
+  const mediaCss = Array.from(svg.querySelectorAll('style')).pop().textContent;
+
+  it('keeps the light colours as the default', () => {
+    expect(svg.id).toBe('mmd-abc');
+    expect(svg.querySelector('rect').getAttribute('style')).toBe('fill:#ffffcc');
+    expect(svg.querySelectorAll('style')[0].textContent).toContain('#mmd-abc .node rect{fill:#ECECFF;}');
+  });
+
+  it('switches stylesheet colours under prefers-color-scheme: dark', () => {
+    expect(mediaCss).toMatch(/^\s*@media \(prefers-color-scheme: dark\) \{/);
+    expect(mediaCss).toContain('#mmd-abc .node rect{fill:#1f2020;}');
+    expect(mediaCss).not.toContain('mmd-abc-dark');
+  });
+
+  it('overrides inline and attribute colours element by element', () => {
+    const rect = svg.querySelector('rect');
+    const link = svg.querySelector('path');
+
+    expect(rect.getAttribute('class')).toBe('a11y-dark-1');
+    expect(mediaCss).toContain('#mmd-abc .a11y-dark-1 { fill: #333300 !important; }');
+    expect(link.getAttribute('class')).toBe('flowchart-link a11y-dark-2');
+    expect(mediaCss).toContain('#mmd-abc .a11y-dark-2 { stroke: lightgrey !important; }');
+    // Unchanged colours need no override
+    expect(svg.querySelector('text').hasAttribute('class')).toBe(false);
+  });
+
+  it('falls back to stylesheet colours when the renders differ in structure', () => {
+    const output = createAdaptiveSvg(lightSvg, darkSvg.replace('<path', '<g/><path'));
+    expect(output).toContain('#mmd-abc .node rect{fill:#1f2020;}');
+    expect(output).not.toContain('a11y-dark-');
+  });
+
+  it('is offered as an export option', () => {
+    expect(indexHtml).toContain('id="export-adaptive-toggle"');
+    expect(appJs).toContain('const svgString = applyExportColorScheme(currentSvg)');
+  });
+});
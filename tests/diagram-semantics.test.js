@@ -0,0 +1,859 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for diagram-specific SVG semantics
+ *
+ * Each transform is run against a hand-built fragment that mirrors the
+ * structure Mermaid 10.7 emits for that diagram type.
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+function extractFunctions(names) {
+  const code = `
+    ${names.map(extractFunction).join('\n')}
+    ({ ${names.join(', ')} })
+  `;
+  return eval(code);
+}
+
+function parseSvg(markup) {
+  const doc = new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg" id="mermaid-diagram">${markup}</svg>`,
+    'image/svg+xml'
+  );
+  return doc.documentElement;
+}
+
+const flowchartNode = (id, label) => `
+  <g class="node default" id="flowchart-${id}-0">
+    <rect class="basic label-container"/>
+    <g class="label"><text>${label}</text></g>
+  </g>`;
+
+// Edge paths and labels are drawn in the same order
+const flowchartMarkup = `
+  <g class="root">
+    <g class="clusters"></g>
+    <g class="edgePaths">
+      <path id="L-A-B-0" class=" edge-thickness-normal flowchart-link LS-A LE-B"/>
+      <path id="L-B-C-0" class=" edge-thickness-normal flowchart-link LS-B LE-C"/>
+      <path id="L-B-D-0" class=" edge-thickness-normal flowchart-link LS-B LE-D"/>
+    </g>
+    <g class="edgeLabels">
+      <g class="edgeLabel"><g class="label"><text></text></g></g>
+      <g class="edgeLabel"><g class="label"><text>Yes</text></g></g>
+      <g class="edgeLabel"><g class="label"><text>No</text></g></g>
+    </g>
+    <g class="nodes">
+      ${flowchartNode('A', 'Request')}
+      ${flowchartNode('B', 'Valid?')}
+      ${flowchartNode('C', 'Approve')}
+      ${flowchartNode('D', 'Reject')}
+    </g>
+  </g>
+`;
+
+describe('Flowchart edge descriptions', () => {
+  const { applyFlowchartSemantics } = extractFunctions([
+    'extractNodeLabel',
+    'collectFlowchartEdges',
+    'describeFlowchartEdges',
+    'applyFlowchartSemantics',
+  ]);
+
+  it('describes outgoing connections and branch labels per node', () => {
+    const svg = parseSvg(flowchartMarkup);
+    applyFlowchartSemantics(svg);
+
+    const decision = svg.getElementById('flowchart-B-0');
+    const desc = svg.getElementById(decision.getAttribute('aria-describedby'));
+    expect(desc.textContent).toBe('2 outgoing connections: Yes, to Approve; No, to Reject');
+    expect(decision.firstElementChild.localName).toBe('title');
+    expect(decision.getAttribute('aria-flowto')).toBe('flowchart-C-0 flowchart-D-0');
+
+    const start = svg.getElementById('flowchart-A-0');
+    expect(svg.getElementById(start.getAttribute('aria-describedby')).textContent)
+      .toBe('1 outgoing connection: to Valid?');
+
+    const end = svg.getElementById('flowchart-C-0');
+    expect(svg.getElementById(end.getAttribute('aria-describedby')).textContent).toBe('No outgoing connections');
+    expect(end.hasAttribute('aria-flowto')).toBe(false);
+  });
+});
+
+describe('Interactive flowchart export', () => {
+  const { applyFlowchartSemantics, createInteractiveSvg, flowchartExplorer } = extractFunctions([
+    'extractNodeLabel',
+    'collectFlowchartEdges',
+    'describeFlowchartEdges',
+    'applyFlowchartSemantics',
+    'flowchartExplorer',
+    'createInteractiveSvg',
+  ]);
+
+  const renderInteractive = () => {
+    const svg = parseSvg(flowchartMarkup);
+    svg.setAttribute('role', 'img');
+    applyFlowchartSemantics(svg);
+    const output = createInteractiveSvg(new XMLSerializer().serializeToString(svg));
+
+    document.body.innerHTML = output;
+    return document.body.querySelector('svg');
+  };
+
+  const press = (key) => {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    return document.activeElement.id;
+  };
+
+  it('makes nodes focusable and describes incoming and outgoing edges', () => {
+    const svg = renderInteractive();
+
+    expect(svg.getAttribute('role')).toBe('group');
+    expect(svg.getElementById('flowchart-A-0').getAttribute('tabindex')).toBe('0');
+    expect(svg.getElementById('flowchart-B-0').getAttribute('tabindex')).toBe('-1');
+
+    const approve = svg.getElementById('flowchart-C-0');
+    const descriptions = approve.getAttribute('aria-describedby').split(' ')
+      .map(id => svg.getElementById(id).textContent);
+    expect(descriptions).toEqual(['1 incoming connection: from Valid? via Yes', 'No outgoing connections']);
+
+    expect(svg.querySelector('script').textContent).toContain('function flowchartExplorer(svg)');
+    expect(svg.querySelector('style').textContent).toContain(':focus');
+  });
+
+  it('moves focus along edges, back and between siblings with arrow keys', () => {
+    const svg = renderInteractive();
+    flowchartExplorer(svg);
+    svg.getElementById('flowchart-A-0').focus();
+
+    expect(press('ArrowDown')).toBe('flowchart-B-0');
+    expect(press('ArrowDown')).toBe('flowchart-C-0');
+    expect(press('ArrowRight')).toBe('flowchart-D-0');
+    expect(press('ArrowRight')).toBe('flowchart-C-0');
+    expect(press('ArrowUp')).toBe('flowchart-B-0');
+    expect(press('ArrowUp')).toBe('flowchart-A-0');
+    expect(press('End')).toBe('flowchart-D-0');
+    expect(svg.getElementById('flowchart-D-0').getAttribute('tabindex')).toBe('0');
+  });
+
+  it('returns null for diagrams that are not flowcharts', () => {
+    expect(createInteractiveSvg('<svg xmlns="http://www.w3.org/2000/svg"><g class="node"/></svg>')).toBeNull();
+  });
+});
+
+describe('Sequence diagram semantics', () => {
+  const { parseSequenceSource, applySequenceSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parseSequenceSource',
+    'applySequenceSemantics',
+  ]);
+
+  const source = `sequenceDiagram
+    participant U as User
+    actor A as App
+    U->>+A: Clicks login
+    A--)U: Push event
+    A-->>-U: Logged in
+
+%%accTitle Login
+%%accDescr Login sequence`;
+
+  const svgMarkup = `
+    <g><rect class="actor" x="0" y="100" width="100" height="60"/><text class="actor" x="50" y="130">User</text></g>
+    <g class="actor-man"><rect class="actor" x="200" y="100" width="100" height="60"/><text class="actor" x="250" y="130">App</text></g>
+    <g><line id="actor0" x1="50" y1="5" x2="50" y2="100" class="200"/><g><rect class="actor" x="0" y="0" width="100" height="60"/><text class="actor" x="50" y="30">User</text></g></g>
+    <line id="actor1" x1="250" y1="80" x2="250" y2="100" class="200"/>
+    <g class="actor-man"><line id="actor-man-torso1" x1="250" y1="25" x2="250" y2="45"/><rect class="actor" x="200" y="0" width="100" height="60"/><text class="actor" x="250" y="30">App</text></g>
+    <defs><marker id="arrowhead"><path d="M0,0"/></marker></defs>
+    <text class="messageText" x="150" y="70">Clicks login</text>
+    <line class="messageLine0" x1="50" x2="250" marker-end="url(#arrowhead)"/>
+    <g><rect class="activation0" x="245" y="75" width="10" height="20"/></g>
+    <text class="messageText" x="150" y="80">Push event</text>
+    <line class="messageLine1" x1="250" x2="50" marker-end="url(#filled-head)"/>
+    <text class="messageText" x="150" y="90">Logged in</text>
+    <line class="messageLine1" x1="250" x2="50" marker-end="url(#arrowhead)"/>
+  `;
+
+  it('parses participants, aliases and arrow modes', () => {
+    const parsed = parseSequenceSource(source);
+
+    expect(parsed.participants.get('U')).toEqual({ id: 'U', label: 'User', type: 'participant' });
+    expect(parsed.participants.get('A').type).toBe('actor');
+    expect(parsed.messages.map(m => m.mode)).toEqual(['synchronous', 'asynchronous', 'reply']);
+    expect(parsed.messages[0]).toMatchObject({ from: 'U', to: 'A', text: 'Clicks login', activation: '+' });
+  });
+
+  it('exposes header participants as a labelled list', () => {
+    const svg = parseSvg(svgMarkup);
+    applySequenceSemantics(svg, source);
+
+    const list = svg.querySelector('[role="list"][aria-label="Participants"]');
+    expect(list).not.toBeNull();
+    const items = list.querySelectorAll(':scope > [role="listitem"]');
+    expect(items.length).toBe(2);
+    expect(items[0].querySelector('title').textContent).toBe('Participant: User');
+    expect(items[1].querySelector('title').textContent).toBe('Actor: App');
+  });
+
+  it('exposes messages as an ordered list with sender, receiver and mode', () => {
+    const svg = parseSvg(svgMarkup);
+    applySequenceSemantics(svg, source);
+
+    const list = svg.querySelector('[role="list"][aria-label="Messages"]');
+    const titles = Array.from(list.querySelectorAll(':scope > [role="listitem"] > title'))
+      .map(t => t.textContent);
+    expect(titles).toEqual([
+      'Message 1: User to App, "Clicks login" (synchronous)',
+      'Message 2: App to User, "Push event" (asynchronous)',
+      'Message 3: App to User, "Logged in" (reply)',
+    ]);
+  });
+
+  it('hides lifelines, activation bars and footer actors', () => {
+    const svg = parseSvg(svgMarkup);
+    applySequenceSemantics(svg, source);
+
+    svg.querySelectorAll('#actor0, #actor1, rect.activation0, marker').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+    const footers = Array.from(svg.querySelectorAll('text.actor'))
+      .filter(t => t.getAttribute('y') === '130')
+      .map(t => t.parentNode);
+    footers.forEach(box => expect(box.getAttribute('aria-hidden')).toBe('true'));
+  });
+
+  it('falls back to SVG text when source and SVG disagree', () => {
+    const svg = parseSvg(svgMarkup);
+    applySequenceSemantics(svg, 'sequenceDiagram\n  U->>A: Only one');
+
+    const first = svg.querySelector('[aria-label="Messages"] > [role="listitem"] > title');
+    expect(first.textContent).toBe('Message 1: "Clicks login"');
+  });
+
+  it('skips non-sequence diagrams', () => {
+    const svg = parseSvg('<g class="node"><text>A</text></g>');
+    applySequenceSemantics(svg, 'flowchart TD\n  A --> B');
+    expect(svg.querySelector('[role="list"]')).toBeNull();
+  });
+});
+
+describe('State diagram semantics', () => {
+  const { parseStateSource, applyStateSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'extractNodeLabel',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parseStateSource',
+    'applyStateSemantics',
+  ]);
+
+  const source = `stateDiagram-v2
+  [*] --> Idle
+  Idle --> Active: Start
+  state Active {
+    [*] --> Running
+    Running --> Paused : pause
+  }
+  Active --> Idle: Stop
+  Active --> [*]
+  note right of Idle
+    Waiting for input
+  end note`;
+
+  const svgMarkup = `
+    <defs><marker id="barbEnd"><path d="M0,0"/></marker></defs>
+    <g class="root">
+      <g class="clusters"><g class=" statediagram-state statediagram-cluster" id="Active"><rect/><g class="cluster-label"><text>Active</text></g><rect/></g></g>
+      <g class="edgePaths"><path class="transition" id="edge0"/></g>
+      <g class="edgeLabels"><g class="edgeLabel"><text>Start</text></g></g>
+      <g class="nodes">
+        <g class="node default" id="state-root_start-0"><circle class="state-start"/></g>
+        <g class="node default statediagram-state" id="state-Idle-1"><rect/><g class="label"><text>Idle</text></g></g>
+        <g class="node default" id="state-root_end-5"><circle class="state-end"/><circle/></g>
+        <g class="node statediagram-note" id="state-Idle----note-6"><rect/><text>Waiting for input</text></g>
+        <g class="root" transform="translate(10,10)"><g class="nodes">
+          <g class="node default" id="state-Active_start-2"><circle class="state-start"/></g>
+          <g class="node default statediagram-state" id="state-Running-3"><rect/><text>Running</text></g>
+          <g class="node default statediagram-state" id="state-Paused-4"><rect/><text>Paused</text></g>
+        </g></g>
+      </g>
+    </g>
+  `;
+
+  it('parses composite scopes, pseudo-states and triggers', () => {
+    const { states, transitions } = parseStateSource(source);
+
+    expect(states.get('root_start').type).toBe('start');
+    expect(states.get('root_end').type).toBe('end');
+    expect(states.get('Active').type).toBe('composite');
+    expect(states.get('Running').parent).toBe('Active');
+    expect(states.get('Active_start').parent).toBe('Active');
+    expect(transitions).toContainEqual({ from: 'Running', to: 'Paused', label: 'pause' });
+    expect(states.has('Waiting')).toBe(false);
+  });
+
+  it('names states and marks start and end pseudo-states', () => {
+    const svg = parseSvg(svgMarkup);
+    applyStateSemantics(svg, source);
+
+    const titleOf = (id) => svg.querySelector(`[id="${id}"] > title`).textContent;
+    expect(titleOf('state-root_start-0')).toBe('Start state');
+    expect(titleOf('state-root_end-5')).toBe('End state');
+    expect(titleOf('state-Idle-1')).toBe('State: Idle');
+    expect(titleOf('state-Active_start-2')).toBe('Start of Active');
+    expect(titleOf('Active')).toBe('Composite state: Active');
+    expect(svg.getElementById('state-Idle----note-6').hasAttribute('role')).toBe(false);
+  });
+
+  it('describes outgoing transitions with their triggers', () => {
+    const svg = parseSvg(svgMarkup);
+    applyStateSemantics(svg, source);
+
+    const active = svg.getElementById('Active');
+    const desc = svg.getElementById(active.getAttribute('aria-describedby'));
+    expect(desc.textContent).toBe('2 outgoing transitions: to Idle on "Stop"; to end state');
+    const end = svg.getElementById('state-root_end-5');
+    expect(svg.getElementById(end.getAttribute('aria-describedby')).textContent).toBe('No outgoing transitions');
+  });
+
+  it('groups substates under their composite state', () => {
+    const svg = parseSvg(svgMarkup);
+    applyStateSemantics(svg, source);
+
+    const rootList = svg.querySelector(':scope > [role="list"][aria-label="States"]');
+    expect(rootList.getAttribute('aria-owns').split(' ')).toEqual(
+      ['state-root_start-0', 'state-Idle-1', 'Active', 'state-root_end-5']
+    );
+    const nested = svg.getElementById('Active').querySelector('[role="list"]');
+    expect(nested.getAttribute('aria-label')).toBe('Substates of Active');
+    expect(nested.getAttribute('aria-owns')).toBe('state-Active_start-2 state-Running-3 state-Paused-4');
+  });
+
+  it('hides transition arrows and labels', () => {
+    const svg = parseSvg(svgMarkup);
+    applyStateSemantics(svg, source);
+
+    svg.querySelectorAll('g.edgePaths, g.edgeLabels, marker').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+});
+
+describe('Entity-relationship semantics', () => {
+  const { parseErRelationships, applyErSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parseErRelationships',
+    'applyErSemantics',
+  ]);
+
+  const source = `erDiagram
+  CUSTOMER ||--o{ ORDER : places
+  ORDER }|..|{ PRODUCT : "lists"
+  ORDER {
+    string id PK
+    string customerId FK "owner"
+  }`;
+
+  const entity = (name, attrs = '') => `
+    <g id="entity-${name}-1234" transform="translate(10,10)">
+      <rect class="er entityBox"/>
+      <text class="er entityLabel" id="text-entity-${name}-1234">${name}</text>
+      ${attrs}
+    </g>`;
+
+  const svgMarkup = `
+    <defs><marker id="ONLY_ONE_START"><path/></marker></defs>
+    <path class="er relationshipLine" marker-start="url(#ONLY_ONE_START)"/>
+    <path class="er relationshipLine"/>
+    ${entity('CUSTOMER')}
+    ${entity('ORDER', `
+      <rect class="er attributeBoxOdd"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-1-type">string</text>
+      <rect class="er attributeBoxOdd"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-1-name">id</text>
+      <rect class="er attributeBoxOdd"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-1-key">PK</text>
+      <rect class="er attributeBoxEven"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-2-type">string</text>
+      <rect class="er attributeBoxEven"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-2-name">customerId</text>
+      <rect class="er attributeBoxEven"/><text class="er entityLabel" id="text-entity-ORDER-1234-attr-2-key">FK</text>
+    `)}
+    ${entity('PRODUCT')}
+    <rect class="er relationshipLabelBox"/><text class="er relationshipLabel" id="rel1">places</text>
+    <rect class="er relationshipLabelBox"/><text class="er relationshipLabel" id="rel2">lists</text>
+  `;
+
+  it('reads cardinalities and identification from the source', () => {
+    const [places, lists] = parseErRelationships(source);
+
+    expect(places).toEqual({
+      entityA: 'CUSTOMER', entityB: 'ORDER',
+      cardinalityA: 'exactly one', cardinalityB: 'zero or more',
+      identifying: true, label: 'places',
+    });
+    expect(lists).toMatchObject({ cardinalityA: 'one or more', cardinalityB: 'one or more', identifying: false, label: 'lists' });
+    expect(parseErRelationships('erDiagram\n  A only one to zero or more B : has')[0])
+      .toMatchObject({ cardinalityA: 'exactly one', cardinalityB: 'zero or more', identifying: true });
+  });
+
+  it('marks entities as tables with attribute rows and cells', () => {
+    const svg = parseSvg(svgMarkup);
+    applyErSemantics(svg, source);
+
+    const order = svg.getElementById('entity-ORDER-1234');
+    expect(order.getAttribute('role')).toBe('table');
+    expect(order.querySelector(':scope > title').textContent).toBe('Entity: ORDER');
+
+    const rows = order.querySelectorAll(':scope > [role="row"]');
+    expect(rows.length).toBe(3);
+    expect(Array.from(rows[0].children).map(h => h.getAttribute('aria-label'))).toEqual(['Type', 'Name', 'Keys']);
+    expect(Array.from(rows[1].querySelectorAll('[role="cell"]')).map(c => c.textContent)).toEqual(['string', 'id', 'PK']);
+    expect(rows[2].querySelector('[id$="-key"]').getAttribute('aria-label')).toBe('foreign key');
+    rows[1].querySelectorAll('rect').forEach(rect => expect(rect.getAttribute('aria-hidden')).toBe('true'));
+  });
+
+  it('describes relationships in words', () => {
+    const svg = parseSvg(svgMarkup);
+    applyErSemantics(svg, source);
+
+    const items = svg.querySelectorAll('[aria-label="Relationships"] > [role="listitem"]');
+    expect(items[0].querySelector('title').textContent).toBe('CUSTOMER places zero or more ORDER');
+    expect(items[0].querySelector('desc').textContent).toBe('Each ORDER relates to exactly one CUSTOMER; identifying relationship');
+    expect(items[1].querySelector('title').textContent).toBe('ORDER lists one or more PRODUCT');
+    svg.querySelectorAll('path.relationshipLine, marker').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+});
+
+describe('Pie chart semantics', () => {
+  const { parsePieSource, applyPieSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parsePieSource',
+    'applyPieSemantics',
+  ]);
+
+  const source = `pie showData
+  title Pets adopted
+  "Cats" : 85
+  "Dogs" : 386
+  "Rats" : 15`;
+
+  // Slices, percentage labels and legends in Mermaid's value-descending order
+  const svgMarkup = `
+    <g transform="translate(225,225)">
+      <circle class="pieOuterCircle"/>
+      <path class="pieCircle" fill="#ECECFF"/>
+      <path class="pieCircle" fill="#ffffde"/>
+      <path class="pieCircle" fill="#b9b9ff"/>
+      <text class="slice">79%</text>
+      <text class="slice">17%</text>
+      <text class="slice">3%</text>
+      <text class="pieTitleText">Pets adopted</text>
+      <g class="legend" transform="translate(216,-33)"><rect/><text>Dogs [386]</text></g>
+      <g class="legend" transform="translate(216,-11)"><rect/><text>Cats [85]</text></g>
+      <g class="legend" transform="translate(216,11)"><rect/><text>Rats [15]</text></g>
+    </g>
+  `;
+
+  it('sorts slices by value and works out percentages', () => {
+    const { data, total } = parsePieSource(source);
+
+    expect(total).toBe(486);
+    expect(data.map(item => item.label)).toEqual(['Dogs', 'Cats', 'Rats']);
+    expect(data[0].percentage).toBe('79.4');
+  });
+
+  it('names each slice with label, value and percentage from its legend entry', () => {
+    const svg = parseSvg(svgMarkup);
+    applyPieSemantics(svg, source);
+
+    const list = svg.querySelector('[role="list"][aria-label="Pie slices"]');
+    const items = list.querySelectorAll(':scope > path.pieCircle[role="listitem"]');
+    expect(Array.from(items).map(item => item.querySelector('title').textContent))
+      .toEqual(['Dogs: 386 (79.4%)', 'Cats: 85 (17.5%)', 'Rats: 15 (3.1%)']);
+
+    // The legend is hidden, so no aria-details points into it
+    expect(svg.querySelectorAll('[aria-details]')).toHaveLength(0);
+  });
+
+  it('hides legend text, percentage labels and the outer circle', () => {
+    const svg = parseSvg(svgMarkup);
+    applyPieSemantics(svg, source);
+
+    svg.querySelectorAll('g.legend, text.slice, circle.pieOuterCircle').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+    expect(svg.querySelector('text.pieTitleText').hasAttribute('aria-hidden')).toBe(false);
+  });
+
+  it('falls back to legend text when the source is unavailable', () => {
+    const svg = parseSvg(svgMarkup);
+    applyPieSemantics(svg);
+
+    expect(svg.querySelector('path.pieCircle title').textContent).toBe('Dogs: 386 (79.4%)');
+  });
+});
+
+describe('Gantt chart semantics', () => {
+  const { parseGanttSource, applyGanttSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'createSemanticGroup',
+    'parseGanttDate',
+    'addGanttDuration',
+    'parseGanttSource',
+    'formatGanttDate',
+    'formatGanttDuration',
+    'applyGanttSemantics',
+  ]);
+
+  const source = `gantt
+  title Release plan
+  dateFormat YYYY-MM-DD
+  section Design
+  Wireframes :done, des1, 2024-01-01, 5d
+  Review :active, des2, after des1, 2d
+  section Build
+  API :crit, 2024-01-10, 2024-01-15
+  Launch :milestone, 2024-01-20, 0d`;
+
+  // Bars first, then their labels, all sorted by start date
+  const svgMarkup = `
+    <g><rect class="section section0"/><rect class="section section1"/></g>
+    <g class="grid" transform="translate(75, 150)">
+      <g class="tick"><line/><text>2024-01-01</text></g>
+    </g>
+    <g>
+      <rect id="des1" class="task done0"/>
+      <rect id="des2" class="task active0"/>
+      <rect id="task1" class="task crit1"/>
+      <rect id="task2" class="task milestone  task1"/>
+      <text id="des1-text" class="taskText">Wireframes</text>
+      <text id="des2-text" class="taskText">Review</text>
+      <text id="task1-text" class="taskText">API</text>
+      <text id="task2-text" class="taskText">Launch</text>
+    </g>
+    <g><text class="sectionTitle sectionTitle0">Design</text><text class="sectionTitle sectionTitle1">Build</text></g>
+    <text class="titleText">Release plan</text>
+  `;
+
+  it('resolves task ids, sections and dates from the source', () => {
+    const { sections, tasks } = parseGanttSource(source);
+
+    expect(sections.map(section => section.name)).toEqual(['Design', 'Build']);
+    expect(Array.from(tasks.keys())).toEqual(['des1', 'des2', 'task1', 'task2']);
+    expect(tasks.get('des2').start).toEqual(new Date(2024, 0, 6));
+    expect(tasks.get('des2').end).toEqual(new Date(2024, 0, 8));
+    expect(tasks.get('task1').end).toEqual(new Date(2024, 0, 15));
+  });
+
+  it('exposes tasks as table rows grouped by section', () => {
+    const svg = parseSvg(svgMarkup);
+    applyGanttSemantics(svg, source);
+
+    const table = svg.querySelector('[role="table"]');
+    expect(table.getAttribute('aria-label')).toBe('Release plan tasks');
+    expect(Array.from(table.querySelectorAll('[role="columnheader"]')).map(h => h.getAttribute('aria-label')))
+      .toEqual(['Task', 'Start', 'End', 'Duration', 'Status']);
+
+    const groups = table.querySelectorAll(':scope > [role="rowgroup"]');
+    expect(Array.from(groups).map(g => g.getAttribute('aria-label'))).toEqual(['Section: Design', 'Section: Build']);
+
+    const cells = row => Array.from(row.querySelectorAll('[role="cell"]'))
+      .map(cell => cell.getAttribute('aria-label') || cell.textContent);
+    const [wireframes, review] = groups[0].querySelectorAll('[role="row"]');
+    expect(cells(wireframes)).toEqual(['Wireframes', '2024-01-01', '2024-01-06', '5 days', 'completed']);
+    expect(cells(review)).toEqual(['Review', '2024-01-06', '2024-01-08', '2 days', 'in progress']);
+
+    const [api, launch] = groups[1].querySelectorAll('[role="row"]');
+    expect(cells(api)[4]).toBe('critical');
+    expect(cells(launch)).toEqual(['Launch', '2024-01-20', '2024-01-20', '0 days', 'milestone']);
+    expect(svg.getElementById('des1').getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('hides axis ticks and section decoration', () => {
+    const svg = parseSvg(svgMarkup);
+    applyGanttSemantics(svg, source);
+
+    svg.querySelectorAll('g.grid, rect.section, text.sectionTitle').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+
+  it('still lists task rows when the source is unavailable', () => {
+    const svg = parseSvg(svgMarkup);
+    applyGanttSemantics(svg);
+
+    const rows = svg.querySelectorAll('[role="table"] > [role="row"]');
+    expect(rows.length).toBe(5);
+    expect(rows[3].querySelector('text').textContent).toBe('API');
+  });
+});
+
+describe('Class diagram semantics', () => {
+  const { parseClassRelationships, applyClassSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parseClassRelationships',
+    'describeClassRelationship',
+    'applyClassSemantics',
+  ]);
+
+  const source = `classDiagram
+  Animal <|-- Duck
+  Duck "1" *-- "2" Wing : has
+  Pond o-- Duck
+  Duck ..> Food
+  class Animal {
+    <<abstract>>
+    +int age
+    -String secret
+    #move() void
+  }`;
+
+  const classBox = (name, labels) => `
+    <g class="node default" id="classId-${name}-0">
+      <rect class="outer title-state"/>
+      <line class="divider"/>
+      <line class="divider"/>
+      <g class="label">
+        ${labels.map(label => `<foreignObject><div><span>${label}</span></div></foreignObject>`).join('')}
+      </g>
+    </g>`;
+
+  const svgMarkup = `
+    <g class="root">
+      <g class="edgePaths"><path class="relation" id="id_Animal_Duck_1"/></g>
+      <g class="edgeLabels"><g class="edgeLabel"><g class="label"><text>has</text></g></g></g>
+      <g class="nodes">
+        ${classBox('Animal', ['«abstract»', 'Animal', '+int age', '-String secret', '#move() void', '~digest()'])}
+        ${classBox('Duck', ['', 'Duck'])}
+      </g>
+    </g>
+  `;
+
+  it('reads relationship kinds, markers and cardinalities from the source', () => {
+    const [inheritance, composition, aggregation, dependency] = parseClassRelationships(source);
+
+    expect(inheritance).toMatchObject({ classA: 'Animal', classB: 'Duck', kind: 'inheritance', marked: 'Animal' });
+    expect(composition).toMatchObject({ kind: 'composition', marked: 'Duck', cardinalityA: '1', cardinalityB: '2', label: 'has' });
+    expect(aggregation).toMatchObject({ kind: 'aggregation', marked: 'Pond' });
+    expect(dependency).toMatchObject({ kind: 'dependency', marked: 'Food', dashed: true });
+  });
+
+  it('labels class boxes and lists members with their visibility', () => {
+    const svg = parseSvg(svgMarkup);
+    applyClassSemantics(svg, source);
+
+    const animal = svg.getElementById('classId-Animal-0');
+    expect(animal.getAttribute('role')).toBe('group');
+    expect(animal.querySelector(':scope > title').textContent).toBe('Class: Animal, abstract');
+
+    const items = list => Array.from(svg.querySelectorAll(`[aria-label="${list}"] > [role="listitem"]`))
+      .map(item => item.getAttribute('aria-label'));
+    expect(items('Attributes of Animal')).toEqual(['public int age', 'private String secret']);
+    expect(items('Methods of Animal')).toEqual(['protected move() void', 'package digest()']);
+    animal.querySelectorAll(':scope > rect, :scope > line').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+
+  it('describes relationships on both endpoint classes', () => {
+    const svg = parseSvg(svgMarkup);
+    applyClassSemantics(svg, source);
+
+    const describe = id => {
+      const group = svg.getElementById(id);
+      return svg.getElementById(group.getAttribute('aria-describedby')).textContent;
+    };
+    expect(describe('classId-Animal-0')).toBe('1 relationship: Inherited by Duck');
+    expect(describe('classId-Duck-0')).toBe(
+      '4 relationships: Inherits from Animal; Composed of Wing "has" (Duck 1, Wing 2); Aggregated by Pond; Depends on Food'
+    );
+    expect(svg.querySelector('g.edgePaths').getAttribute('aria-hidden')).toBe('true');
+  });
+});
+
+describe('Mindmap semantics', () => {
+  const { parseMindmapTree, applyMindmapSemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'parseMindmapTree',
+    'applyMindmapSemantics',
+  ]);
+
+  const source = `mindmap
+  root((Planning))
+    Goals
+      ::icon(fa fa-flag)
+      Revenue
+      Reach
+    Risks
+    Team`;
+
+  const mindmapNode = (id, label, section) => `
+    <g class="mindmap-node section-${section}">
+      <g><rect id="node-${id}" class="node-bkg node-rect"/></g>
+      <g><text class="mindmap-node-label">${label}</text></g>
+    </g>`;
+
+  // Nodes are drawn depth-first
+  const svgMarkup = `
+    <g class="mindmap-edges"><path class="edge section-edge-0 edge-depth-1"/></g>
+    <g class="mindmap-nodes">
+      ${mindmapNode(0, 'Planning', '-1 section-root')}
+      ${mindmapNode(1, 'Goals', 0)}
+      ${mindmapNode(2, 'Revenue', 0)}
+      ${mindmapNode(3, 'Reach', 0)}
+      ${mindmapNode(4, 'Risks', 1)}
+      ${mindmapNode(5, 'Team', 2)}
+    </g>
+  `;
+
+  it('builds the tree from indentation and ignores icon decorations', () => {
+    const [root] = parseMindmapTree(source);
+
+    expect(root.text).toBe('Planning');
+    expect(root.children.map(child => child.text)).toEqual(['Goals', 'Risks', 'Team']);
+    expect(root.children[0].children.map(child => child.text)).toEqual(['Revenue', 'Reach']);
+  });
+
+  it('exposes nodes as tree items with level, set size and position', () => {
+    const svg = parseSvg(svgMarkup);
+    applyMindmapSemantics(svg, source);
+
+    const tree = svg.querySelector('g.mindmap-nodes');
+    expect(tree.getAttribute('role')).toBe('tree');
+    expect(tree.getAttribute('aria-label')).toBe('Mind map: Planning');
+
+    const items = Array.from(tree.querySelectorAll(':scope > [role="treeitem"]')).map(item => ({
+      name: item.querySelector(':scope > title').textContent,
+      level: item.getAttribute('aria-level'),
+      position: `${item.getAttribute('aria-posinset')} of ${item.getAttribute('aria-setsize')}`,
+      expanded: item.getAttribute('aria-expanded'),
+    }));
+    expect(items).toEqual([
+      { name: 'Planning', level: '1', position: '1 of 1', expanded: 'true' },
+      { name: 'Goals', level: '2', position: '1 of 3', expanded: 'true' },
+      { name: 'Revenue', level: '3', position: '1 of 2', expanded: null },
+      { name: 'Reach', level: '3', position: '2 of 2', expanded: null },
+      { name: 'Risks', level: '2', position: '2 of 3', expanded: null },
+      { name: 'Team', level: '2', position: '3 of 3', expanded: null },
+    ]);
+  });
+
+  it('hides edges and duplicate node content', () => {
+    const svg = parseSvg(svgMarkup);
+    applyMindmapSemantics(svg, source);
+
+    expect(svg.querySelector('g.mindmap-edges').getAttribute('aria-hidden')).toBe('true');
+    svg.querySelectorAll('[role="treeitem"] > g').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+});
+
+describe('User journey semantics', () => {
+  const { parseJourneySource, applyJourneySemantics } = extractFunctions([
+    'skipFrontmatter',
+    'setSvgTitle',
+    'createSemanticGroup',
+    'parseJourneySource',
+    'applyJourneySemantics',
+  ]);
+
+  const source = `journey
+  title My working day
+  section Go to work
+    Make tea: 5: Me
+    Go upstairs: 3: Me, Cat
+  section Go home
+    Sit down: 2`;
+
+  const task = (id, label, actors) => `
+    <g>
+      <line id="task${id}" class="task-line"/>
+      <circle class="face" r="15"/>
+      <g><circle r="1.5"/><circle r="1.5"/><path class="mouth"/></g>
+      <rect class="task task-type-0"/>
+      ${actors.map((actor, i) => `<circle class="actor-${i}"><title>${actor}</title></circle>`).join('')}
+      <text class="task"><tspan>${label}</tspan></text>
+    </g>`;
+
+  // Legend is drawn first, straight onto the root, followed by sections and tasks
+  const svgMarkup = `
+    <defs><marker id="arrowhead"><path/></marker></defs>
+    <circle class="actor-0" r="7"/><text>Me</text>
+    <circle class="actor-1" r="7"/><text>Cat</text>
+    <text font-weight="bold">My working day</text>
+    <line marker-end="url(#arrowhead)"/>
+    <g><rect class="journey-section section-type-0"/><text class="journey-section section-type-0">Go to work</text></g>
+    ${task(0, 'Make tea', ['Me'])}
+    ${task(1, 'Go upstairs', ['Me', 'Cat'])}
+    <g><rect class="journey-section section-type-1"/><text class="journey-section section-type-1">Go home</text></g>
+    ${task(2, 'Sit down', [])}
+  `;
+
+  it('parses steps with optional actors', () => {
+    const { title, sections } = parseJourneySource(source);
+
+    expect(title).toBe('My working day');
+    expect(sections[0].steps[1]).toEqual({ name: 'Go upstairs', score: 3, actors: ['Me', 'Cat'] });
+    expect(sections[1].steps[0]).toEqual({ name: 'Sit down', score: 2, actors: [] });
+  });
+
+  it('names each task with section, score and actors and hides the faces', () => {
+    const svg = parseSvg(svgMarkup);
+    applyJourneySemantics(svg, source);
+
+    const items = svg.querySelectorAll('[aria-label="Journey tasks"] > [role="listitem"]');
+    expect(Array.from(items).map(item => item.querySelector(':scope > title').textContent)).toEqual([
+      'Go to work: Make tea, score 5 out of 5, actors: Me',
+      'Go to work: Go upstairs, score 3 out of 5, actors: Me, Cat',
+      'Go home: Sit down, score 2 out of 5',
+    ]);
+    svg.querySelectorAll('circle.face, line.task-line, rect.task').forEach(el => {
+      expect(el.getAttribute('aria-hidden')).toBe('true');
+    });
+    svg.querySelectorAll('rect.journey-section').forEach(rect => {
+      expect(rect.parentNode.getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+
+  it('exposes the actor legend as a list', () => {
+    const svg = parseSvg(svgMarkup);
+    applyJourneySemantics(svg, source);
+
+    const actors = svg.querySelectorAll('[aria-label="Actors"] > [role="listitem"]');
+    expect(Array.from(actors).map(item => item.textContent)).toEqual(['Me', 'Cat']);
+    expect(actors[0].querySelector('circle').getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('falls back to SVG labels and actor titles without the source', () => {
+    const svg = parseSvg(svgMarkup);
+    applyJourneySemantics(svg);
+
+    const second = svg.querySelectorAll('[aria-label="Journey tasks"] > [role="listitem"]')[1];
+    expect(second.querySelector(':scope > title').textContent).toBe('Go upstairs, actors: Me, Cat');
+  });
+});
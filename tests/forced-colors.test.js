@@ -0,0 +1,138 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the forced-colors (Windows High Contrast) styles added to SVGs
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const CONFIG = {
+  chartPatterns: ['diagonal', 'dots', 'crosshatch', 'horizontal', 'reverse-diagonal', 'vertical'],
+};
+
+const names = [
+  'getForcedColorsRole', 'getForcedColorsCss', 'addForcedColorsStyles', 'collectChartSeries', 'createChartPattern', 'namespaceSvgIds',
+];
+const { getForcedColorsRole, addForcedColorsStyles, namespaceSvgIds } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+const svgMarkup = `<svg xmlns="http://www.w3.org/2000/svg" id="mermaid-diagram">
+  <style>#mermaid-diagram .node rect{fill:#ECECFF;}</style>
+  <marker id="mermaid-diagram_flowchart-pointEnd"><path d="M 0 0 L 10 5 L 0 10 z"/></marker>
+  <g class="edgePaths">
+    <path id="L-A-B-0" class="flowchart-link LS-A LE-B" style="fill:none;stroke:#333"/>
+  </g>
+  <g class="edgeLabels"><g class="edgeLabel"><rect class="background"/></g></g>
+  <g class="node default" id="flowchart-A-0">
+    <rect class="basic label-container" style="fill:#f9f;stroke:#333"/>
+    <g class="label"><text fill="#333"><tspan>Start</tspan></text></g>
+  </g>
+  <path class="relation" d="M 0 0 L 10 10"/>
+  <path class="pieCircle" fill="#ECECFF" d="M 0 0 A 1 1 0 0 1 1 1 Z"/>
+  <path class="pieCircle" fill="#ffffde" d="M 1 1 A 1 1 0 0 1 0 0 Z"/>
+  <g class="legend"><rect width="18" height="18" style="fill: #ECECFF;"/><text>Dogs</text></g>
+  <g class="legend"><rect width="18" height="18" style="fill: #ffffde;"/><text>Cats</text></g>
+  <g class="tick"><line x2="10"/></g>
+</svg>`;
+
+function parseSvg(markup) {
+  return new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+}
+
+describe('Forced colors', () => {
+  it('tells filled shapes from edges, text and markers', () => {
+    const svg = parseSvg(svgMarkup);
+    const role = selector => getForcedColorsRole(svg.querySelector(selector));
+
+    expect(role('marker path')).toBe('marker');
+    expect(role('path.flowchart-link')).toBe('line');
+    expect(role('path.relation')).toBe('line');
+    expect(role('.tick line')).toBe('line');
+    expect(role('rect.label-container')).toBe('shape');
+    expect(role('.edgeLabel rect')).toBe('shape');
+    expect(role('path.pieCircle')).toBe('shape');
+    expect(role('text')).toBe('text');
+    expect(role('g.node')).toBeNull();
+  });
+
+  it('adds a forced-colors block mapping roles to system colours', () => {
+    const svg = parseSvg(svgMarkup);
+    addForcedColorsStyles(svg);
+    const css = svg.querySelector('style.a11y-forced-colors').textContent;
+
+    expect(css).toMatch(/^@media \(forced-colors: active\) \{/);
+    expect(css).toContain('#mermaid-diagram .a11y-fc-shape { fill: Canvas !important; stroke: CanvasText !important; }');
+    expect(css).toContain('#mermaid-diagram .a11y-fc-line { stroke: CanvasText !important; }');
+    expect(css).toContain('#mermaid-diagram .a11y-fc-marker { fill: CanvasText !important;');
+    expect(css).toContain('#mermaid-diagram a .a11y-fc-text');
+    expect(css).toContain('LinkText');
+    expect(svg.querySelector('rect.label-container').getAttribute('class')).toBe('basic label-container a11y-fc-shape');
+    expect(svg.querySelector('path.flowchart-link').classList.contains('a11y-fc-line')).toBe(true);
+    // Original colours stay in place outside forced-colors mode
+    expect(svg.querySelector('rect.label-container').getAttribute('style')).toBe('fill:#f9f;stroke:#333');
+  });
+
+  it('replaces an earlier block and follows id namespacing', () => {
+    const svg = parseSvg(svgMarkup);
+    addForcedColorsStyles(svg);
+    addForcedColorsStyles(svg);
+    namespaceSvgIds(svg, 'login');
+
+    const blocks = svg.querySelectorAll('style.a11y-forced-colors');
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].textContent).toContain('#login .a11y-fc-shape');
+    expect(blocks[0].textContent).not.toContain('mermaid-diagram');
+    expect(svg.querySelector('text').getAttribute('class')).toBe('a11y-fc-text');
+  });
+
+  it('fills pie slices and their legend swatches with distinct patterns instead of Canvas', () => {
+    const svg = parseSvg(svgMarkup);
+    addForcedColorsStyles(svg);
+    addForcedColorsStyles(svg);
+    namespaceSvgIds(svg, 'login');
+    const css = svg.querySelector('style.a11y-forced-colors').textContent;
+
+    const [dogs, cats] = svg.querySelectorAll('path.pieCircle');
+    const [dogsSwatch, catsSwatch] = svg.querySelectorAll('g.legend > rect');
+    expect(dogs.getAttribute('class')).toBe('pieCircle a11y-fc-pattern-diagonal a11y-fc-shape');
+    expect(dogsSwatch.classList.contains('a11y-fc-pattern-diagonal')).toBe(true);
+    expect(cats.classList.contains('a11y-fc-pattern-dots')).toBe(true);
+    expect(catsSwatch.classList.contains('a11y-fc-pattern-dots')).toBe(true);
+
+    // Pattern rules come after the Canvas shape rule so they win
+    expect(css.indexOf('.a11y-fc-pattern-dots { fill: url(#login-fc-pattern-dots) !important; }'))
+      .toBeGreaterThan(css.indexOf('.a11y-fc-shape { fill: Canvas'));
+    expect(css).not.toContain('crosshatch');
+    const patterns = svg.querySelectorAll('defs.a11y-fc-patterns > pattern');
+    expect(Array.from(patterns).map(pattern => pattern.id)).toEqual(['login-fc-pattern-diagonal', 'login-fc-pattern-dots']);
+    expect(patterns[1].firstElementChild.getAttribute('class')).toBe('a11y-fc-marker');
+    // Outside forced-colors mode the slices keep their own fill
+    expect(dogs.getAttribute('fill')).toBe('#ECECFF');
+  });
+
+  it('runs as a transform step and can be simulated in the previews', () => {
+    expect(appJs).toMatch(/addForcedColorsStyles\(svg\);\s+\/\/ Namespace ids last/);
+    expect(indexHtml).toContain('id="forced-colors-toggle"');
+    expect(appJs).toContain("style.setAttribute('data-forced-colors-preview', '')");
+    // The audit measures the diagram's own colours while simulating
+    expect(appJs).toContain("simulation.forEach(style => style.setAttribute('media', 'not all'))");
+  });
+});
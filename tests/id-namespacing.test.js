@@ -0,0 +1,125 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for deterministic ID namespacing of rendered SVGs
+ *
+ * Mermaid renders every diagram with the root id "mermaid-diagram", so two
+ * exported SVGs inlined on one page share ids, markers and style rules.
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const STATE = {};
+
+const {
+  parseMermaidMetadata,
+  generateUniqueId,
+  hashString,
+  slugifyIdPrefix,
+  getSvgIdPrefix,
+  namespaceSvgIds,
+  collectFlowchartEdges,
+} = eval(`
+  ${['parseMermaidMetadata', 'generateUniqueId', 'hashString', 'slugifyIdPrefix', 'getSvgIdPrefix', 'namespaceSvgIds',
+    'collectFlowchartEdges'].map(extractFunction).join('\n')}
+  ({ parseMermaidMetadata, generateUniqueId, hashString, slugifyIdPrefix, getSvgIdPrefix, namespaceSvgIds,
+    collectFlowchartEdges })
+`);
+
+const svgMarkup = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" id="mermaid-diagram" role="img" aria-labelledby="a11y-title a11y-desc">
+  <title id="a11y-title">Flow</title>
+  <desc id="a11y-desc">Two steps</desc>
+  <style>#mermaid-diagram{fill:#333;}#mermaid-diagram .node rect{stroke:#9370DB;}#mermaid-diagram #flowchart-A-0{fill:url(#grad);}</style>
+  <defs><linearGradient id="grad"/></defs>
+  <marker id="mermaid-diagram_flowchart-pointEnd"><path/></marker>
+  <g class="edgePaths"><path id="L-A-B-0" class="flowchart-link LS-A LE-B" marker-end="url(#mermaid-diagram_flowchart-pointEnd)" style="fill:none;filter:url('#grad')"/></g>
+  <g class="node" id="flowchart-A-0" aria-describedby="flowchart-A-0-connections" aria-flowto="flowchart-B-1">
+    <desc id="flowchart-A-0-connections">1 outgoing connection: to B</desc>
+  </g>
+  <g class="node" id="flowchart-B-1"><use xlink:href="#grad"/><use href="#missing"/></g>
+</svg>`;
+
+function namespace(markup, prefix) {
+  const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+  namespaceSvgIds(doc.documentElement, prefix);
+  return new XMLSerializer().serializeToString(doc);
+}
+
+describe('ID namespacing', () => {
+  it('generates unique accessibility ids that restart with each transform', () => {
+    STATE.a11yIdCount = 0;
+    const first = [generateUniqueId('title'), generateUniqueId('title'), generateUniqueId('desc')];
+    expect(first).toEqual(['a11y-title-1', 'a11y-title-2', 'a11y-desc-3']);
+
+    STATE.a11yIdCount = 0;
+    expect(generateUniqueId('title')).toBe(first[0]);
+  });
+
+  it('derives the prefix from a content hash or a user slug', () => {
+    const source = 'flowchart TD\n  A --> B';
+    expect(hashString(source)).toBe(hashString(source));
+    expect(hashString(source)).not.toBe(hashString(`${source}\n  B --> C`));
+    expect(getSvgIdPrefix(source)).toBe(`mmd-${hashString(source)}`);
+
+    const metadata = parseMermaidMetadata(`${source}\n%%idPrefix Login Flow!`);
+    expect(metadata.idPrefix).toBe('login-flow');
+    expect(getSvgIdPrefix(source, metadata)).toBe('login-flow');
+    expect(slugifyIdPrefix('2024 roadmap')).toBe('mmd-2024-roadmap');
+    expect(slugifyIdPrefix('!!!')).toBeNull();
+  });
+
+  it('rewrites ids and every reference consistently', () => {
+    const doc = new DOMParser().parseFromString(namespace(svgMarkup, 'login'), 'image/svg+xml');
+    const svg = doc.documentElement;
+
+    expect(svg.id).toBe('login');
+    expect(svg.getAttribute('aria-labelledby')).toBe('login-a11y-title login-a11y-desc');
+    expect(doc.querySelector('marker').id).toBe('login_flowchart-pointEnd');
+
+    const edge = doc.querySelector('path.flowchart-link');
+    expect(edge.id).toBe('login-L-A-B-0');
+    expect(edge.getAttribute('marker-end')).toBe('url(#login_flowchart-pointEnd)');
+    expect(edge.getAttribute('style')).toBe("fill:none;filter:url('#login-grad')");
+
+    const nodeA = doc.getElementById('login-flowchart-A-0');
+    expect(nodeA.getAttribute('aria-describedby')).toBe('login-flowchart-A-0-connections');
+    expect(nodeA.getAttribute('aria-flowto')).toBe('login-flowchart-B-1');
+
+    const uses = doc.querySelectorAll('use');
+    expect(uses[0].getAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe('#login-grad');
+    expect(uses[1].getAttribute('href')).toBe('#missing');
+
+    expect(doc.querySelector('style').textContent).toBe(
+      '#login{fill:#333;}#login .node rect{stroke:#9370DB;}#login #login-flowchart-A-0{fill:url(#login-grad);}'
+    );
+  });
+
+  it('is deterministic and does not prefix twice', () => {
+    const once = namespace(svgMarkup, 'login');
+    expect(namespace(svgMarkup, 'login')).toBe(once);
+    expect(namespace(once, 'login')).toBe(once);
+  });
+
+  it('keeps namespaced flowchart nodes recognisable for the interactive export', () => {
+    const doc = new DOMParser().parseFromString(namespace(svgMarkup, 'mmd-1x2y3z'), 'image/svg+xml');
+    const { nodesById, edges } = collectFlowchartEdges(doc.documentElement);
+
+    expect(Array.from(nodesById.keys())).toEqual(['A', 'B']);
+    expect(edges).toEqual([{ from: 'A', to: 'B', label: '' }]);
+  });
+});
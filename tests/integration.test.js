@@ -30,7 +30,7 @@ describe('Integration Tests - Actual SVG Generation', () => {
 
   it('should have applyAccessibilityTransformations that preserves SVG content', () => {
     // Critical: Accessibility transforms must not empty the SVG
-    expect(appJs).toContain('function applyAccessibilityTransformations(svgString, metadata)');
+    expect(appJs).toContain("function applyAccessibilityTransformations(svgString, metadata, mermaidSource = '')");
     expect(appJs).toContain('parseFromString(svgString, \'image/svg+xml\')');
     expect(appJs).toContain('XMLSerializer');
   });
@@ -65,7 +65,7 @@ describe('Integration Tests - Actual SVG Generation', () => {
     expect(appJs).toContain('async function validateAndRender()');
     expect(appJs).toContain('for (let attempt = 1; attempt <= 2; attempt += 1)');
     expect(appJs).toContain('svg = await renderMermaidDiagram(mermaidSource)');
-    expect(appJs).toContain('const accessibleSvg = applyAccessibilityTransformations(svg, metadata)');
+    expect(appJs).toContain('const accessibleSvg = applyAccessibilityTransformations(svg, metadata, mermaidSource)');
     expect(appJs).toContain('const sizedSvg = ensureViewBox(accessibleSvg)');
     expect(appJs).toContain('displayPreview(sizedSvg)');
   });
@@ -0,0 +1,85 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for embedding the generated narrative in exported SVGs
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const { narrativeHtmlToText, embedNarrativeInSvg } = eval(`
+  ${['narrativeHtmlToText', 'embedNarrativeInSvg'].map(extractFunction).join('\n')}
+  ({ narrativeHtmlToText, embedNarrativeInSvg })
+`);
+
+const narrativeHtml = `
+  <p><strong>Flowchart:</strong> 3 steps</p>
+  <ul>
+    <li>Start leads to <em>Check</em>
+      <ul><li>Yes: Approve</li><li>No: Reject</li></ul>
+    </li>
+  </ul>
+  <ol><li>First</li><li>Second</li></ol>`;
+
+const svgMarkup = `<svg xmlns="http://www.w3.org/2000/svg" id="mmd-abc" role="img" aria-labelledby="mmd-abc-a11y-title mmd-abc-a11y-desc">
+  <title id="mmd-abc-a11y-title">Approval</title>
+  <desc id="mmd-abc-a11y-desc">Short description</desc>
+  <g class="root"></g>
+</svg>`;
+
+describe('Narrative export', () => {
+  it('converts narrative HTML to indented plain text', () => {
+    expect(narrativeHtmlToText(narrativeHtml)).toBe([
+      'Flowchart: 3 steps',
+      '- Start leads to Check',
+      '  - Yes: Approve',
+      '  - No: Reject',
+      '1. First',
+      '2. Second',
+    ].join('\n'));
+  });
+
+  it('embeds the narrative as a separate described-by desc', () => {
+    const output = embedNarrativeInSvg(svgMarkup, 'Long narrative');
+    const svg = new DOMParser().parseFromString(output, 'image/svg+xml').documentElement;
+
+    expect(Array.from(svg.children).map(child => child.localName).slice(0, 3)).toEqual(['title', 'desc', 'desc']);
+    const narrative = svg.querySelector('#mmd-abc-narrative');
+    expect(narrative.textContent).toBe('Long narrative');
+    expect(svg.getAttribute('aria-labelledby')).toBe('mmd-abc-a11y-title mmd-abc-a11y-desc');
+    expect(svg.getAttribute('aria-describedby')).toBe('mmd-abc-narrative');
+    expect(svg.querySelector('#mmd-abc-a11y-desc').textContent).toBe('Short description');
+  });
+
+  it('keeps existing descriptions and replaces an earlier narrative', () => {
+    const withHelp = svgMarkup.replace('role="img"', 'role="group" aria-describedby="mmd-abc-keyboard-help"');
+    const once = embedNarrativeInSvg(withHelp, 'First version');
+    const twice = embedNarrativeInSvg(once, 'Second version');
+    const svg = new DOMParser().parseFromString(twice, 'image/svg+xml').documentElement;
+
+    expect(svg.querySelectorAll('[id="mmd-abc-narrative"]')).toHaveLength(1);
+    expect(svg.querySelector('#mmd-abc-narrative').textContent).toBe('Second version');
+    expect(svg.getAttribute('aria-describedby')).toBe('mmd-abc-keyboard-help mmd-abc-narrative');
+  });
+
+  it('offers the option next to the export buttons', () => {
+    expect(indexHtml).toContain('id="export-narrative-toggle"');
+    expect(appJs).toContain('const exportSvg = applyExportNarrative(svgString)');
+    expect(appJs).toContain('const exportSvg = applyExportNarrative(interactiveSvg)');
+  });
+});
@@ -0,0 +1,168 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the sequence diagram narrative generator
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const names = ['generateSequenceNarrative', 'parseSequenceSource', 'skipFrontmatter', 'escapeHtml'];
+const { generateSequenceNarrative, parseSequenceSource } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+// Narrative list items as text, with nesting shown by indentation
+function outline(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const lines = [];
+  const walk = (list, depth) => {
+    Array.from(list.children).forEach(item => {
+      const own = Array.from(item.childNodes).filter(node => node.nodeName !== 'OL').map(node => node.textContent).join('').trim();
+      lines.push(`${'  '.repeat(depth)}${own}`);
+      const nested = item.querySelector(':scope > ol');
+      if (nested) walk(nested, depth + 1);
+    });
+  };
+  walk(doc.querySelector('body > ol'), 0);
+  return lines;
+}
+
+const loginSource = `sequenceDiagram
+  actor U as User
+  participant C as Client
+  participant API
+  U->>C: Clicks login
+  C-)+API: POST /login
+  Note right of API: Checks the password
+  API-->>-C: 200 OK
+  C--xU: Session expired
+  API->>API: Audit<br/>login
+%%accTitle Login
+%%accDescr Logging in`;
+
+describe('Sequence narrative', () => {
+  it('lists participants and actors with their aliases', () => {
+    const doc = new DOMParser().parseFromString(generateSequenceNarrative(loginSource), 'text/html');
+    expect(Array.from(doc.querySelectorAll('ul > li')).map(li => li.textContent)).toEqual([
+      'Actor: User (alias U)',
+      'Participant: Client (alias C)',
+      'Participant: API',
+    ]);
+    expect(doc.querySelector('p').textContent).toBe('Sequence: 3 participants, 5 messages.');
+  });
+
+  it('narrates messages, notes and activations in order', () => {
+    expect(outline(generateSequenceNarrative(loginSource))).toEqual([
+      "User sends 'Clicks login' to Client",
+      "Client sends 'POST /login' to API, asynchronously; API becomes active",
+      'Note right of API: Checks the password',
+      "API replies '200 OK' to Client; API is no longer active",
+      "Client sends 'Session expired' to User (cancelled)",
+      "API sends 'Audit login' to itself",
+    ]);
+  });
+
+  it('nests blocks and their branches as numbered sections', () => {
+    const source = `sequenceDiagram
+      participant C as Client
+      participant S as Server
+      loop Every minute
+        C->>S: Ping
+        alt Healthy
+          S-->>C: Pong
+        else Overloaded
+          S-->>C: Busy
+          opt Retry allowed
+            C->>S: Ping again
+          end
+        end
+      end
+      par Notify
+        activate S
+      and Log
+        deactivate S
+      end
+      critical Connect
+        S->>S: Open socket
+      option Timeout
+        Note over C,S: Give up
+      end
+      break
+        C->>S: Quit
+      end`;
+
+    expect(outline(generateSequenceNarrative(source))).toEqual([
+      'Loop: Every minute',
+      "  Client sends 'Ping' to Server",
+      '  Alternatives',
+      '    If Healthy',
+      "      Server replies 'Pong' to Client",
+      '    Else Overloaded',
+      "      Server replies 'Busy' to Client",
+      '      Optional: Retry allowed',
+      "        Client sends 'Ping again' to Server",
+      'In parallel',
+      '  Branch 1: Notify',
+      '    Server becomes active',
+      '  Branch 2: Log',
+      '    Server is no longer active',
+      'Critical region',
+      '  Connect',
+      "    Server sends 'Open socket' to itself",
+      '  Option: Timeout',
+      '    Note over Client and Server: Give up',
+      'Break',
+      "  Client sends 'Quit' to Server",
+    ]);
+  });
+
+  it('numbers messages while autonumber is on', () => {
+    const source = `sequenceDiagram
+      A->>B: One
+      autonumber 10 5
+      A->>B: Two
+      loop Again
+        B->>A: Three
+      end
+      autonumber off
+      A->>B: Four`;
+
+    expect(parseSequenceSource(source).messages.map(message => message.number)).toEqual([undefined, 10, 15, undefined]);
+    expect(outline(generateSequenceNarrative(source))).toEqual([
+      "A sends 'One' to B",
+      "Message 10: A sends 'Two' to B",
+      'Loop: Again',
+      "  Message 15: B sends 'Three' to A",
+      "A sends 'Four' to B",
+    ]);
+  });
+
+  it('escapes text and keeps the flat message list for the SVG semantics', () => {
+    const source = 'sequenceDiagram\n  box Team\n  participant A as <Alice>\n  end\n  A->>B: <script>\n';
+    const html = generateSequenceNarrative(source);
+    expect(html).toContain('&lt;Alice&gt;');
+    expect(html).not.toContain('<script>');
+    expect(parseSequenceSource(source).steps).toHaveLength(1);
+    expect(generateSequenceNarrative('sequenceDiagram\n')).toContain('No participants or messages found');
+  });
+
+  it('replaces the generic fallback for sequence diagrams', () => {
+    expect(appJs).toMatch(/case 'sequenceDiagram':\s+structuralNarrative = generateSequenceNarrative\(mermaidSource\);/);
+  });
+});
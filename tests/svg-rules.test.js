@@ -0,0 +1,212 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the SVG accessibility rule engine run on every pipeline output
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const STATE = {};
+const showError = vi.fn();
+
+const names = ['validateSvgAccessibility', 'checkSvgPipeline', 'setSvgRuleReport', 'confirmSvgExport'];
+const { validateSvgAccessibility, checkSvgPipeline, confirmSvgExport } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+const validSvg = `<svg xmlns="http://www.w3.org/2000/svg" role="img" aria-labelledby="t d">
+  <title id="t">Deploy</title><desc id="d">Build then test</desc>
+  <g role="list" aria-label="Nodes">
+    <g role="group"><g role="listitem" id="a">Build</g></g>
+  </g>
+  <g role="list" aria-owns="s1 s2"></g>
+  <g role="listitem" id="s1">Idle</g><g role="listitem" id="s2">Busy</g>
+  <a href="#a"><text>Link</text></a>
+  <path aria-hidden="true"/>
+</svg>`;
+
+const rules = svg => validateSvgAccessibility(svg).map(violation => violation.rule);
+
+// The whole transform, for checking its real output against the rules
+const pipelineNames = [
+  'applyAccessibilityTransformations', 'generateUniqueId', 'applyFlowchartSemantics', 'extractNodeLabel',
+  'describeFlowchartEdges', 'collectFlowchartEdges', 'applySequenceSemantics', 'applyStateSemantics', 'applyErSemantics',
+  'applyPieSemantics', 'applyGanttSemantics', 'applyClassSemantics', 'applyMindmapSemantics', 'applyJourneySemantics',
+  'addForcedColorsStyles', 'getForcedColorsRole', 'getForcedColorsCss', 'collectChartSeries', 'createChartPattern', 'namespaceSvgIds', 'getSvgIdPrefix', 'hashString',
+  'formatSvg', 'optimizeSvg',
+];
+const { applyAccessibilityTransformations, formatSvg, optimizeSvg } = (() => {
+  const CONFIG = eval(`({${appJs.match(/  chartPatterns: .*\n/)[0]}})`);
+  const xmlFormatter = null;
+  const SVGO = null;
+  return eval(`
+    ${pipelineNames.map(extractFunction).join('\n')}
+    ({ ${pipelineNames.join(', ')} })
+  `);
+})();
+
+// Mermaid 10.7 flowchart output; the "Review" subgraph has its own direction,
+// so it is drawn as a nested root inside the outer g.nodes
+const label = (cls, text) => `<g class="label"><rect/><foreignObject width="60" height="24">
+  <div xmlns="http://www.w3.org/1999/xhtml"><span class="${cls}">${text}</span></div></foreignObject></g>`;
+const node = (id, text, shape = '<rect class="basic label-container" width="80" height="34"/>') =>
+  `<g class="node default default flowchart-label" id="flowchart-${id}" data-node="true">${shape}${label('nodeLabel', text)}</g>`;
+const edge = (from, to) =>
+  `<path id="L-${from}-${to}-0" class="flowchart-link LS-${from} LE-${to}" marker-end="url(#mermaid-1_flowchart-pointEnd)"/>`;
+const mermaidFlowchart = `<svg id="mermaid-1" width="100%" xmlns="http://www.w3.org/2000/svg" class="flowchart"
+  viewBox="0 0 420 300" role="graphics-document document" aria-roledescription="flowchart-v2">
+  <style>#mermaid-1 .node rect{fill:#ECECFF;stroke:#9370DB;}</style>
+  <g>
+    <marker id="mermaid-1_flowchart-pointEnd" class="marker flowchart"><path d="M 0 0 L 10 5 L 0 10 z" class="arrowMarkerPath"/></marker>
+    <g class="root">
+      <g class="clusters"/>
+      <g class="edgePaths">${edge('A', 'B')}${edge('B', 'C')}${edge('B', 'D')}</g>
+      <g class="edgeLabels">
+        <g class="edgeLabel">${label('edgeLabel', '')}</g>
+        <g class="edgeLabel">${label('edgeLabel', 'Yes')}</g>
+        <g class="edgeLabel">${label('edgeLabel', 'No')}</g>
+      </g>
+      <g class="nodes">
+        <g class="root">
+          <g class="clusters"><g class="cluster default flowchart-label" id="Review"><rect width="240" height="100"/>${label('nodeLabel', 'Review')}</g></g>
+          <g class="edgePaths"/><g class="edgeLabels"/>
+          <g class="nodes">${node('C-2', 'Approve')}${node('D-3', 'Reject')}</g>
+        </g>
+        ${node('A-0', 'Start')}${node('B-1', 'Valid?', '<polygon points="40,0 80,-40 40,-80 0,-40" class="label-container"/>')}
+      </g>
+    </g>
+  </g>
+</svg>`;
+const flowchartSource = 'flowchart TD\n  A[Start] --> B{Valid?}\n  subgraph Review\n    direction LR\n    C[Approve]\n    D[Reject]\n  end\n  B -->|Yes| C\n  B -->|No| D';
+
+describe('SVG rule engine', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <details id="svg-rules" hidden><summary id="svg-rules-summary"></summary><ul id="svg-rules-list"></ul>
+      <input type="checkbox" id="svg-rules-override"></details>`;
+    Object.assign(STATE, { svgOrigin: 'transform', currentSvg: '', beautifiedSvg: '', optimizedSvg: '', svgViolations: [] });
+    showError.mockClear();
+  });
+
+  it('passes an SVG that follows every rule, including lists built with aria-owns', () => {
+    expect(validateSvgAccessibility(validSvg)).toEqual([]);
+  });
+
+  it('reports missing aria-labelledby and aria-describedby targets', () => {
+    const svg = validSvg.replace('aria-labelledby="t d"', 'aria-labelledby="t gone" aria-describedby="narrative"');
+    expect(validateSvgAccessibility(svg).map(violation => violation.message)).toEqual([
+      'aria-labelledby on <svg> points to missing id "gone"',
+      'aria-describedby on <svg> points to missing id "narrative"',
+    ]);
+  });
+
+  it('reports duplicate ids', () => {
+    const svg = validSvg.replace('id="s2"', 'id="s1"');
+    expect(validateSvgAccessibility(svg)[0]).toEqual({ rule: 'duplicate-id', message: 'id "s1" is used 2 times' });
+  });
+
+  it('requires <title> as the first child', () => {
+    expect(validateSvgAccessibility(validSvg.replace('<title', '<style/><title'))).toEqual([
+      { rule: 'title-first', message: '<title> must be the first child of the root <svg> (found <style> first)' },
+    ]);
+    expect(rules(validSvg.replace('<title id="t">Deploy</title>', '').replace('"t d"', '"d"'))).toEqual(['title-first']);
+  });
+
+  it('reports list items outside a list and focusable hidden content', () => {
+    const svg = validSvg
+      .replace('aria-owns="s1 s2"', 'aria-owns="s1"')
+      .replace('<a href="#a">', '<a href="#a" aria-hidden="true">')
+      .replace('<path aria-hidden="true"/>', '<g aria-hidden="true"><g class="node" tabindex="-1"/></g>');
+    expect(validateSvgAccessibility(svg).map(violation => violation.message)).toEqual([
+      'role="listitem" on <g id="s2"> has no role="list" ancestor',
+      'Focusable <a> is hidden with aria-hidden="true"',
+      'Focusable <g> is hidden with aria-hidden="true"',
+    ]);
+    expect(rules('<svg xmlns="http://www.w3.org/2000/svg"><title>')).toEqual(['parse']);
+  });
+
+  it('passes the transformed output of a Mermaid flowchart with a subgraph at every step', () => {
+    const svg = applyAccessibilityTransformations(mermaidFlowchart, { title: 'Release', description: 'Review a change' }, flowchartSource);
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+    expect(doc.querySelectorAll('[role="listitem"]')).toHaveLength(4);
+    // Structure under role="img" would be presentational
+    expect(doc.documentElement.getAttribute('role')).toBe('group');
+    doc.documentElement.querySelectorAll('[role]').forEach(element => {
+      expect(element.parentNode.closest('[role="img"]')).toBeNull();
+    });
+    expect(doc.querySelectorAll('g.nodes[role="list"][aria-label="Flowchart nodes"]')).toHaveLength(2);
+    expect(validateSvgAccessibility(svg)).toEqual([]);
+    expect(validateSvgAccessibility(formatSvg(svg))).toEqual([]);
+    expect(validateSvgAccessibility(optimizeSvg(svg))).toEqual([]);
+    expect(confirmSvgExport(svg)).toBe(true);
+
+    // Ids are unique per element but identical across renders
+    expect(doc.getElementById(`${doc.documentElement.id}-a11y-title-1`).textContent).toBe('Release');
+    expect(applyAccessibilityTransformations(mermaidFlowchart, { title: 'Release', description: 'Review a change' }, flowchartSource)).toBe(svg);
+  });
+
+  it('keeps role="img" on diagrams without exposed structure', () => {
+    const plain = '<svg id="mermaid-1" xmlns="http://www.w3.org/2000/svg"><g class="timeline"><text>2024</text></g></svg>';
+    const svg = applyAccessibilityTransformations(plain, { title: 'Roadmap' }, 'timeline\n  2024 : Launch');
+    const root = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+
+    expect(root.getAttribute('role')).toBe('img');
+    expect(validateSvgAccessibility(svg)).toEqual([]);
+  });
+
+  it('checks each pipeline step and lists a shared violation once', () => {
+    const broken = validSvg.replace('id="s2"', 'id="s1"');
+    Object.assign(STATE, { currentSvg: broken, beautifiedSvg: broken, optimizedSvg: validSvg.replace('<title', '<style/><title') });
+    checkSvgPipeline();
+
+    expect(STATE.svgViolations.map(violation => [violation.rule, violation.steps])).toEqual([
+      ['duplicate-id', ['transform', 'formatSvg']],
+      ['title-first', ['optimizeSvg']],
+    ]);
+    expect(document.getElementById('svg-rules').hidden).toBe(false);
+    expect(document.getElementById('svg-rules-summary').textContent).toBe('SVG checks: 2 problems');
+    expect(document.getElementById('svg-rules-list').children[0].textContent)
+      .toBe('id "s1" is used 2 times (after transform, formatSvg)');
+
+    Object.assign(STATE, { svgOrigin: 'edit', currentSvg: validSvg, beautifiedSvg: validSvg, optimizedSvg: validSvg });
+    checkSvgPipeline();
+    expect(STATE.svgViolations).toEqual([]);
+    expect(document.getElementById('svg-rules').hasAttribute('hidden')).toBe(true);
+  });
+
+  it('blocks export of a failing SVG unless overridden', () => {
+    const broken = validSvg.replace('aria-labelledby="t d"', 'aria-labelledby="t" aria-describedby="narrative"');
+    expect(confirmSvgExport(validSvg)).toBe(true);
+    expect(confirmSvgExport(broken)).toBe(false);
+    expect(showError).toHaveBeenCalledWith(expect.stringContaining('Export blocked: aria-describedby on <svg> points to missing id "narrative"'));
+    expect(document.getElementById('svg-rules-list').textContent).toContain('(after export)');
+
+    document.getElementById('svg-rules-override').checked = true;
+    expect(confirmSvgExport(broken)).toBe(true);
+  });
+
+  it('runs after every pipeline step and guards both exports', () => {
+    expect(appJs).toMatch(/updateSizeMetrics\(\);\s+\/\/ Check every pipeline output against the accessibility rules\s+checkSvgPipeline\(\);/);
+    expect(appJs).toContain("STATE.svgOrigin = 'edit';\n        displayPreview(code);");
+    expect(appJs.match(/if \(!confirmSvgExport\(exportSvg\)\) return;/g)).toHaveLength(2);
+    expect(indexHtml).toMatch(/id="svg-code"[\s\S]*id="svg-rules"[\s\S]*id="svg-rules-override"/);
+  });
+});
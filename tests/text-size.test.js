@@ -0,0 +1,97 @@
+/*
+ * AGPL-3.0-or-later License - See LICENSE file for full text
+ * Copyright (c) 2026 Mike Gifford
+ */
+
+/**
+ * Tests for the rendered text size audit
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const appJs = fs.readFileSync(path.resolve(__dirname, '../app.js'), 'utf-8');
+const indexHtml = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf-8');
+
+function extractFunction(name) {
+  const match = appJs.match(new RegExp(`function ${name}\\([^)]*\\) \\{[\\s\\S]*?\\n\\}`));
+  if (!match) {
+    throw new Error(`Could not extract ${name} from app.js`);
+  }
+  return match[0];
+}
+
+const names = ['getEffectiveStyle', 'isElementRendered', 'auditTextSize', 'getTextSizeHelpItems'];
+const { auditTextSize, getTextSizeHelpItems } = eval(`
+  ${names.map(extractFunction).join('\n')}
+  ({ ${names.join(', ')} })
+`);
+
+function parseSvg(attributes, markup) {
+  return new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attributes}>${markup}</svg>`,
+    'image/svg+xml'
+  ).documentElement;
+}
+
+// 1000 user units wide, shown at up to 1000px
+const markup = `
+  <g class="node"><text font-size="16px">Start</text></g>
+  <g transform="translate(10,10) scale(0.75)"><text font-size="16px">Scaled</text></g>
+  <text style="font-size: 1.5em">Heading</text>
+  <foreignObject><div xmlns="http://www.w3.org/1999/xhtml" style="font-size: 14px">HTML label</div></foreignObject>
+  <text font-size="16px" display="none">Hidden</text>`;
+const svg = () => parseSvg('viewBox="0 0 1000 400" width="100%" style="max-width: 1000px;"', markup);
+
+describe('Text size audit', () => {
+  it('scales each label by container width over viewBox width and its transforms', () => {
+    const audit = auditTextSize(svg(), 320, 12);
+    const sizes = Object.fromEntries(audit.labels.map(label => [label.text, label.renderedSize]));
+
+    expect(sizes).toEqual({ Start: 5.1, Scaled: 3.8, Heading: 7.7, 'HTML label': 4.5 });
+    expect(audit.renderedWidth).toBe(320);
+    expect(audit.failing).toHaveLength(4);
+  });
+
+  it('suggests the width at which the smallest label reaches the threshold', () => {
+    const audit = auditTextSize(svg(), 320, 12);
+
+    // "Scaled" is 12 user units tall; 12px needs the full 1000px
+    expect(audit.smallest.text).toBe('Scaled');
+    expect(audit.minimumWidth).toBe(1000);
+    expect(auditTextSize(svg(), 800, 9)).toMatchObject({ minimumWidth: 750 });
+    expect(auditTextSize(svg(), 1200, 9).failing).toHaveLength(0);
+  });
+
+  it('stops scaling at max-width or a fixed pixel width', () => {
+    const capped = auditTextSize(svg(), 1600, 14);
+    expect(capped.renderedWidth).toBe(1000);
+    expect(capped.minimumWidth).toBeNull();
+
+    const fixed = auditTextSize(parseSvg('viewBox="0 0 1000 400" width="500"', markup), 320, 12);
+    expect(fixed.renderedWidth).toBe(320);
+    expect(fixed.maxWidth).toBe(500);
+    expect(auditTextSize(parseSvg('width="500"', markup), 320, 12)).toBeNull();
+  });
+
+  it('writes render report items for failing and passing checks', () => {
+    const [summary, ...labels] = getTextSizeHelpItems(auditTextSize(svg(), 320, 12));
+    expect(summary.message).toBe(
+      'Text size at 320px wide: 4 of 4 labels render below 12px (smallest 3.8px, "Scaled"). Readable from 1000px wide.'
+    );
+    expect(labels[0].message).toBe('"Start" renders at 5.1px (16px in the diagram)');
+
+    expect(getTextSizeHelpItems(auditTextSize(svg(), 1600, 14))[0].message).toMatch(/Too small at any width \(the SVG stops growing at 1000px\)/);
+    expect(getTextSizeHelpItems(auditTextSize(svg(), 1000, 12))).toEqual([
+      { message: 'Text size at 1000px wide: all 4 labels are at least 12px (smallest 12px).' },
+    ]);
+  });
+
+  it('has width and threshold controls and runs in the render report', () => {
+    expect(indexHtml).toContain('id="text-size-width"');
+    expect(indexHtml).toContain('id="min-text-size"');
+    expect(indexHtml).toMatch(/<option value="320"[^>]*>[\s\S]*<option value="800"/);
+    expect(appJs).toContain('helpItems.push(...getTextSizeHelpItems(auditTextSize(lightSvg, STATE.textSizeWidth, STATE.minTextSize)));');
+  });
+});